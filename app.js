@@ -9,10 +9,27 @@ import statsRouter from './routes/stats.js';
 import propertyAnalysisRouter from './routes/property-analysis.js';
 import { locationDetailsRouter } from './routes/location-details.js';
 import propertyAnalysisV2Routes from './routes/property-analysis-v2.js'; 
+import adminKeysRouter from './routes/admin-keys.js';
+import usageRouter from './routes/usage.js';
+import adminPropertyCacheRouter from './routes/admin-property-cache.js';
+import adminMarketCacheRouter from './routes/admin-market-cache.js';
+import propertyBatchRouter from './routes/property-batch.js';
+import propertyScenarioRouter from './routes/property-scenario.js';
+import propertyReportRouter from './routes/property-report.js';
+import propertyAnalysesRouter from './routes/property-analyses.js';
+import marketSearchRouter from './routes/market-search.js';
+import marketCompareRouter from './routes/market-compare.js';
+import marketTimeSeriesRouter from './routes/market-timeseries.js';
+import areasRouter from './routes/areas.js';
+import { resumeBatchJobs } from './utils/batchAnalysis.js';
+import { ensureAreaSlugs } from './utils/areaResolver.js';
+import { listenForMarketDataChanges } from './utils/marketCache.js';
 //import wordpressPluginProxy from './routes/wordpress_plugin_proxy.js';
 
 // Now when 'auth' is imported, process.env.DATABASE_URL should already be loaded
 import auth from './middleware/auth.js';
+import rateLimit from './middleware/rateLimit.js';
+import usageMeter from './middleware/usageMeter.js';
 
 // --- REMOVED the manual process.env.DATABASE_URL line ---
 
@@ -29,12 +46,36 @@ app.get('/health', (req, res) => {
 
 // Apply API key middleware AFTER public routes like /health
 app.use(auth);
+// Record every authenticated request for billing (before rateLimit so 429s are recorded too)
+app.use(usageMeter);
+// Per-key rate limit and monthly quota (configured on ss_api_keys)
+app.use(rateLimit);
 
+app.use('/api/v1/areas', areasRouter);
+app.use('/api/v1/markets/search', marketSearchRouter);
+app.use('/api/v1/markets/compare', marketCompareRouter);
+app.use('/api/v1/markets/:area/timeseries', marketTimeSeriesRouter);
 app.use('/api/v1/markets', statsRouter);
+app.use('/api/v1/property/batch', propertyBatchRouter);
+app.use('/api/v1/property/scenario', propertyScenarioRouter);
+app.use('/api/v1/property/report', propertyReportRouter);
+app.use('/api/v1/property/analyses', propertyAnalysesRouter);
 app.use('/api/v1/property', propertyAnalysisRouter);
 app.use('/api/v2/property', propertyAnalysisV2Routes);
 app.use('/api/v1/location-details', locationDetailsRouter);
+app.use('/api/v1/admin/keys', adminKeysRouter);
+app.use('/api/v1/admin/usage', usageRouter);
+app.use('/api/v1/admin/property-cache', adminPropertyCacheRouter);
+app.use('/api/v1/admin/market-cache', adminMarketCacheRouter);
 
 app.listen(PORT, () => {
   console.log(`🚀 API running on http://localhost:${PORT}`);
+  // Pick up batch analysis jobs interrupted by a restart
+  resumeBatchJobs();
+  // Give areas without a slug one, so every area route can be called by slug
+  ensureAreaSlugs()
+    .then(count => count > 0 && console.log(`🏷️ Generated slugs for ${count} areas`))
+    .catch(err => console.error('❌ Failed to generate area slugs:', err.message));
+  // Drop cached market responses whenever new market data is loaded
+  listenForMarketDataChanges();
 });
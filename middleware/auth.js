@@ -1,4 +1,20 @@
 import { getPool } from '../db.js';
+import { hashApiKey, getApiKeyStatus, KEY_PREFIX_LENGTH } from '../utils/apiKeys.js';
+
+// last_used_at is informational, so only write it once per minute per key.
+const LAST_USED_WRITE_INTERVAL = '1 minute';
+
+function recordLastUsed(apiKeyId) {
+  getPool()
+    .query(
+      `UPDATE ss_api_keys
+       SET last_used_at = NOW()
+       WHERE id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${LAST_USED_WRITE_INTERVAL}')`,
+      [apiKeyId]
+    )
+    .catch((err) => console.error('Failed to record API key last_used_at:', err));
+}
 
 export default async function auth(req, res, next) {
   // Skip auth for health check endpoint
@@ -6,26 +22,48 @@ export default async function auth(req, res, next) {
     return next();
   }
 
-console.log('🔑 Checking API key from header:', req.headers['x-api-key']); // Log where we are checking
-
 const key = req.headers['x-api-key']; // <-- CORRECTED: Read key from 'x-api-key' header
 
+  // Only the visible prefix is logged; the full key must never end up in the logs.
+  console.log('🔑 Checking API key from header:', key ? `${key.slice(0, KEY_PREFIX_LENGTH)}…` : 'none');
+
   if (!key) {
     return res.status(401).json({ error: 'API key required' });
   }
 
   try {
-    // --- Change: Use getPool() to get the pool instance ---
+    // Keys are stored hashed (see utils/apiKeys.js), so look the key up by its hash.
     const result = await getPool().query(
-      'SELECT id FROM ss_api_keys WHERE key = $1',
-      [key]
+      `SELECT id, scopes, rate_limit_per_minute, monthly_quota, expires_at, revoked_at
+       FROM ss_api_keys
+       WHERE key_hash = $1`,
+      [hashApiKey(key)]
     );
 
     if (result.rowCount === 0) {
       return res.status(403).json({ error: 'Invalid API key' });
     }
 
-    req.apiKeyId = result.rows[0].id;
+    const apiKey = result.rows[0];
+
+    const status = getApiKeyStatus(apiKey);
+    if (status === 'revoked') {
+      return res.status(403).json({ error: 'API key has been revoked' });
+    }
+    if (status === 'expired') {
+      return res.status(403).json({ error: 'API key has expired' });
+    }
+
+    req.apiKeyId = apiKey.id;
+    // Checked per router by middleware/requireScope.js
+    req.apiKeyScopes = apiKey.scopes || [];
+    // Consumed by middleware/rateLimit.js (NULL = unlimited)
+    req.apiKeyLimits = {
+      ratePerMinute: apiKey.rate_limit_per_minute,
+      monthlyQuota: apiKey.monthly_quota
+    };
+
+    recordLastUsed(apiKey.id);
     next();
   } catch (err) {
     console.error('Error during DB query in auth middleware:', err);
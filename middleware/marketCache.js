@@ -0,0 +1,94 @@
+// File: middleware/marketCache.js
+// Description: HTTP caching for the read-only market data routes. Responses get an ETag and
+// Last-Modified derived from the latest market snapshot and load (utils/marketCache.js); a matching
+// If-None-Match (or If-Modified-Since) gets a 304, and successful responses are kept in an
+// in-memory LRU until they expire or new market data is loaded.
+//
+// Added per route after the router's requireScope, e.g. router.get('/', marketCache, handler),
+// so a cached response is never served to a key without the scope.
+import crypto from 'crypto';
+import { getMarketDataVersion, responseCache } from '../utils/marketCache.js';
+
+// Larger responses are served with ETags but not kept in memory
+const MAX_CACHED_BODY_BYTES = 1024 * 1024;
+// Headers stored with a cached response
+const CACHED_HEADERS = ['Content-Type', 'Content-Disposition'];
+
+function etagFor(key, version) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${key}|${version.lastModified?.toISOString() ?? ''}|${version.loads}`)
+    .digest('base64url');
+  return `W/"${hash}"`;
+}
+
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*');
+  }
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    // HTTP dates have second precision
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000);
+  }
+  return false;
+}
+
+export default async function marketCache(req, res, next) {
+  if (req.method !== 'GET') {
+    return next();
+  }
+
+  let version;
+  try {
+    version = await getMarketDataVersion();
+  } catch (err) {
+    // Serve uncached rather than fail the request
+    console.error('Market cache: failed to read the market data version:', err.message);
+    return next();
+  }
+
+  // Some routes pick CSV/XLSX from the Accept header (utils/tableExport.js)
+  const key = `${req.originalUrl}|${req.get('Accept') || ''}`;
+  const etag = etagFor(key, version);
+  res.set('ETag', etag);
+  res.vary('Accept');
+  if (version.lastModified) {
+    res.set('Last-Modified', version.lastModified.toUTCString());
+  }
+  // Clients may keep responses but must revalidate them
+  res.set('Cache-Control', 'private, no-cache');
+
+  if (isNotModified(req, etag, version.lastModified)) {
+    res.locals.cacheHit = true;
+    return res.status(304).end();
+  }
+
+  const cached = responseCache.get(key);
+  if (cached && cached.etag === etag) {
+    res.locals.cacheHit = true;
+    res.set('X-Cache', 'HIT');
+    for (const [name, value] of Object.entries(cached.headers)) {
+      res.set(name, value);
+    }
+    return res.status(200).send(cached.body);
+  }
+
+  // Keep successful responses; res.json, sendCsv and sendXlsx all end in res.send
+  res.set('X-Cache', 'MISS');
+  const send = res.send.bind(res);
+  res.send = body => {
+    res.send = send;
+    const size = Buffer.isBuffer(body) || typeof body === 'string' ? Buffer.byteLength(body) : 0;
+    if (res.statusCode === 200 && size > 0 && size <= MAX_CACHED_BODY_BYTES) {
+      const headers = {};
+      for (const name of CACHED_HEADERS) {
+        if (res.get(name)) headers[name] = res.get(name);
+      }
+      responseCache.set(key, { etag, headers, body });
+    }
+    return send(body);
+  };
+  next();
+}
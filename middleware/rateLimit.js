@@ -0,0 +1,128 @@
+// File: middleware/rateLimit.js
+// Description: Enforces the per-API-key rate limit (requests per minute) and monthly quota.
+// Runs after the auth middleware, which loads the key's limits onto req.apiKeyLimits.
+// Counters are stored in Postgres (api_key_request_counters) so they survive restarts
+// and are shared by every PM2 process.
+import { getPool } from '../db.js';
+
+// Atomically bump the counter for the current window by $4, but only while it stays within the limit.
+// When it would not, the UPDATE's WHERE clause fails and no row is returned.
+const INCREMENT_COUNTER_SQL = `
+  INSERT INTO api_key_request_counters (api_key_id, window_type, window_start, request_count)
+  VALUES ($1, $2, date_trunc($2, NOW(), 'UTC'), $4)
+  ON CONFLICT (api_key_id, window_type, window_start) DO UPDATE
+  SET request_count = api_key_request_counters.request_count + $4
+  WHERE api_key_request_counters.request_count + $4 <= $3
+  RETURNING request_count`;
+
+// Old per-minute rows are only useful for debugging; prune them every so often.
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+let lastCleanupAt = 0;
+
+function pruneOldCounters() {
+  const now = Date.now();
+  if (now - lastCleanupAt < CLEANUP_INTERVAL_MS) return;
+  lastCleanupAt = now;
+
+  getPool()
+    .query(`DELETE FROM api_key_request_counters
+            WHERE window_type = 'minute' AND window_start < NOW() - INTERVAL '1 hour'`)
+    .catch((err) => console.error('Failed to prune old rate limit counters:', err));
+}
+
+// Start of the next window (UTC), used for the reset headers.
+export function nextWindowStart(windowType, now = new Date()) {
+  if (windowType === 'minute') {
+    const next = new Date(now);
+    next.setUTCSeconds(0, 0);
+    next.setUTCMinutes(next.getUTCMinutes() + 1);
+    return next;
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Counts `amount` requests against a key's 'minute' or 'month' window, all or nothing.
+ * Also used by batch jobs (utils/batchAnalysis.js), whose items are not HTTP requests.
+ *
+ * @returns {Promise<number|null>} The new count, or null when the requests do not fit in the limit.
+ */
+export async function consumeRequests(apiKeyId, windowType, limit, amount = 1) {
+  if (limit <= 0 || amount > limit) return null;
+  const result = await getPool().query(INCREMENT_COUNTER_SQL, [apiKeyId, windowType, limit, amount]);
+  return result.rowCount === 0 ? null : result.rows[0].request_count;
+}
+
+/**
+ * Gives back requests counted with consumeRequests that were not used (e.g. a batch job that
+ * could not be created).
+ */
+export async function releaseRequests(apiKeyId, windowType, amount) {
+  await getPool().query(
+    `UPDATE api_key_request_counters
+     SET request_count = GREATEST(0, request_count - $3)
+     WHERE api_key_id = $1 AND window_type = $2 AND window_start = date_trunc($2, NOW(), 'UTC')`,
+    [apiKeyId, windowType, amount]
+  );
+}
+
+export default async function rateLimit(req, res, next) {
+  const { ratePerMinute = null, monthlyQuota = null } = req.apiKeyLimits || {};
+
+  // Keys without limits configured are not metered here.
+  if (!req.apiKeyId || (ratePerMinute === null && monthlyQuota === null)) {
+    return next();
+  }
+
+  try {
+    let minuteCount = null;
+    if (ratePerMinute !== null) {
+      const count = await consumeRequests(req.apiKeyId, 'minute', ratePerMinute);
+      minuteCount = count;
+      const resetSeconds = Math.max(1, Math.ceil((nextWindowStart('minute') - Date.now()) / 1000));
+
+      // IETF draft "RateLimit" header fields
+      res.set('RateLimit-Limit', String(ratePerMinute));
+      res.set('RateLimit-Remaining', String(count === null ? 0 : Math.max(0, ratePerMinute - count)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count === null) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: `This API key is limited to ${ratePerMinute} requests per minute. Retry in ${resetSeconds} seconds.`,
+          retry_after_seconds: resetSeconds
+        });
+      }
+    }
+
+    if (monthlyQuota !== null) {
+      const count = await consumeRequests(req.apiKeyId, 'month', monthlyQuota);
+      const resetsAt = nextWindowStart('month');
+
+      res.set('X-Quota-Limit', String(monthlyQuota));
+      res.set('X-Quota-Remaining', String(count === null ? 0 : Math.max(0, monthlyQuota - count)));
+      res.set('X-Quota-Reset', resetsAt.toISOString());
+
+      if (count === null) {
+        // A request rejected by the quota does not use up the minute window
+        if (minuteCount !== null) {
+          await releaseRequests(req.apiKeyId, 'minute', 1);
+          res.set('RateLimit-Remaining', String(Math.max(0, ratePerMinute - minuteCount + 1)));
+        }
+        res.set('Retry-After', String(Math.ceil((resetsAt - Date.now()) / 1000)));
+        return res.status(429).json({
+          error: 'Monthly quota exceeded',
+          message: `This API key has used all ${monthlyQuota} requests for this month. The quota resets on ${resetsAt.toISOString()}.`,
+          quota_resets_at: resetsAt.toISOString()
+        });
+      }
+    }
+  } catch (err) {
+    // Fail open: a counter problem should not take the whole API down.
+    console.error('Error while enforcing rate limits:', err);
+  }
+
+  pruneOldCounters();
+  next();
+}
@@ -0,0 +1,36 @@
+// File: middleware/requireScope.js
+// Description: Per-route permission check for scoped API keys.
+// The auth middleware loads the key's scopes onto req.apiKeyScopes; each router
+// declares the scope it needs with router.use(requireScope('...')).
+
+// Known scopes. A key holding '*' is granted every scope.
+export const SCOPES = {
+  MARKETS_READ: 'markets:read',
+  PROPERTY_ANALYZE: 'property:analyze',
+  LOCATION_READ: 'location:read',
+  // Internal only: manage API keys via /api/v1/admin/keys
+  ADMIN_KEYS: 'admin:keys',
+  // Internal only: billing/usage reports via /api/v1/admin/usage
+  ADMIN_USAGE: 'admin:usage',
+  // Internal only: inspect property_cache via /api/v1/admin/property-cache
+  // and the market data response cache via /api/v1/admin/market-cache
+  ADMIN_CACHE: 'admin:cache',
+};
+
+export function hasScope(grantedScopes, scope) {
+  return Array.isArray(grantedScopes) && (grantedScopes.includes(scope) || grantedScopes.includes('*'));
+}
+
+// requireScope('a') or requireScope('a', 'b'): the key needs at least one of the listed scopes.
+export default function requireScope(...scopes) {
+  return function checkScope(req, res, next) {
+    if (!scopes.some(scope => hasScope(req.apiKeyScopes, scope))) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This API key is not allowed to call this endpoint. Required scope: ${scopes.join(' or ')}`,
+        required_scope: scopes.length === 1 ? scopes[0] : scopes
+      });
+    }
+    next();
+  };
+}
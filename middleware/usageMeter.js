@@ -0,0 +1,62 @@
+// File: middleware/usageMeter.js
+// Description: Records every authenticated request in api_usage_events for billing:
+// key, route, status, latency, and whether an upstream analysis call was made or
+// property_cache served the request. Mounted right after the auth middleware.
+//
+// Routes flag analysis work on res.locals:
+//   res.locals.upstreamCall = true  -> a paid external analysis call was made
+//   res.locals.cacheHit = true      -> the analysis came from property_cache, or a market data
+//                                      response from the response cache / a 304 (middleware/marketCache.js)
+import { getPool } from '../db.js';
+
+// Route pattern for grouping (e.g. /api/v1/location-details/:area_id rather than /api/v1/location-details/79503).
+// Requests rejected before reaching a router (e.g. 429) fall back to the URL path with numeric ids collapsed.
+function routeLabel(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return req.originalUrl.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+/**
+ * Inserts one row into api_usage_events. Also used for work done outside an HTTP request
+ * (batch job items), so it is billed like a regular call. Never throws.
+ */
+export function recordUsageEvent({ apiKeyId, method, route, statusCode, latencyMs, upstreamCall = false, cacheHit = false }) {
+  return getPool()
+    .query(
+      `INSERT INTO api_usage_events (api_key_id, method, route, status_code, latency_ms, upstream_call, cache_hit)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [apiKeyId, method, route, statusCode, latencyMs, upstreamCall === true, cacheHit === true]
+    )
+    .catch((err) => console.error('Failed to record API usage event:', err));
+}
+
+export default function usageMeter(req, res, next) {
+  if (!req.apiKeyId) {
+    return next();
+  }
+
+  const startedAt = process.hrtime.bigint();
+  let recorded = false;
+
+  // 'finish' fires when the response was sent, 'close' also covers clients that disconnected early.
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+
+    recordUsageEvent({
+      apiKeyId: req.apiKeyId,
+      method: req.method,
+      route: routeLabel(req),
+      statusCode: res.statusCode,
+      latencyMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      upstreamCall: res.locals.upstreamCall,
+      cacheHit: res.locals.cacheHit
+    });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+}
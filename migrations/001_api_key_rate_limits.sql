@@ -0,0 +1,21 @@
+-- File: migrations/001_api_key_rate_limits.sql
+-- Description: Per-API-key rate limits and monthly quotas.
+-- Apply with: psql "$DATABASE_URL" -f migrations/001_api_key_rate_limits.sql
+
+-- Limits are configured per key. NULL means "no limit" so existing keys keep working unchanged.
+ALTER TABLE ss_api_keys
+    ADD COLUMN IF NOT EXISTS rate_limit_per_minute INTEGER,
+    ADD COLUMN IF NOT EXISTS monthly_quota INTEGER;
+
+-- Request counters live in Postgres (not process memory) so they survive restarts
+-- and are shared by every PM2 process. One row per key per window.
+CREATE TABLE IF NOT EXISTS api_key_request_counters (
+    api_key_id    INTEGER     NOT NULL REFERENCES ss_api_keys(id) ON DELETE CASCADE,
+    window_type   TEXT        NOT NULL CHECK (window_type IN ('minute', 'month')),
+    window_start  TIMESTAMPTZ NOT NULL,
+    request_count INTEGER     NOT NULL DEFAULT 0,
+    PRIMARY KEY (api_key_id, window_type, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_key_request_counters_window_start
+    ON api_key_request_counters (window_type, window_start);
@@ -0,0 +1,12 @@
+-- File: migrations/002_api_key_scopes.sql
+-- Description: Scoped API keys. Each router declares the scope it needs (see middleware/requireScope.js).
+-- Apply with: psql "$DATABASE_URL" -f migrations/002_api_key_scopes.sql
+
+ALTER TABLE ss_api_keys
+    ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
+
+-- Existing keys could call every router before scopes existed; keep that behaviour for them.
+-- New keys start with no scopes and must be granted them explicitly.
+UPDATE ss_api_keys
+SET scopes = ARRAY['markets:read', 'property:analyze', 'location:read']
+WHERE scopes = '{}';
@@ -0,0 +1,29 @@
+-- File: migrations/003_api_key_lifecycle.sql
+-- Description: Hashed API key storage plus lifecycle columns (expiry, revocation, last use).
+-- Apply with: psql "$DATABASE_URL" -f migrations/003_api_key_lifecycle.sql
+--
+-- After this migration the plaintext `key` column is gone. Existing keys keep working
+-- because their SHA-256 hash is computed here, the same way utils/apiKeys.js hashes them.
+
+ALTER TABLE ss_api_keys
+    ADD COLUMN IF NOT EXISTS key_hash     TEXT,
+    ADD COLUMN IF NOT EXISTS key_prefix   TEXT,
+    ADD COLUMN IF NOT EXISTS name         TEXT,
+    ADD COLUMN IF NOT EXISTS created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS expires_at   TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS revoked_at   TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS replaced_by  INTEGER REFERENCES ss_api_keys(id);
+
+UPDATE ss_api_keys
+SET key_hash   = encode(sha256(convert_to(key, 'UTF8')), 'hex'),
+    key_prefix = left(key, 12)
+WHERE key_hash IS NULL;
+
+ALTER TABLE ss_api_keys ALTER COLUMN key_hash SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ss_api_keys_key_hash ON ss_api_keys (key_hash);
+
+ALTER TABLE ss_api_keys DROP COLUMN IF EXISTS key;
+
+-- Grant key management to an existing internal key, e.g.:
+-- UPDATE ss_api_keys SET scopes = array_append(scopes, 'admin:keys') WHERE id = <internal key id>;
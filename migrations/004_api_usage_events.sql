@@ -0,0 +1,20 @@
+-- File: migrations/004_api_usage_events.sql
+-- Description: One row per authenticated request, used for partner billing (GET /api/v1/admin/usage).
+-- Apply with: psql "$DATABASE_URL" -f migrations/004_api_usage_events.sql
+
+CREATE TABLE IF NOT EXISTS api_usage_events (
+    id            BIGSERIAL   PRIMARY KEY,
+    api_key_id    INTEGER     REFERENCES ss_api_keys(id) ON DELETE SET NULL,
+    method        TEXT        NOT NULL,
+    route         TEXT        NOT NULL,   -- route pattern, e.g. /api/v1/location-details/:area_id
+    status_code   INTEGER     NOT NULL,
+    latency_ms    INTEGER     NOT NULL,
+    upstream_call BOOLEAN     NOT NULL DEFAULT FALSE, -- a paid external analysis call was made
+    cache_hit     BOOLEAN     NOT NULL DEFAULT FALSE, -- the analysis was served from property_cache
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_events_key_created
+    ON api_usage_events (api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_usage_events_created
+    ON api_usage_events (created_at);
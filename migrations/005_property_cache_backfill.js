@@ -0,0 +1,36 @@
+// File: migrations/005_property_cache_backfill.js
+// Description: Backfills property_cache.normalized_address of legacy rows (no cache_key, see
+// 005_property_cache_request_shape.sql) with the same match key the API looks addresses up by
+// (parseAddress in utils/addressNormalization.js), so the address-only lookups find them. The
+// abbreviation and state expansion cannot be done in SQL. Idempotent; run after the SQL migration.
+// Apply with: DATABASE_URL=... node migrations/005_property_cache_backfill.js
+
+import { getPool } from '../db.js';
+import { normalizeCacheAddress } from '../utils/propertyCache.js';
+
+const pool = getPool();
+try {
+    const { rows } = await pool.query(
+        `SELECT DISTINCT address, normalized_address
+         FROM property_cache
+         WHERE cache_key IS NULL AND address IS NOT NULL`
+    );
+    let updated = 0;
+    for (const row of rows) {
+        const normalized = normalizeCacheAddress(row.address);
+        if (normalized === row.normalized_address) continue;
+        const result = await pool.query(
+            `UPDATE property_cache
+             SET normalized_address = $2
+             WHERE cache_key IS NULL AND address = $1`,
+            [row.address, normalized]
+        );
+        updated += result.rowCount;
+    }
+    console.log(`✅ Backfilled normalized_address of ${updated} legacy property_cache row(s) (${rows.length} address(es) checked).`);
+} catch (err) {
+    console.error('🔥 property_cache backfill failed:', err);
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
@@ -0,0 +1,48 @@
+-- File: migrations/005_property_cache_request_shape.sql
+-- Description: Key property_cache entries by the full request shape (normalized address + bedrooms,
+-- bathrooms, accommodates) instead of the raw address, so a 2-bedroom request can no longer be
+-- served an analysis that was fetched for 5 bedrooms. See utils/propertyCache.js.
+-- Apply with: psql "$DATABASE_URL" -f migrations/005_property_cache_request_shape.sql
+
+ALTER TABLE property_cache
+    ADD COLUMN IF NOT EXISTS cache_key          TEXT,
+    ADD COLUMN IF NOT EXISTS normalized_address TEXT,
+    ADD COLUMN IF NOT EXISTS bedrooms           INTEGER,
+    ADD COLUMN IF NOT EXISTS bathrooms          NUMERIC(4, 1),
+    ADD COLUMN IF NOT EXISTS accommodates       INTEGER;
+
+-- The address alone is no longer unique: one address can now have an entry per configuration.
+DO $$
+DECLARE
+    c RECORD;
+BEGIN
+    FOR c IN
+        SELECT con.conname
+        FROM pg_constraint con
+        JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = ANY (con.conkey)
+        WHERE con.conrelid = 'property_cache'::regclass
+          AND con.contype IN ('u', 'p')
+          AND array_length(con.conkey, 1) = 1
+          AND att.attname = 'address'
+    LOOP
+        EXECUTE format('ALTER TABLE property_cache DROP CONSTRAINT %I', c.conname);
+    END LOOP;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_property_cache_cache_key ON property_cache (cache_key);
+CREATE INDEX IF NOT EXISTS idx_property_cache_normalized_address ON property_cache (normalized_address);
+
+-- Legacy rows: we don't know which bedroom/bathroom/accommodates values they were fetched for,
+-- so they get no cache_key and are never served to analyze requests again. They stay visible to
+-- the address-only admin lookup until they pass the 30-day expiry. Expired legacy rows are removed
+-- below; this migration is idempotent, so re-running it after 30 days clears the rest.
+-- This only collapses whitespace. The address lookups match on parseAddress().matchKey (abbreviations
+-- and state names expanded), so run migrations/005_property_cache_backfill.js afterwards to give
+-- legacy rows that key.
+UPDATE property_cache
+SET normalized_address = lower(regexp_replace(trim(address), '\s+', ' ', 'g'))
+WHERE normalized_address IS NULL;
+
+DELETE FROM property_cache
+WHERE cache_key IS NULL
+  AND last_fetched < NOW() - INTERVAL '30 days';
@@ -0,0 +1,10 @@
+-- File: migrations/006_analyzer_queries_normalized_address.sql
+-- Description: Store the canonical address match key (utils/addressNormalization.js) with each
+-- analyzer query, so queries for the same property can be grouped however the address was typed.
+-- Apply with: psql "$DATABASE_URL" -f migrations/006_analyzer_queries_normalized_address.sql
+
+ALTER TABLE analyzer_queries
+    ADD COLUMN IF NOT EXISTS normalized_address TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_analyzer_queries_normalized_address
+    ON analyzer_queries (normalized_address);
@@ -0,0 +1,33 @@
+-- File: migrations/007_analysis_batch_jobs.sql
+-- Description: Bulk property analysis jobs (POST /api/v1/property/batch). A job holds one item per
+-- property; items are processed with bounded concurrency by utils/batchAnalysis.js.
+-- Apply with: psql "$DATABASE_URL" -f migrations/007_analysis_batch_jobs.sql
+
+CREATE TABLE IF NOT EXISTS analysis_batch_jobs (
+    id          UUID        PRIMARY KEY,  -- generated by the API (crypto.randomUUID), not guessable
+    api_key_id  INTEGER     REFERENCES ss_api_keys(id) ON DELETE SET NULL,
+    status      TEXT        NOT NULL DEFAULT 'pending'
+                            CHECK (status IN ('pending', 'processing', 'completed')),
+    total_items INTEGER     NOT NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at  TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_batch_jobs_status ON analysis_batch_jobs (status);
+
+CREATE TABLE IF NOT EXISTS analysis_batch_items (
+    job_id      UUID        NOT NULL REFERENCES analysis_batch_jobs(id) ON DELETE CASCADE,
+    item_index  INTEGER     NOT NULL,
+    input       JSONB       NOT NULL,
+    status      TEXT        NOT NULL DEFAULT 'pending'
+                            CHECK (status IN ('pending', 'processing', 'succeeded', 'failed')),
+    result      JSONB,      -- the analyze response `data` on success
+    error       TEXT,       -- the analyze response `message` on failure
+    started_at  TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    PRIMARY KEY (job_id, item_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_batch_items_pending
+    ON analysis_batch_items (job_id, item_index) WHERE status = 'pending';
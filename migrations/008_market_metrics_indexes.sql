@@ -0,0 +1,16 @@
+-- File: migrations/008_market_metrics_indexes.sql
+-- Description: Indexes for the "latest row per area" lookups used by the market search and
+-- comparison endpoints (utils/marketMetrics.js), which run one LATERAL lookup per area and table.
+-- Apply with: psql "$DATABASE_URL" -f migrations/008_market_metrics_indexes.sql
+
+CREATE INDEX IF NOT EXISTS idx_monthly_market_metrics_area_period
+    ON monthly_market_metrics (area_id, year DESC, month DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ltm_metrics_area_period
+    ON ltm_metrics (area_id, year DESC, month DESC, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_market_grades_area_snapshot
+    ON market_grades (area_id, snapshot_date DESC);
+
+CREATE INDEX IF NOT EXISTS idx_rental_growth_area_snapshot
+    ON rental_growth (area_id, snapshot_date DESC);
@@ -0,0 +1,42 @@
+-- File: migrations/009_area_slugs_and_zip_codes.sql
+-- Description: Area resolution (utils/areaResolver.js): unique slugs on areas, so every area route can
+-- take a slug instead of an area_id, and the ZIP codes each area covers, for autocomplete.
+-- Missing slugs are generated by the API at startup (ensureAreaSlugs).
+-- Apply with: psql "$DATABASE_URL" -f migrations/009_area_slugs_and_zip_codes.sql
+
+ALTER TABLE areas
+    ADD COLUMN IF NOT EXISTS slug TEXT;
+
+-- Existing slugs must be unique regardless of case before the index can be created. Empty slugs are
+-- cleared (ensureAreaSlugs fills them in); for case-insensitive duplicates the lowest area_id keeps the
+-- slug and the others get "-<area_id>" appended, like ensureAreaSlugs does for collisions.
+UPDATE areas SET slug = NULL WHERE slug = '';
+
+UPDATE areas a
+SET slug = LOWER(a.slug) || '-' || a.area_id
+FROM (
+    SELECT area_id,
+           ROW_NUMBER() OVER (PARTITION BY LOWER(slug) ORDER BY area_id) AS position
+    FROM areas
+    WHERE slug IS NOT NULL
+) ranked
+WHERE ranked.area_id = a.area_id AND ranked.position > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_areas_slug_lower
+    ON areas (LOWER(slug));
+
+-- Prefix searches on city names ("aus" -> Austin)
+CREATE INDEX IF NOT EXISTS idx_areas_city_name_lower
+    ON areas (LOWER(city_name) text_pattern_ops);
+
+-- One row per ZIP code and area (a ZIP can span areas). Loaded by migrations/009_area_zip_codes_backfill.js
+-- (from a zip_code,area_id CSV and/or the addresses already analyzed); empty until it has run.
+CREATE TABLE IF NOT EXISTS area_zip_codes (
+    zip_code    TEXT NOT NULL,
+    area_id     INTEGER NOT NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (zip_code, area_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_area_zip_codes_area
+    ON area_zip_codes (area_id);
@@ -0,0 +1,70 @@
+// File: migrations/009_area_zip_codes_backfill.js
+// Description: Loads area_zip_codes (009_area_slugs_and_zip_codes.sql), which the ZIP code
+// autocomplete of GET /api/v1/areas/search reads. Two sources, both optional and idempotent:
+//   - a CSV file given as the first argument with `zip_code` and `area_id` columns (the ZIP code
+//     list of the market data, when it is available), loaded as is;
+//   - the addresses already analyzed (property_cache and analyzer_queries): each address with a ZIP
+//     code is matched to its area by city and state, like the seasonality lookup (findAreaForAddress).
+// Existing rows are kept. Run after the SQL migration, and again after loading new market data.
+// Apply with: DATABASE_URL=... node migrations/009_area_zip_codes_backfill.js [zip_codes.csv]
+
+import fs from 'fs';
+import { getPool } from '../db.js';
+import { parseCsv } from '../utils/csv.js';
+import { parseAddress } from '../utils/addressNormalization.js';
+import { findAreaForAddress } from '../utils/seasonality.js';
+
+const insertZipCode = (pool, zipCode, areaId) => pool.query(
+    `INSERT INTO area_zip_codes (zip_code, area_id)
+     SELECT $1, $2
+     WHERE EXISTS (SELECT 1 FROM areas WHERE area_id = $2)
+     ON CONFLICT DO NOTHING`,
+    [zipCode, areaId]
+);
+
+const pool = getPool();
+try {
+    let inserted = 0;
+
+    const csvPath = process.argv[2];
+    if (csvPath) {
+        const rows = parseCsv(fs.readFileSync(csvPath, 'utf8'));
+        let skipped = 0;
+        for (const row of rows) {
+            const zipCode = (row.zip_code || '').padStart(5, '0');
+            if (!/^\d{5}$/.test(zipCode) || !/^\d{1,10}$/.test(row.area_id || '')) {
+                skipped++;
+                continue;
+            }
+            inserted += (await insertZipCode(pool, zipCode, Number(row.area_id))).rowCount;
+        }
+        console.log(`📄 ${csvPath}: ${rows.length} row(s), ${skipped} skipped (no valid zip_code/area_id).`);
+    }
+
+    const { rows: addresses } = await pool.query(
+        `SELECT address FROM property_cache WHERE address IS NOT NULL
+         UNION
+         SELECT address FROM analyzer_queries WHERE address IS NOT NULL`
+    );
+    // One area lookup per ZIP code, city and state
+    const localities = new Map();
+    for (const { address } of addresses) {
+        const parsed = parseAddress(address);
+        if (parsed.zip && parsed.city && parsed.state) {
+            localities.set(`${parsed.zip}|${parsed.city.toLowerCase()}|${parsed.state}`, parsed);
+        }
+    }
+    for (const parsed of localities.values()) {
+        const area = await findAreaForAddress(parsed);
+        if (area) {
+            inserted += (await insertZipCode(pool, parsed.zip, area.area_id)).rowCount;
+        }
+    }
+
+    console.log(`✅ Added ${inserted} area_zip_codes row(s) (${addresses.length} analyzed address(es), ${localities.size} ZIP code/city pair(s) checked).`);
+} catch (err) {
+    console.error('🔥 area_zip_codes backfill failed:', err);
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
@@ -0,0 +1,45 @@
+-- File: migrations/010_market_data_notify.sql
+-- Description: Notify the API when market data is loaded, so its response cache
+-- (utils/marketCache.js) is invalidated right away. Statement-level triggers send one
+-- NOTIFY market_data_loaded per write statement, with the table name as the payload
+-- (Postgres delivers identical notifications once per transaction).
+-- Each loading transaction is also recorded in market_data_loads, which becomes visible when it
+-- commits: the API derives its ETags from it, so every API process agrees on them.
+-- Apply with: psql "$DATABASE_URL" -f migrations/010_market_data_notify.sql
+
+-- One row per transaction that wrote market data (or per admin invalidation)
+CREATE TABLE IF NOT EXISTS market_data_loads (
+    txid       BIGINT      PRIMARY KEY,  -- txid_current() of the loading transaction
+    source     TEXT        NOT NULL,     -- first table written, or the admin reason
+    loaded_at  TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE OR REPLACE FUNCTION notify_market_data_loaded() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO market_data_loads (txid, source)
+    VALUES (txid_current(), TG_TABLE_NAME)
+    ON CONFLICT (txid) DO NOTHING;
+    PERFORM pg_notify('market_data_loaded', TG_TABLE_NAME);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY[
+        'areas', 'area_profiles', 'area_zip_codes', 'monthly_market_metrics', 'ltm_metrics',
+        'rental_growth', 'market_grades', 'active_listings', 'rental_activity',
+        'rental_amenities', 'rental_ratings', 'rental_settings'
+    ]
+    LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS trg_%s_market_data_loaded ON %I', t, t);
+        EXECUTE format(
+            'CREATE TRIGGER trg_%s_market_data_loaded AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON %I '
+            'FOR EACH STATEMENT EXECUTE FUNCTION notify_market_data_loaded()',
+            t, t
+        );
+    END LOOP;
+END;
+$$;
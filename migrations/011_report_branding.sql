@@ -0,0 +1,27 @@
+-- File: migrations/011_report_branding.sql
+-- Description: Branding for the PDF analysis reports (POST /api/v1/property/report): a default per
+-- API key (agent_id NULL) and optional overrides per agent of that key. Empty fields fall back to the
+-- key default, then to the StaySTRa defaults (utils/reportBranding.js).
+-- Apply with: psql "$DATABASE_URL" -f migrations/011_report_branding.sql
+
+CREATE TABLE IF NOT EXISTS report_branding (
+    id                SERIAL      PRIMARY KEY,
+    api_key_id        INTEGER     NOT NULL REFERENCES ss_api_keys(id) ON DELETE CASCADE,
+    agent_id          TEXT,       -- NULL = the key's default branding
+    company_name      TEXT,
+    primary_color     TEXT,       -- '#rrggbb'
+    accent_color      TEXT,
+    logo              BYTEA,      -- PNG or JPEG, validated by the API
+    logo_content_type TEXT,
+    contact_name      TEXT,
+    contact_email     TEXT,
+    contact_phone     TEXT,
+    contact_website   TEXT,
+    footer_text       TEXT,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per key and agent (and one key default)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_branding_key_agent
+    ON report_branding (api_key_id, COALESCE(agent_id, ''));
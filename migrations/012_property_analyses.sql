@@ -0,0 +1,21 @@
+-- File: migrations/012_property_analyses.sql
+-- Description: Stored results of successful property analyses (utils/savedAnalyses.js): the request
+-- inputs, where the upstream data came from and the analyze response `data` as it was returned, so
+-- results can be fetched again by ID and compared across re-analyses of the same property.
+-- Apply with: psql "$DATABASE_URL" -f migrations/012_property_analyses.sql
+
+CREATE TABLE IF NOT EXISTS property_analyses (
+    id                 UUID        PRIMARY KEY,  -- generated by the API (crypto.randomUUID), not guessable
+    api_key_id         INTEGER     REFERENCES ss_api_keys(id) ON DELETE SET NULL,
+    query_id           INTEGER,                  -- analyzer_queries.id, when the query was logged
+    normalized_address TEXT        NOT NULL,     -- same match key as analyzer_queries.normalized_address
+    cache_key          TEXT        NOT NULL,     -- property_cache key of the configuration analyzed
+    inputs             JSONB       NOT NULL,
+    source             JSONB       NOT NULL,
+    result             JSON        NOT NULL,     -- JSON, not JSONB: returned exactly as stored (key order, numbers)
+    created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_analyses_history
+    ON property_analyses (api_key_id, normalized_address, created_at DESC);
+
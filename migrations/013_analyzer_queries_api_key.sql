@@ -0,0 +1,10 @@
+-- File: migrations/013_analyzer_queries_api_key.sql
+-- Description: Record which API key ran each analyzer query and the property_cache key of the
+-- configuration it analyzed, so prior analyses looked up by query_id (POST /scenario, POST /report)
+-- are limited to the key's own queries and use the data of the configuration that was analyzed.
+-- Queries logged before this migration have no owner and can no longer be looked up by query_id.
+-- Apply with: psql "$DATABASE_URL" -f migrations/013_analyzer_queries_api_key.sql
+
+ALTER TABLE analyzer_queries
+    ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES ss_api_keys(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS cache_key  TEXT;
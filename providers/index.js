@@ -0,0 +1,45 @@
+// File: providers/index.js
+// Description: Selects the property analysis provider (upstream data vendor) from config.
+//
+// Every provider implements the same interface:
+//
+//   provider.name                      -> string stored in property_cache.source_api
+//   await provider.analyze(inputs)     -> normalized analysis (see below)
+//
+// inputs (normalized by the routes):
+//   { address: string, bedrooms: number|null, bathrooms: number|null, accommodates: number|null }
+//
+// normalized analysis:
+//   { property_details: object, property_statistics: object, comps: Array<object>, combined_market_info: object }
+//
+// property_statistics.{adr,occupancy,revenue} (and comps[].stats.*) carry `ltm` and, when the vendor
+// provides it, an optional `monthly` series: 12 numbers (January first) or [{ month, value }] where
+// month is 1-12 or a 'YYYY-MM[-DD]' date. It drives the seasonal projection (utils/seasonality.js).
+//
+// Providers throw ProviderError (providers/providerError.js) when the upstream call fails or
+// returns unusable data. Set ANALYSIS_PROVIDER to pick one; the default is the RapidAPI/AirDNA adapter.
+import rapidApiProvider from './rapidApiProvider.js';
+import mockProvider from './mockProvider.js';
+
+export { ProviderError } from './providerError.js';
+
+const PROVIDERS = {
+    [rapidApiProvider.name]: rapidApiProvider,
+    [mockProvider.name]: mockProvider,
+};
+
+const DEFAULT_PROVIDER = rapidApiProvider.name;
+
+/**
+ * Returns the provider selected by the ANALYSIS_PROVIDER environment variable.
+ *
+ * @returns {{ name: string, analyze: Function }}
+ */
+export function getAnalysisProvider() {
+    const name = (process.env.ANALYSIS_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown ANALYSIS_PROVIDER "${name}". Valid values: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
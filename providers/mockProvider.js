@@ -0,0 +1,66 @@
+// File: providers/mockProvider.js
+// Description: Offline analysis provider that serves JSON fixtures from providers/fixtures.
+// Select it with ANALYSIS_PROVIDER=mock to develop and test the full analysis flow without
+// paying for (or having network access to) the upstream service.
+//
+// Fixture selection: the address is slugified ("123 Main St, Austin TX" -> "123-main-st-austin-tx")
+// and fixtures/<slug>.json is used when it exists, otherwise MOCK_ANALYSIS_FIXTURE (default "default").
+// A fixture with a top-level "error" object ({ status, body }) simulates an upstream failure.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ProviderError } from './providerError.js';
+
+const FIXTURES_DIR = process.env.MOCK_ANALYSIS_FIXTURE_DIR
+    || path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+async function readFixture(name) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+async function analyze({ address, bedrooms, bathrooms, accommodates }) {
+    const fixtureName = process.env.MOCK_ANALYSIS_FIXTURE || 'default';
+    const fixture = (await readFixture(slugify(address))) || (await readFixture(fixtureName));
+    if (!fixture) {
+        throw new Error(`Mock analysis fixture "${fixtureName}" not found in ${FIXTURES_DIR}.`);
+    }
+
+    if (fixture.error) {
+        const status = fixture.error.status || 500;
+        throw new ProviderError(`Mock provider simulated an upstream failure. Status: ${status}`, {
+            code: `EXTERNAL_FETCH_ERROR_${status}`,
+            userMessage: `External analysis service responded with an error (Status ${status}). Please try again later.`,
+            status,
+            details: JSON.stringify(fixture.error.body || {})
+        });
+    }
+
+    // Echo the request back in property_details so responses look like a real lookup.
+    return {
+        property_details: {
+            ...fixture.property_details,
+            address,
+            ...(bedrooms > 0 && { bedrooms }),
+            ...(bathrooms > 0 && { bathrooms }),
+            ...(accommodates > 0 && { accommodates }),
+        },
+        property_statistics: fixture.property_statistics,
+        comps: fixture.comps || [],
+        combined_market_info: fixture.combined_market_info,
+    };
+}
+
+export default {
+    name: 'mock',
+    isPaid: false,
+    analyze,
+};
@@ -0,0 +1,24 @@
+// File: providers/providerError.js
+// Description: Error thrown by analysis providers when the upstream service fails or
+// returns data we cannot use. The routes log `code` to query_errors and alert on it.
+
+export class ProviderError extends Error {
+    /**
+     * @param {string} message - Human-readable description (logged, not shown to end users).
+     * @param {object} options
+     * @param {string} options.code - Error code stored in query_errors (e.g. EXTERNAL_FETCH_ERROR_502).
+     * @param {string} options.userMessage - Safe message for the API response.
+     * @param {number} [options.status] - Upstream HTTP status, when there was one.
+     * @param {string} [options.details] - Upstream body or payload excerpt for logs/alerts.
+     */
+    constructor(message, { code, userMessage, status = null, details = '' }) {
+        super(message);
+        this.name = 'ProviderError';
+        this.code = code;
+        this.userMessage = userMessage;
+        this.status = status;
+        this.details = details;
+        // Set by utils/analysisDataLoader.js on copies handed to requests that joined another request's call.
+        this.coalesced = false;
+    }
+}
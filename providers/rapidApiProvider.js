@@ -0,0 +1,82 @@
+// File: providers/rapidApiProvider.js
+// Description: Analysis provider backed by the AirDNA rentalizer endpoint on RapidAPI.
+// Configured through EXTERNAL_ANALYSIS_BASE_URL, EXTERNAL_ANALYSIS_API_KEY and EXTERNAL_ANALYSIS_API_HOST.
+import fetch from 'node-fetch';
+import { ProviderError } from './providerError.js';
+
+// AirDNA already nests everything we need under `data` in the shape the rest of the API uses.
+function normalizeResponse(rawResponse) {
+    if (!rawResponse || typeof rawResponse.data !== 'object' || rawResponse.data === null) {
+        throw new ProviderError('External data in unexpected format or missing main data key.', {
+            code: 'EXTERNAL_BAD_DATA',
+            userMessage: 'Analysis data format unexpected. Please try a different address or contact support.',
+            status: 200, // The upstream answered, just not with usable data
+            details: JSON.stringify(rawResponse, null, 2).substring(0, 1000)
+        });
+    }
+    const data = rawResponse.data;
+    return {
+        property_details: data.property_details,
+        property_statistics: data.property_statistics,
+        comps: data.comps || [],
+        combined_market_info: data.combined_market_info,
+    };
+}
+
+async function analyze({ address, bedrooms, bathrooms, accommodates }) {
+    // Prepare parameters for the AirDNA API request URL
+    const params = new URLSearchParams({ // Keep parameters as expected by the external API
+        address: address,
+        ...(bedrooms > 0 && { bedrooms: bedrooms }),
+        ...(bathrooms > 0 && { bathrooms: bathrooms }),
+        ...(accommodates > 0 && { accommodates: accommodates })
+    });
+
+    // Use generic environment variables
+    const externalApiBaseUrl = process.env.EXTERNAL_ANALYSIS_BASE_URL;
+    const externalApiKey = process.env.EXTERNAL_ANALYSIS_API_KEY;
+    const externalApiHost = process.env.EXTERNAL_ANALYSIS_API_HOST;
+
+    if (!externalApiBaseUrl || !externalApiKey || !externalApiHost) {
+        console.error('External API configuration error: Missing required environment variables.');
+        throw new Error('External API service is not configured correctly.'); // Internal error, not a provider failure
+    }
+
+    const externalApiUrl = `${externalApiBaseUrl}?${params}`;
+
+    console.log('[DEBUG] Making external API call with the following details:');
+    console.log(`[DEBUG]   URL: ${externalApiUrl}`);
+    console.log(`[DEBUG]   Host Header: ${externalApiHost}`);
+    console.log(`[DEBUG]   API Key (last 5 chars): ${externalApiKey.slice(-5)}`); // Log only last few chars of key
+
+    const externalApiResponse = await fetch(externalApiUrl, {
+        method: 'GET',
+        headers: {
+            'x-rapidapi-host': externalApiHost,
+            'x-rapidapi-key': externalApiKey,
+        }
+    });
+
+    // Check if the external API call itself failed (HTTP status 2xx)
+    if (!externalApiResponse.ok) {
+        const errorBody = await externalApiResponse.text();
+        throw new ProviderError(
+            `External API call failed. Status: ${externalApiResponse.status}, StatusText: ${externalApiResponse.statusText}`,
+            {
+                code: `EXTERNAL_FETCH_ERROR_${externalApiResponse.status}`,
+                userMessage: `External analysis service responded with an error (Status ${externalApiResponse.status}). Please try again later.`,
+                status: externalApiResponse.status,
+                details: errorBody.substring(0, 1000)
+            }
+        );
+    }
+
+    return normalizeResponse(await externalApiResponse.json());
+}
+
+export default {
+    name: 'rapidapi',
+    // Every analyze() call is a paid upstream request.
+    isPaid: true,
+    analyze,
+};
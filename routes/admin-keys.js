@@ -0,0 +1,262 @@
+// File: routes/admin-keys.js
+// Description: Admin-only API key lifecycle management: create, list, update (expiry, scopes, limits),
+// rotate and revoke keys. Mounted at /api/v1/admin/keys in app.js and requires the 'admin:keys' scope.
+// Keys are stored hashed; the plaintext key is returned exactly once, when it is created or rotated.
+import express from 'express';
+import { getPool } from '../db.js';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { generateApiKey, formatApiKeyRecord } from '../utils/apiKeys.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.ADMIN_KEYS));
+
+const KEY_COLUMNS = `id, name, key_prefix, scopes, rate_limit_per_minute, monthly_quota,
+                     created_at, expires_at, revoked_at, last_used_at, replaced_by`;
+
+const VALID_SCOPES = new Set([...Object.values(SCOPES), '*']);
+
+// --- Input helpers ---
+// Each returns { value } or { error } so handlers can reply with a 400 in one place.
+
+function parseScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.some(s => typeof s !== 'string')) {
+        return { error: 'scopes must be an array of strings.' };
+    }
+    const unknown = scopes.filter(s => !VALID_SCOPES.has(s));
+    if (unknown.length > 0) {
+        return { error: `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${[...VALID_SCOPES].join(', ')}` };
+    }
+    return { value: [...new Set(scopes)] };
+}
+
+function parseLimit(value, field) {
+    if (value === null) return { value: null };
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+        return { error: `${field} must be a non-negative integer or null.` };
+    }
+    return { value: n };
+}
+
+function parseExpiry(value) {
+    if (value === null) return { value: null };
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return { error: 'expires_at must be an ISO 8601 date or null.' };
+    }
+    return { value: date };
+}
+
+// Collects the editable fields present in the body. Used by both create and update.
+function parseKeySettings(body) {
+    const settings = {};
+    if (body.name !== undefined) {
+        if (body.name !== null && typeof body.name !== 'string') return { error: 'name must be a string.' };
+        settings.name = body.name;
+    }
+    const parsers = {
+        scopes: parseScopes,
+        rate_limit_per_minute: v => parseLimit(v, 'rate_limit_per_minute'),
+        monthly_quota: v => parseLimit(v, 'monthly_quota'),
+        expires_at: parseExpiry,
+    };
+    for (const [field, parse] of Object.entries(parsers)) {
+        if (body[field] === undefined) continue;
+        const parsed = parse(body[field]);
+        if (parsed.error) return { error: parsed.error };
+        settings[field] = parsed.value;
+    }
+    return { value: settings };
+}
+
+function parseKeyId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+        res.status(400).json({ error: 'Invalid key id format. Must be an integer.' });
+        return null;
+    }
+    return id;
+}
+
+// --- Routes ---
+
+// List keys, newest first. Optional ?status=active|revoked|expired filter.
+router.get('/', async (req, res) => {
+    try {
+        const result = await getPool().query(`SELECT ${KEY_COLUMNS} FROM ss_api_keys ORDER BY created_at DESC, id DESC`);
+        let keys = result.rows.map(formatApiKeyRecord);
+        if (req.query.status) {
+            keys = keys.filter(k => k.status === req.query.status);
+        }
+        res.json({ keys });
+    } catch (err) {
+        console.error('Error listing API keys:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    const id = parseKeyId(req, res);
+    if (id === null) return;
+    try {
+        const result = await getPool().query(`SELECT ${KEY_COLUMNS} FROM ss_api_keys WHERE id = $1`, [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: `API key with ID ${id} not found.` });
+        }
+        res.json(formatApiKeyRecord(result.rows[0]));
+    } catch (err) {
+        console.error(`Error fetching API key ${id}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create a key. The plaintext key is only in this response.
+router.post('/', async (req, res) => {
+    const parsed = parseKeySettings(req.body || {});
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    const settings = parsed.value;
+    if (!settings.name) {
+        return res.status(400).json({ error: 'name is required.' });
+    }
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+    try {
+        const result = await getPool().query(
+            `INSERT INTO ss_api_keys (key_hash, key_prefix, name, scopes, rate_limit_per_minute, monthly_quota, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${KEY_COLUMNS}`,
+            [keyHash, keyPrefix, settings.name, settings.scopes || [],
+             settings.rate_limit_per_minute ?? null, settings.monthly_quota ?? null, settings.expires_at ?? null]
+        );
+        console.log(`[ADMIN] API key ${result.rows[0].id} (${keyPrefix}…) created by key ${req.apiKeyId}`);
+        res.status(201).json({
+            ...formatApiKeyRecord(result.rows[0]),
+            key,
+            message: 'Store this key now. It will not be shown again.'
+        });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update name, scopes, limits or expiry. Send expires_at: null to remove an expiry date.
+router.patch('/:id', async (req, res) => {
+    const id = parseKeyId(req, res);
+    if (id === null) return;
+
+    const parsed = parseKeySettings(req.body || {});
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    const fields = Object.keys(parsed.value);
+    if (fields.length === 0) {
+        return res.status(400).json({ error: 'Nothing to update. Allowed fields: name, scopes, rate_limit_per_minute, monthly_quota, expires_at.' });
+    }
+
+    // Field names come from the fixed parser list above, never from user input.
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+    try {
+        const result = await getPool().query(
+            `UPDATE ss_api_keys SET ${assignments} WHERE id = $1 RETURNING ${KEY_COLUMNS}`,
+            [id, ...fields.map(f => parsed.value[f])]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: `API key with ID ${id} not found.` });
+        }
+        res.json(formatApiKeyRecord(result.rows[0]));
+    } catch (err) {
+        console.error(`Error updating API key ${id}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Rotate: issue a new key with the same settings and retire the old one.
+// By default the old key is revoked immediately; pass grace_period_hours to let it expire later instead.
+router.post('/:id/rotate', async (req, res) => {
+    const id = parseKeyId(req, res);
+    if (id === null) return;
+
+    const graceHours = req.body?.grace_period_hours ?? 0;
+    if (typeof graceHours !== 'number' || graceHours < 0) {
+        return res.status(400).json({ error: 'grace_period_hours must be a non-negative number.' });
+    }
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+    let client = null;
+    try {
+        client = await getPool().connect();
+        await client.query('BEGIN');
+        const oldResult = await client.query(`SELECT ${KEY_COLUMNS} FROM ss_api_keys WHERE id = $1 FOR UPDATE`, [id]);
+        if (oldResult.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: `API key with ID ${id} not found.` });
+        }
+        const oldKey = oldResult.rows[0];
+        if (oldKey.revoked_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `API key with ID ${id} is revoked and cannot be rotated.` });
+        }
+
+        const newResult = await client.query(
+            `INSERT INTO ss_api_keys (key_hash, key_prefix, name, scopes, rate_limit_per_minute, monthly_quota, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${KEY_COLUMNS}`,
+            [keyHash, keyPrefix, oldKey.name, oldKey.scopes, oldKey.rate_limit_per_minute, oldKey.monthly_quota, oldKey.expires_at]
+        );
+        const newKey = newResult.rows[0];
+
+        const retireResult = graceHours > 0
+            ? await client.query(
+                `UPDATE ss_api_keys
+                 SET replaced_by = $2,
+                     expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(secs => $3))
+                 WHERE id = $1
+                 RETURNING ${KEY_COLUMNS}`,
+                [id, newKey.id, graceHours * 3600])
+            : await client.query(
+                `UPDATE ss_api_keys SET replaced_by = $2, revoked_at = NOW() WHERE id = $1 RETURNING ${KEY_COLUMNS}`,
+                [id, newKey.id]);
+
+        await client.query('COMMIT');
+        console.log(`[ADMIN] API key ${id} rotated to ${newKey.id} (${keyPrefix}…) by key ${req.apiKeyId}`);
+        res.status(201).json({
+            ...formatApiKeyRecord(newKey),
+            key,
+            message: 'Store this key now. It will not be shown again.',
+            previous_key: formatApiKeyRecord(retireResult.rows[0])
+        });
+    } catch (err) {
+        await client?.query('ROLLBACK').catch(() => {});
+        console.error(`Error rotating API key ${id}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client?.release();
+    }
+});
+
+router.post('/:id/revoke', async (req, res) => {
+    const id = parseKeyId(req, res);
+    if (id === null) return;
+    if (id === req.apiKeyId) {
+        return res.status(409).json({ error: 'A key cannot revoke itself.' });
+    }
+    try {
+        const result = await getPool().query(
+            `UPDATE ss_api_keys SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = $1 RETURNING ${KEY_COLUMNS}`,
+            [id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: `API key with ID ${id} not found.` });
+        }
+        console.log(`[ADMIN] API key ${id} revoked by key ${req.apiKeyId}`);
+        res.json(formatApiKeyRecord(result.rows[0]));
+    } catch (err) {
+        console.error(`Error revoking API key ${id}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,34 @@
+// File: routes/admin-market-cache.js
+// Description: Admin view and manual invalidation of the market data response cache (utils/marketCache.js).
+// Data loaders that write without the migrations/010 triggers call POST /invalidate after a load; it is
+// broadcast with the same notification as the triggers, so every API process drops its cache.
+// Mounted at /api/v1/admin/market-cache in app.js and requires the 'admin:cache' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { announceMarketDataLoad, invalidateMarketCache, marketCacheStats } from '../utils/marketCache.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.ADMIN_CACHE));
+
+// GET /api/v1/admin/market-cache
+router.get('/', (req, res) => {
+    res.json(marketCacheStats());
+});
+
+// POST /api/v1/admin/market-cache/invalidate  Body (optional): { "reason": "monthly AirDNA import" }
+router.post('/invalidate', async (req, res) => {
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim()
+        ? req.body.reason.trim().slice(0, 200)
+        : `admin request (key ${req.apiKeyId})`;
+    try {
+        await announceMarketDataLoad(reason);
+    } catch (err) {
+        console.error('Error announcing market data load:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    // Also right away here, so the stats below reflect it (the notification follows)
+    invalidateMarketCache(reason);
+    res.json({ invalidated: true, ...marketCacheStats() });
+});
+
+export default router;
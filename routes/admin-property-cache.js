@@ -0,0 +1,38 @@
+// File: routes/admin-property-cache.js
+// Description: Admin lookup of property_cache by address. Returns every cached configuration
+// (bedrooms/bathrooms/accommodates) for the address, including legacy address-only rows.
+// Mounted at /api/v1/admin/property-cache in app.js and requires the 'admin:cache' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { findCacheEntriesByAddress } from '../utils/propertyCache.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.ADMIN_CACHE));
+
+// GET /api/v1/admin/property-cache?address=123 Main St, Austin TX&include_response=true
+router.get('/', async (req, res) => {
+    const { address } = req.query;
+    if (!address) {
+        return res.status(400).json({ error: 'address query parameter is required.' });
+    }
+
+    try {
+        const entries = await findCacheEntriesByAddress(address, {
+            includeResponse: req.query.include_response === 'true'
+        });
+        res.json({
+            address,
+            count: entries.length,
+            entries: entries.map(entry => ({
+                ...entry,
+                bathrooms: entry.bathrooms === null ? null : parseFloat(entry.bathrooms),
+                legacy: entry.cache_key === null // Predates request-shape keys; never served to analyze requests
+            }))
+        });
+    } catch (err) {
+        console.error(`Error looking up property_cache for address "${address}":`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
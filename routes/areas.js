@@ -0,0 +1,61 @@
+// File: routes/areas.js
+// Description: Area lookup and autocomplete (utils/areaResolver.js), so clients can find the area_id
+// or slug for a city, state or ZIP code before calling the area routes.
+// Mounted at /api/v1/areas in app.js and requires the 'markets:read' or 'location:read' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import marketCache from '../middleware/marketCache.js';
+import {
+    searchAreas,
+    resolveArea,
+    AUTOCOMPLETE_DEFAULT_LIMIT,
+    AUTOCOMPLETE_MAX_LIMIT
+} from '../utils/areaResolver.js';
+import { stateCodeForName } from '../utils/addressNormalization.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.MARKETS_READ, SCOPES.LOCATION_READ));
+
+// GET /api/v1/areas/autocomplete?q=aus&state=TX&limit=10
+router.get('/autocomplete', marketCache, async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) {
+        return res.status(400).json({ error: 'q must be at least 2 characters.' });
+    }
+    if (req.query.state && !stateCodeForName(req.query.state)) {
+        return res.status(400).json({ error: 'state must be a US state name or code.' });
+    }
+    const limit = req.query.limit === undefined ? AUTOCOMPLETE_DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > AUTOCOMPLETE_MAX_LIMIT) {
+        return res.status(400).json({ error: `limit must be between 1 and ${AUTOCOMPLETE_MAX_LIMIT}.` });
+    }
+
+    try {
+        const results = await searchAreas(q, { state: req.query.state || null, limit });
+        res.json({ query: q, results });
+    } catch (err) {
+        console.error('Error searching areas:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/v1/areas/:area - resolves an area_id or slug
+router.get('/:area', marketCache, async (req, res) => {
+    try {
+        const area = await resolveArea(req.params.area);
+        if (!area) {
+            return res.status(404).json({ error: `Area ${req.params.area} not found.` });
+        }
+        res.json({
+            area_id: area.area_id,
+            slug: area.slug || null,
+            name: area.city_name,
+            state: area.state_name
+        });
+    } catch (err) {
+        console.error(`Error resolving area ${req.params.area}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
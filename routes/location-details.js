@@ -3,85 +3,135 @@
 // This file contains the route for fetching location details
 // for a specific area_id. It queries multiple tables to gather
 // the necessary information and returns it in a structured JSON format.
+// Each response section has its own loader and explicit field set; ?include= / ?exclude= pick the
+// sections, and only the selected loaders run (concurrently).
+// ?format=csv|xlsx (or the Accept header) exports the response as tables (utils/tableExport.js).
 import express from 'express';
 import { getPool } from '../db.js'; // Assuming your pg pool is exported from db.js
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import marketCache from '../middleware/marketCache.js';
+import { forecastArea, HORIZON_MONTHS } from '../utils/marketForecast.js';
+import { resolveArea } from '../utils/areaResolver.js';
+import { parseExportFormat, responseTables, sendTables } from '../utils/tableExport.js';
 
 const router = express.Router();
+router.use(requireScope(SCOPES.LOCATION_READ));
 const pool = getPool();
 
-router.get('/:area_id', async (req, res) => {
-    const { area_id } = req.params;
-    const areaIdInt = parseInt(area_id, 10);
-
-    if (isNaN(areaIdInt)) {
-        return res.status(400).json({ error: 'Invalid area_id format. Must be an integer.' });
-    }
+// Fields returned from the latest snapshot rows of the rental_* tables (see README). Columns not
+// listed here (ids, area_id, created_at, anything new) are never returned. The rows are read with
+// SELECT * and reduced to these fields, so a field the table does not have comes back as null (and
+// is logged) instead of failing the whole request.
+const SNAPSHOT_FIELDS = {
+    rental_activity: [
+        'snapshot_date', 'avg_length_of_stay', 'avg_booking_lead_time', 'weekday_occupancy', 'weekend_occupancy'
+    ],
+    rental_amenities: [
+        'snapshot_date', 'pct_pool', 'pct_hot_tub', 'pct_parking', 'pct_wifi', 'pct_kitchen',
+        'pct_air_conditioning', 'pct_washer_dryer', 'pct_pets_allowed'
+    ],
+    rental_ratings: [
+        'snapshot_date', 'avg_overall_rating', 'pct_rating_4_5_plus', 'pct_rating_4_to_4_5', 'pct_rating_below_4'
+    ],
+    rental_settings: [
+        'snapshot_date', 'pct_cancellation_flexible', 'pct_cancellation_moderate', 'pct_cancellation_strict',
+        'avg_min_stay', 'pct_instant_book'
+    ]
+};
+// Key/bookkeeping columns that are expected in the rows and deliberately left out
+const SNAPSHOT_METADATA = new Set(['id', 'area_id', 'created_at', 'updated_at']);
+const warnedColumns = new Set();
 
-    try {
-        // 1. Fetch from `areas` table
-        const areaInfoQuery = `
-            SELECT area_id, city_name, state_name 
-            FROM areas
-            WHERE area_id = $1;
-        `;
-        const areaInfoResult = await pool.query(areaInfoQuery, [areaIdInt]);
+// Logs a field set mismatch once per table and column
+function warnColumnOnce(table, column, message) {
+    if (warnedColumns.has(`${table}.${column}`)) return;
+    warnedColumns.add(`${table}.${column}`);
+    console.warn(`⚠️ location-details: ${table}.${column} ${message}`);
+}
 
-        if (areaInfoResult.rowCount === 0) {
-            return res.status(404).json({ error: `Area with ID ${areaIdInt} not found.` });
+// Latest row of a rental_* snapshot table, reduced to its field set (fields the row lacks are null).
+async function loadSnapshot(table, areaId) {
+    const fields = SNAPSHOT_FIELDS[table];
+    const result = await pool.query(
+        `SELECT * FROM ${table} WHERE area_id = $1 ORDER BY snapshot_date DESC, created_at DESC LIMIT 1;`,
+        [areaId]
+    );
+    const row = result.rows[0];
+    if (!row) {
+        return Object.fromEntries(fields.map(field => [field, null]));
+    }
+    // Flag mismatches between the table and its field set, so the list can be corrected deliberately
+    for (const column of Object.keys(row)) {
+        if (!SNAPSHOT_METADATA.has(column) && !fields.includes(column)) {
+            warnColumnOnce(table, column, 'is not in its field set and is not returned.');
+        }
+    }
+    for (const field of fields) {
+        if (!(field in row)) {
+            warnColumnOnce(table, field, 'does not exist; the field is returned as null.');
         }
-        const areaBaseInfo = areaInfoResult.rows[0];
+    }
+    return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+}
 
-        // 2. Fetch from `area_profiles` table
-        const areaProfileQuery = `
+// Response sections -> loader(areaId). Sections run concurrently; each returns its part of the response.
+const SECTIONS = {
+    profile: async areaId => {
+        const areaProfileResult = await pool.query(`
             SELECT population, annual_visitors, regulations_text, top_attractions, visitor_profile_summary
             FROM area_profiles
             WHERE area_id = $1;
-        `;
-        const areaProfileResult = await pool.query(areaProfileQuery, [areaIdInt]);
+        `, [areaId]);
         const areaProfileInfo = areaProfileResult.rows[0] || {};
+        return {
+            population: areaProfileInfo.population || null,
+            annual_visitors: areaProfileInfo.annual_visitors || null,
+            regulations_text: areaProfileInfo.regulations_text || null,
+            top_attractions: areaProfileInfo.top_attractions || null,
+            visitor_profile_summary: areaProfileInfo.visitor_profile_summary || null,
+        };
+    },
 
-        // 3. Fetch from `rental_growth` (Latest Total STRs for market_summary)
-        const latestRentalGrowthQuery = `
-            SELECT listing_count
-            FROM rental_growth
-            WHERE area_id = $1
-            ORDER BY snapshot_date DESC
-            LIMIT 1;
-        `;
-        const latestRentalGrowthResult = await pool.query(latestRentalGrowthQuery, [areaIdInt]);
-        const totalStrs = latestRentalGrowthResult.rows[0] ? parseInt(latestRentalGrowthResult.rows[0].listing_count, 10) : null;
-
-        // 4. Fetch from `monthly_market_metrics` (Latest single values for market_summary)
-        const latestMetricsQuery = `
-            SELECT adr, occupancy, revenue AS avg_monthly_revenue_per_property
-            FROM monthly_market_metrics
-            WHERE area_id = $1
-            ORDER BY year DESC, month DESC
-            LIMIT 1;
-        `;
-        const latestMetricsResult = await pool.query(latestMetricsQuery, [areaIdInt]);
+    market_summary: async areaId => {
+        const [latestRentalGrowthResult, latestMetricsResult, marketGradesResult] = await Promise.all([
+            // Latest Total STRs
+            pool.query(`
+                SELECT listing_count
+                FROM rental_growth
+                WHERE area_id = $1
+                ORDER BY snapshot_date DESC
+                LIMIT 1;
+            `, [areaId]),
+            // Latest single month of `monthly_market_metrics`
+            pool.query(`
+                SELECT adr, occupancy, revenue AS avg_monthly_revenue_per_property
+                FROM monthly_market_metrics
+                WHERE area_id = $1
+                ORDER BY year DESC, month DESC
+                LIMIT 1;
+            `, [areaId]),
+            // Rental Demand from `market_grades`
+            pool.query(`
+                SELECT rental_demand
+                FROM market_grades
+                WHERE area_id = $1
+                ORDER BY snapshot_date DESC
+                LIMIT 1;
+            `, [areaId])
+        ]);
         const latestMarketMetrics = latestMetricsResult.rows[0] || {};
+        return {
+            total_strs: latestRentalGrowthResult.rows[0] ? parseInt(latestRentalGrowthResult.rows[0].listing_count, 10) : null,
+            adr: parseFloat(latestMarketMetrics.adr) || null,
+            occupancy_rate: parseFloat(latestMarketMetrics.occupancy) || null,
+            avg_monthly_revenue_per_property: parseFloat(latestMarketMetrics.avg_monthly_revenue_per_property) || null,
+            rental_demand_score: marketGradesResult.rows[0] ? parseFloat(marketGradesResult.rows[0].rental_demand) : null,
+        };
+    },
 
-        // 5. Fetch from `monthly_market_metrics` (Last 12 months for charts)
-        const historicalPerformanceQuery = `
-            SELECT year, month, adr, occupancy, revenue AS avg_monthly_revenue_per_property
-            FROM monthly_market_metrics
-            WHERE area_id = $1
-            ORDER BY year DESC, month DESC
-            LIMIT 12;
-        `;
-        const historicalPerformanceResult = await pool.query(historicalPerformanceQuery, [areaIdInt]);
-        const monthlyPerformanceMetrics = historicalPerformanceResult.rows.reverse().map(row => ({
-            year: parseInt(row.year, 10),
-            month: parseInt(row.month, 10),
-            adr: parseFloat(row.adr) || 0,
-            occupancy: parseFloat(row.occupancy) || 0,
-            avg_monthly_revenue_per_property: parseFloat(row.avg_monthly_revenue_per_property) || 0
-        }));
-
-        
-        // 6. Fetch from `active_listings` (Latest breakdown by bedroom count)
-        const activeListingsQuery = `
+    // Latest breakdown by room type and bedroom count from `active_listings`
+    by_bedroom_distribution: async areaId => {
+        const activeListingsResult = await pool.query(`
             SELECT
                 COALESCE(entire_place_0, 0) AS entire_place_0_beds,
                 COALESCE(entire_place_1, 0) AS entire_place_1_beds,
@@ -111,148 +161,176 @@ router.get('/:area_id', async (req, res) => {
             WHERE area_id = $1
             ORDER BY year DESC, month DESC
             LIMIT 1;
-        `;
-        const activeListingsResult = await pool.query(activeListingsQuery, [areaIdInt]);
-        const listingsBreakdown = activeListingsResult.rows[0] || {};
-
-        let byBedroomArray = [];
-        if (listingsBreakdown) {
-             byBedroomArray = [ // This needs to be refined based on how you want to sum different room types per bedroom count
-                { bedrooms: "Studio/0bd", count: parseInt(listingsBreakdown.entire_place_0_count || 0, 10) },
-                { bedrooms: "1bd", count: parseInt(listingsBreakdown.entire_place_1_count || 0, 10) },
-                { bedrooms: "2bd", count: parseInt(listingsBreakdown.entire_place_2_count || 0, 10) },
-                { bedrooms: "3bd", count: parseInt(listingsBreakdown.entire_place_3_count || 0, 10) },
-                { bedrooms: "4bd", count: parseInt(listingsBreakdown.entire_place_4_count || 0, 10) },
-                { bedrooms: "5bd+", count: parseInt(listingsBreakdown.entire_place_5_count || 0, 10) }
-            ];
-        }
+        `, [areaId]);
+        return activeListingsResult.rows[0] || {};
+    },
 
-        // 7. Fetch from `market_grades` (Rental Demand for market_summary)
-        const marketGradesQuery = `
-            SELECT rental_demand
-            FROM market_grades
+    // Last 12 months of `monthly_market_metrics` for charts
+    historical_performance_monthly: async areaId => {
+        const historicalPerformanceResult = await pool.query(`
+            SELECT year, month, adr, occupancy, revenue AS avg_monthly_revenue_per_property
+            FROM monthly_market_metrics
             WHERE area_id = $1
-            ORDER BY snapshot_date DESC
-            LIMIT 1;
-        `;
-        const marketGradesResult = await pool.query(marketGradesQuery, [areaIdInt]);
-        const rentalDemandScore = marketGradesResult.rows[0] ? parseFloat(marketGradesResult.rows[0].rental_demand) : null;
-
-        // --- NEW QUERIES START HERE ---
+            ORDER BY year DESC, month DESC
+            LIMIT 12;
+        `, [areaId]);
+        return {
+            description: "Last 12 individual months of performance metrics.",
+            metrics: historicalPerformanceResult.rows.reverse().map(row => ({
+                year: parseInt(row.year, 10),
+                month: parseInt(row.month, 10),
+                adr: parseFloat(row.adr) || 0,
+                occupancy: parseFloat(row.occupancy) || 0,
+                avg_monthly_revenue_per_property: parseFloat(row.avg_monthly_revenue_per_property) || 0
+            }))
+        };
+    },
 
-        // 8. Fetch Rental Growth (Quarterly for up to last 10 years)
-        const rentalGrowthQueryHistorical = `
+    // Quarterly `rental_growth` listing counts for up to the last 10 years
+    rental_growth_quarterly: async areaId => {
+        const rentalGrowthHistoricalResult = await pool.query(`
             SELECT
                 DATE_PART('year', snapshot_date) AS year,
                 DATE_PART('quarter', snapshot_date) AS quarter,
-                AVG(listing_count)::numeric(10,0) AS avg_listing_count 
+                AVG(listing_count)::numeric(10,0) AS avg_listing_count
             FROM rental_growth
             WHERE area_id = $1 AND snapshot_date >= NOW() - INTERVAL '10 years'
             GROUP BY DATE_PART('year', snapshot_date), DATE_PART('quarter', snapshot_date)
             ORDER BY year DESC, quarter DESC;
-        `;
-        const rentalGrowthHistoricalResult = await pool.query(rentalGrowthQueryHistorical, [areaIdInt]);
-        const rentalGrowthData = rentalGrowthHistoricalResult.rows.map(r => ({
-            year: parseInt(r.year, 10),
-            quarter: parseInt(r.quarter, 10),
-            listing_count: parseInt(r.avg_listing_count, 10)
-        }));
+        `, [areaId]);
+        return {
+            description: "Quarterly listing counts for up to the last 10 years.",
+            metrics: rentalGrowthHistoricalResult.rows.map(r => ({
+                year: parseInt(r.year, 10),
+                quarter: parseInt(r.quarter, 10),
+                listing_count: parseInt(r.avg_listing_count, 10)
+            }))
+        };
+    },
 
-        // 9. Fetch LTM Metrics (Latest record)
-        const ltmMetricsQuery = `
+    // Latest `ltm_metrics` record
+    ltm_metrics: async areaId => {
+        const ltmMetricsResult = await pool.query(`
             SELECT ltm_adr, ltm_occupancy, ltm_revenue, year AS as_of_year, month AS as_of_month, created_at AS snapshot_date
             FROM ltm_metrics
             WHERE area_id = $1
             ORDER BY year DESC, month DESC, created_at DESC
             LIMIT 1;
-        `;
-        const ltmMetricsResult = await pool.query(ltmMetricsQuery, [areaIdInt]);
+        `, [areaId]);
         const ltmData = ltmMetricsResult.rows[0] || {};
+        return {
+            description: "Latest aggregated Last Twelve Months (LTM) performance metrics.",
+            adr: parseFloat(ltmData.ltm_adr) || null,
+            occupancy_rate: parseFloat(ltmData.ltm_occupancy) || null,
+            revenue: parseFloat(ltmData.ltm_revenue) || null,
+            as_of_year: parseInt(ltmData.as_of_year, 10) || null,
+            as_of_month: parseInt(ltmData.as_of_month, 10) || null,
+            snapshot_date: ltmData.snapshot_date || null
+        };
+    },
+
+    rental_activity: async areaId => ({
+        description: "Latest snapshot of rental booking activity patterns.",
+        ...(await loadSnapshot('rental_activity', areaId))
+    }),
+
+    rental_amenities_distribution: async areaId => ({
+        description: "Latest snapshot of percentage of listings offering specific amenities.",
+        ...(await loadSnapshot('rental_amenities', areaId))
+    }),
+
+    guest_ratings_summary: async areaId => ({
+        description: "Latest snapshot of guest rating scores and distribution.",
+        ...(await loadSnapshot('rental_ratings', areaId))
+    }),
 
-        // 10. Fetch Rental Activity (Latest record) - Select all columns
-        const rentalActivityQuery = `SELECT * FROM rental_activity WHERE area_id = $1 ORDER BY snapshot_date DESC, created_at DESC LIMIT 1;`;
-        const rentalActivityResult = await pool.query(rentalActivityQuery, [areaIdInt]);
-        const rentalActivityData = rentalActivityResult.rows[0] || {};
+    rental_settings_summary: async areaId => ({
+        description: "Latest snapshot of common rental settings like cancellation policies and minimum stays.",
+        ...(await loadSnapshot('rental_settings', areaId))
+    })
+};
 
-        // 11. Fetch Rental Amenities (Latest record) - Select all columns
-        const rentalAmenitiesQuery = `SELECT * FROM rental_amenities WHERE area_id = $1 ORDER BY snapshot_date DESC, created_at DESC LIMIT 1;`;
-        const rentalAmenitiesResult = await pool.query(rentalAmenitiesQuery, [areaIdInt]);
-        const rentalAmenitiesData = rentalAmenitiesResult.rows[0] || {};
+// ?include=a,b returns only those sections; ?exclude=a,b returns all but those.
+function selectSections(query) {
+    if (query.include !== undefined && query.exclude !== undefined) {
+        return { error: 'Use either include or exclude, not both.' };
+    }
+    const listed = String(query.include ?? query.exclude ?? '').split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = listed.filter(name => !SECTIONS[name]);
+    if (unknown.length > 0) {
+        return { error: `Unknown sections: ${unknown.join(', ')}. Available: ${Object.keys(SECTIONS).join(', ')}.` };
+    }
+    if (query.include !== undefined) {
+        return { sections: Object.keys(SECTIONS).filter(name => listed.includes(name)) };
+    }
+    return { sections: Object.keys(SECTIONS).filter(name => !listed.includes(name)) };
+}
 
-        // 12. Fetch Rental Ratings (Latest record) - Select all columns
-        const rentalRatingsQuery = `SELECT * FROM rental_ratings WHERE area_id = $1 ORDER BY snapshot_date DESC, created_at DESC LIMIT 1;`;
-        const rentalRatingsResult = await pool.query(rentalRatingsQuery, [areaIdInt]);
-        const rentalRatingsData = rentalRatingsResult.rows[0] || {};
+// :area_id is an area_id or a slug (utils/areaResolver.js)
+router.get('/:area_id', marketCache, async (req, res) => {
+    const { area_id } = req.params;
 
-        // 13. Fetch Rental Settings (Latest record) - Select all columns
-        const rentalSettingsQuery = `SELECT * FROM rental_settings WHERE area_id = $1 ORDER BY snapshot_date DESC, created_at DESC LIMIT 1;`;
-        const rentalSettingsResult = await pool.query(rentalSettingsQuery, [areaIdInt]);
-        const rentalSettingsData = rentalSettingsResult.rows[0] || {};
+    const { sections, error } = selectSections(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const { format, error: formatError } = parseExportFormat(req);
+    if (formatError) {
+        return res.status(400).json({ error: formatError });
+    }
 
-        // --- END OF NEW QUERIES ---
+    try {
+        const areaBaseInfo = await resolveArea(area_id);
+        if (!areaBaseInfo) {
+            return res.status(404).json({ error: `Area ${area_id} not found.` });
+        }
 
-        // Assemble the final JSON response
+        const results = await Promise.all(sections.map(name => SECTIONS[name](areaBaseInfo.area_id)));
+
+        // Assemble the final JSON response (sections in their documented order)
         const responseJson = {
             area_id: areaBaseInfo.area_id,
             name: areaBaseInfo.city_name,
-            slug: null, 
+            slug: areaBaseInfo.slug || null,
             state: areaBaseInfo.state_name,
-            profile: {
-                population: areaProfileInfo.population || null,
-                annual_visitors: areaProfileInfo.annual_visitors || null,
-                regulations_text: areaProfileInfo.regulations_text || null,
-                top_attractions: areaProfileInfo.top_attractions || null,
-                visitor_profile_summary: areaProfileInfo.visitor_profile_summary || null,
-            },
-            market_summary: {
-                total_strs: totalStrs,
-                adr: parseFloat(latestMarketMetrics.adr) || null,
-                occupancy_rate: parseFloat(latestMarketMetrics.occupancy) || null,
-                avg_monthly_revenue_per_property: parseFloat(latestMarketMetrics.avg_monthly_revenue_per_property) || null,
-                rental_demand_score: rentalDemandScore,
-            },
-            by_bedroom_distribution: listingsBreakdown,
-            historical_performance_monthly: {
-                description: "Last 12 individual months of performance metrics.",
-                metrics: monthlyPerformanceMetrics
-            },
-            rental_growth_quarterly: {
-                description: "Quarterly listing counts for up to the last 10 years.",
-                metrics: rentalGrowthData
-            },
-            ltm_metrics: {
-                description: "Latest aggregated Last Twelve Months (LTM) performance metrics.",
-                adr: parseFloat(ltmData.ltm_adr) || null,
-                occupancy_rate: parseFloat(ltmData.ltm_occupancy) || null,
-                revenue: parseFloat(ltmData.ltm_revenue) || null,
-                as_of_year: parseInt(ltmData.as_of_year, 10) || null,
-                as_of_month: parseInt(ltmData.as_of_month, 10) || null,
-                snapshot_date: ltmData.snapshot_date || null
-            },
-            rental_activity: { // Spreading data, ensure no sensitive/unwanted columns like 'id', 'area_id' if not desired
-                description: "Latest snapshot of rental booking activity patterns.",
-                ...rentalActivityData
-            },
-            rental_amenities_distribution: {
-                description: "Latest snapshot of percentage of listings offering specific amenities.",
-                ...rentalAmenitiesData
-            },
-            guest_ratings_summary: {
-                description: "Latest snapshot of guest rating scores and distribution.",
-                ...rentalRatingsData
-            },
-            rental_settings_summary: {
-                description: "Latest snapshot of common rental settings like cancellation policies and minimum stays.",
-                ...rentalSettingsData
-            }
+            ...Object.fromEntries(sections.map((name, i) => [name, results[i]]))
         };
 
+        if (format !== 'json') {
+            // Summary table plus one table per monthly/quarterly series
+            return sendTables(req, res, format, `location-details-${areaBaseInfo.slug || areaBaseInfo.area_id}`, responseTables(responseJson));
+        }
         res.json(responseJson);
 
     } catch (err) {
-        console.error(`API Error fetching details for area_id ${areaIdInt}:`, err);
+        console.error(`API Error fetching details for area ${area_id}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 12-month forecasts of ADR, occupancy, revenue and listing supply (utils/marketForecast.js)
+router.get('/:area_id/forecast', marketCache, async (req, res) => {
+    const { area_id } = req.params;
+
+    try {
+        const areaBaseInfo = await resolveArea(area_id);
+        if (!areaBaseInfo) {
+            return res.status(404).json({ error: `Area ${area_id} not found.` });
+        }
+
+        res.json({
+            area_id: areaBaseInfo.area_id,
+            slug: areaBaseInfo.slug || null,
+            name: areaBaseInfo.city_name,
+            state: areaBaseInfo.state_name,
+            horizon_months: HORIZON_MONTHS,
+            prediction_intervals: [0.8, 0.95],
+            metrics: await forecastArea(areaBaseInfo.area_id)
+        });
+    } catch (err) {
+        console.error(`API Error forecasting area ${area_id}:`, err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-export { router as locationDetailsRouter };
\ No newline at end of file
+export { router as locationDetailsRouter };
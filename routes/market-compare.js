@@ -0,0 +1,214 @@
+// File: routes/market-compare.js
+// Description: Side-by-side comparison of several markets: latest LTM metrics and summary, bedroom
+// mix, 12-month series on a shared month axis, growth rates, and each area's rank and difference
+// from the group average per metric.
+// Mounted at /api/v1/markets/compare in app.js and requires the 'markets:read' scope.
+import express from 'express';
+import { getPool } from '../db.js';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import marketCache from '../middleware/marketCache.js';
+import { LATEST_MARKET_SQL, formatMarketSummary } from '../utils/marketMetrics.js';
+import { resolveAreas } from '../utils/areaResolver.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.MARKETS_READ));
+
+const MIN_AREAS = 2;
+const MAX_AREAS = 10;
+const SERIES_MONTHS = 12;
+
+// Bedroom buckets of active_listings (entire places)
+const BEDROOM_BUCKETS = [
+    { key: '0', label: 'Studio/0bd' },
+    { key: '1', label: '1bd' },
+    { key: '2', label: '2bd' },
+    { key: '3', label: '3bd' },
+    { key: '4', label: '4bd' },
+    { key: '5', label: '5bd+' }
+];
+
+// Metrics ranked and compared to the group average (rank 1 = highest value)
+const COMPARED_METRICS = [
+    'adr', 'occupancy', 'revenue', 'demand_score', 'listing_count',
+    'listing_growth', 'adr_growth', 'occupancy_growth', 'revenue_growth'
+];
+
+const round4 = value => Math.round(value * 10000) / 10000;
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+const monthKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+// Year-over-year change of the LTM metrics: latest ltm_metrics row vs the one 12+ months earlier.
+const LTM_GROWTH_SQL = `
+    SELECT
+        cur.area_id,
+        CASE WHEN prev.ltm_adr > 0 THEN (cur.ltm_adr - prev.ltm_adr)::float8 / prev.ltm_adr END AS adr_growth,
+        CASE WHEN prev.ltm_occupancy > 0 THEN (cur.ltm_occupancy - prev.ltm_occupancy)::float8 / prev.ltm_occupancy END AS occupancy_growth,
+        CASE WHEN prev.ltm_revenue > 0 THEN (cur.ltm_revenue - prev.ltm_revenue)::float8 / prev.ltm_revenue END AS revenue_growth
+    FROM (
+        SELECT DISTINCT ON (area_id) area_id, year, month, ltm_adr, ltm_occupancy, ltm_revenue
+        FROM ltm_metrics
+        WHERE area_id = ANY($1::int[])
+        ORDER BY area_id, year DESC, month DESC, created_at DESC
+    ) cur
+    LEFT JOIN LATERAL (
+        SELECT ltm_adr, ltm_occupancy, ltm_revenue
+        FROM ltm_metrics l
+        WHERE l.area_id = cur.area_id AND l.year * 12 + l.month <= cur.year * 12 + cur.month - 12
+        ORDER BY year DESC, month DESC, created_at DESC
+        LIMIT 1
+    ) prev ON TRUE
+`;
+
+// The last 12 months up to the latest month any of the areas has data for.
+const SERIES_SQL = `
+    SELECT area_id, year, month, adr::float8 AS adr, occupancy::float8 AS occupancy, revenue::float8 AS revenue
+    FROM monthly_market_metrics
+    WHERE area_id = ANY($1::int[])
+      AND year * 12 + month > (
+          SELECT MAX(year * 12 + month) FROM monthly_market_metrics WHERE area_id = ANY($1::int[])
+      ) - ${SERIES_MONTHS}
+    ORDER BY year, month
+`;
+
+const BEDROOM_MIX_SQL = `
+    SELECT DISTINCT ON (area_id)
+        area_id,
+        ${BEDROOM_BUCKETS.map(b => `COALESCE(entire_place_${b.key}, 0)::int AS entire_place_${b.key}`).join(',\n        ')},
+        COALESCE(entire_place_all, 0)::int AS entire_place_all,
+        COALESCE(private_room_all, 0)::int AS private_room_all,
+        year, month
+    FROM active_listings
+    WHERE area_id = ANY($1::int[])
+    ORDER BY area_id, year DESC, month DESC
+`;
+
+function formatBedroomMix(row) {
+    if (!row) return null;
+    const total = BEDROOM_BUCKETS.reduce((sum, b) => sum + row[`entire_place_${b.key}`], 0);
+    return {
+        as_of_year: row.year,
+        as_of_month: row.month,
+        entire_place_total: row.entire_place_all,
+        private_room_total: row.private_room_all,
+        // Entire-place listings per bedroom count, with their share of all entire places
+        buckets: BEDROOM_BUCKETS.map(b => ({
+            bedrooms: b.label,
+            count: row[`entire_place_${b.key}`],
+            share: total > 0 ? round4(row[`entire_place_${b.key}`] / total) : null
+        }))
+    };
+}
+
+// Rank (1 = highest) and difference from the group average for each metric; areas without a value get nulls.
+function compareMetrics(areas) {
+    const averages = {};
+    for (const metric of COMPARED_METRICS) {
+        const values = areas.map(area => area.values[metric]).filter(value => value !== null);
+        const average = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        averages[metric] = average === null ? null : round4(average);
+
+        const ranked = [...values].sort((a, b) => b - a);
+        for (const area of areas) {
+            const value = area.values[metric];
+            area.comparison[metric] = {
+                value,
+                // Ties share a rank
+                rank: value === null ? null : ranked.indexOf(value) + 1,
+                diff_from_average: value === null || average === null ? null : round4(value - average),
+                pct_diff_from_average: value === null || !average ? null : round4((value - average) / average)
+            };
+        }
+    }
+    return averages;
+}
+
+// GET /api/v1/markets/compare?areas=79503,austin-tx,miami-fl
+router.get('/', marketCache, async (req, res) => {
+    const identifiers = String(req.query.areas || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (identifiers.length < MIN_AREAS || identifiers.length > MAX_AREAS) {
+        return res.status(400).json({ error: `areas must list ${MIN_AREAS} to ${MAX_AREAS} area IDs or slugs, comma-separated.` });
+    }
+
+    try {
+        const { areas: resolved, missing } = await resolveAreas(identifiers);
+        if (missing.length > 0) {
+            return res.status(404).json({ error: 'Some areas were not found.', not_found: missing });
+        }
+        // The same area given twice (or by ID and slug) is only compared once
+        if (resolved.length < MIN_AREAS) {
+            return res.status(400).json({ error: `areas must list at least ${MIN_AREAS} different areas.` });
+        }
+        const areaIds = resolved.map(area => area.area_id);
+
+        const pool = getPool();
+        const [latestResult, growthResult, seriesResult, bedroomResult] = await Promise.all([
+            pool.query(`WITH markets AS (${LATEST_MARKET_SQL}) SELECT * FROM markets WHERE area_id = ANY($1::int[])`, [areaIds]),
+            pool.query(LTM_GROWTH_SQL, [areaIds]),
+            pool.query(SERIES_SQL, [areaIds]),
+            pool.query(BEDROOM_MIX_SQL, [areaIds])
+        ]);
+
+        // Shared month axis: the 12 months ending at the latest month in the group
+        let months = [];
+        if (seriesResult.rows.length > 0) {
+            const last = seriesResult.rows[seriesResult.rows.length - 1];
+            const lastIndex = last.year * 12 + (last.month - 1);
+            months = Array.from({ length: SERIES_MONTHS }, (_, i) => {
+                const index = lastIndex - (SERIES_MONTHS - 1) + i;
+                return monthKey(Math.floor(index / 12), (index % 12) + 1);
+            });
+        }
+
+        const areas = resolved.map(area => {
+            const latest = latestResult.rows.find(row => row.area_id === area.area_id) || area;
+            const growth = growthResult.rows.find(row => row.area_id === area.area_id) || {};
+            const summary = formatMarketSummary(latest);
+
+            const byMonth = new Map(seriesResult.rows
+                .filter(row => row.area_id === area.area_id)
+                .map(row => [monthKey(row.year, row.month), row]));
+            const series = field => months.map(month => toNumber(byMonth.get(month)?.[field]));
+
+            const growthRates = {
+                listing_growth: summary.listing_growth,
+                adr_growth: growth.adr_growth == null ? null : round4(growth.adr_growth),
+                occupancy_growth: growth.occupancy_growth == null ? null : round4(growth.occupancy_growth),
+                revenue_growth: growth.revenue_growth == null ? null : round4(growth.revenue_growth)
+            };
+
+            return {
+                area_id: area.area_id,
+                slug: area.slug || null,
+                name: area.city_name,
+                state: area.state_name,
+                summary,
+                bedroom_mix: formatBedroomMix(bedroomResult.rows.find(row => row.area_id === area.area_id)),
+                growth: growthRates,
+                // Values aligned to `months`; null where the area has no data for a month
+                series: { adr: series('adr'), occupancy: series('occupancy'), revenue: series('revenue') },
+                comparison: {},
+                values: {
+                    adr: summary.ltm.adr,
+                    occupancy: summary.ltm.occupancy,
+                    revenue: summary.ltm.revenue,
+                    demand_score: summary.demand_score,
+                    listing_count: summary.listing_count,
+                    ...growthRates
+                }
+            };
+        });
+
+        const groupAverages = compareMetrics(areas);
+
+        res.json({
+            months,
+            group_averages: groupAverages,
+            areas: areas.map(({ values, ...area }) => area)
+        });
+    } catch (err) {
+        console.error('Error comparing markets:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+// File: routes/market-search.js
+// Description: Searches and ranks markets (areas) by their latest metrics: LTM ADR/occupancy/revenue,
+// demand score, listing count and listing growth (see utils/marketMetrics.js).
+// Mounted at /api/v1/markets/search in app.js and requires the 'markets:read' scope.
+import express from 'express';
+import { getPool } from '../db.js';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import marketCache from '../middleware/marketCache.js';
+import { LATEST_MARKET_SQL, formatMarketSummary } from '../utils/marketMetrics.js';
+import { stateNameForCode } from '../utils/addressNormalization.js';
+import { parsePagination, paginationInfo } from '../utils/pagination.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.MARKETS_READ));
+
+// Filterable/sortable fields -> column of the markets CTE
+const FIELDS = {
+    adr: 'adr',
+    occupancy: 'occupancy',
+    revenue: 'revenue',
+    demand_score: 'demand_score',
+    listing_count: 'listing_count',
+    listing_growth: 'listing_growth'
+};
+// Fields stored as decimals; filter values above 1 are read as percentages (60 -> 0.6)
+const DECIMAL_FIELDS = new Set(['occupancy', 'listing_growth']);
+
+// GET /api/v1/markets/search?state=FL&min_occupancy=0.6&min_demand_score=70&sort=-revenue&page=1&per_page=25
+router.get('/', marketCache, async (req, res) => {
+    const conditions = [];
+    const params = [];
+
+    if (req.query.state) {
+        // State codes and names, matched against areas.state_name whichever way it is stored
+        const states = String(req.query.state).split(',').map(s => s.trim()).filter(Boolean);
+        const names = states.flatMap(state => [state.toUpperCase(), (stateNameForCode(state) || state).toUpperCase()]);
+        params.push([...new Set(names)]);
+        conditions.push(`UPPER(state_name) = ANY($${params.length})`);
+    }
+
+    for (const [field, column] of Object.entries(FIELDS)) {
+        for (const [prefix, operator] of [['min_', '>='], ['max_', '<=']]) {
+            const raw = req.query[`${prefix}${field}`];
+            if (raw === undefined || raw === '') continue;
+            let value = Number(raw);
+            if (!Number.isFinite(value)) {
+                return res.status(400).json({ error: `${prefix}${field} must be a number.` });
+            }
+            if (DECIMAL_FIELDS.has(field) && Math.abs(value) > 1) {
+                value /= 100;
+            }
+            params.push(value);
+            conditions.push(`${column} ${operator} $${params.length}`);
+        }
+    }
+
+    // sort=field (ascending) or sort=-field (descending); markets without the value go last
+    const sort = String(req.query.sort || '-listing_count');
+    const sortField = sort.replace(/^-/, '');
+    if (!FIELDS[sortField] && sortField !== 'name') {
+        return res.status(400).json({ error: `sort must be one of: name, ${Object.keys(FIELDS).join(', ')} (prefix with - for descending).` });
+    }
+    const sortColumn = sortField === 'name' ? 'city_name' : FIELDS[sortField];
+    const sortDirection = sort.startsWith('-') ? 'DESC' : 'ASC';
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ error: pagination.error });
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const pool = getPool();
+        const result = await pool.query(
+            `WITH markets AS (${LATEST_MARKET_SQL})
+             SELECT *, COUNT(*) OVER () AS total_count
+             FROM markets
+             ${where}
+             ORDER BY ${sortColumn} ${sortDirection} NULLS LAST, area_id
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, pagination.perPage, pagination.offset]
+        );
+
+        // A page past the end has no rows to read total_count from
+        let total = result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0;
+        if (result.rows.length === 0 && pagination.page > 1) {
+            const countResult = await pool.query(
+                `WITH markets AS (${LATEST_MARKET_SQL}) SELECT COUNT(*)::int AS total FROM markets ${where}`,
+                params
+            );
+            total = countResult.rows[0].total;
+        }
+
+        res.json({
+            pagination: paginationInfo(pagination, total),
+            sort: `${sortDirection === 'DESC' ? '-' : ''}${sortField}`,
+            results: result.rows.map(formatMarketSummary)
+        });
+    } catch (err) {
+        console.error('Error searching markets:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
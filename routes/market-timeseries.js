@@ -0,0 +1,62 @@
+// File: routes/market-timeseries.js
+// Description: Time series of one area's market metrics with a chosen date range, granularity and
+// derived series (utils/marketTimeSeries.js), as JSON or CSV.
+// Mounted at /api/v1/markets/:area/timeseries in app.js and requires the 'markets:read' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import marketCache from '../middleware/marketCache.js';
+import { resolveAreas } from '../utils/areaResolver.js';
+import { parseTimeSeriesOptions, loadTimeSeries } from '../utils/marketTimeSeries.js';
+import { sendCsv } from '../utils/csv.js';
+
+// mergeParams: the area (ID or slug) is part of the mount path
+const router = express.Router({ mergeParams: true });
+router.use(requireScope(SCOPES.MARKETS_READ));
+
+// GET /api/v1/markets/:area/timeseries?metrics=adr,occupancy&from=2022-01&to=2024-12&granularity=quarter&derived=yoy,index&format=csv
+router.get('/', marketCache, async (req, res) => {
+    const { options, error } = parseTimeSeriesOptions(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'format must be json or csv.' });
+    }
+
+    try {
+        const { areas } = await resolveAreas([req.params.area]);
+        if (areas.length === 0) {
+            return res.status(404).json({ error: `Area ${req.params.area} not found.` });
+        }
+        const area = areas[0];
+
+        const series = await loadTimeSeries(area.area_id, options);
+        if (series.error) {
+            return res.status(400).json({ error: series.error });
+        }
+
+        if (format === 'csv') {
+            const columns = series.rows.length > 0 ? Object.keys(series.rows[0]) : ['period'];
+            return sendCsv(res, `timeseries-${area.slug || area.area_id}-${options.granularity}.csv`, series.rows, columns);
+        }
+
+        res.json({
+            area_id: area.area_id,
+            slug: area.slug || null,
+            name: area.city_name,
+            state: area.state_name,
+            granularity: options.granularity,
+            from: series.from,
+            to: series.to,
+            metrics: options.metrics,
+            derived: options.derived,
+            data: series.rows
+        });
+    } catch (err) {
+        console.error(`Error loading time series for area ${req.params.area}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
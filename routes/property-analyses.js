@@ -0,0 +1,77 @@
+// File: routes/property-analyses.js
+// Description: Stored property analysis results (utils/savedAnalyses.js): one result by its
+// analysis_id, exactly as POST /analyze returned it, and the analysis history of a property.
+// Analyses are only visible to the key that ran them and the keys it was rotated to or from.
+// Mounted at /api/v1/property/analyses in app.js and requires the 'property:analyze' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { parseAddress } from '../utils/addressNormalization.js';
+import { buildAnalysisInputs } from '../utils/propertyAnalysis.js';
+import { parsePagination, paginationInfo } from '../utils/pagination.js';
+import { ANALYSIS_ID_PATTERN, getAnalysis, getAnalysisHistory } from '../utils/savedAnalyses.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.PROPERTY_ANALYZE));
+
+// GET /api/v1/property/analyses/history?address=&bedrooms=&bathrooms=&occupancy=&page=&per_page=
+// Every stored analysis of the property, newest first, with the change since the previous one
+router.get('/history', async (req, res) => {
+    const { address, bedrooms, bathrooms, occupancy } = req.query;
+    if (!address) {
+        return res.status(400).json({ error: 'address is required.' });
+    }
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ error: pagination.error });
+    }
+
+    // Only narrow by configuration when the caller gave one (as for POST /scenario)
+    const parsedAddress = parseAddress(address);
+    const requested = buildAnalysisInputs(parsedAddress, { address, bedrooms, bathrooms, occupancy });
+    const configuration = {
+        bedrooms: requested.bedrooms,
+        bathrooms: requested.bathrooms,
+        accommodates: occupancy === undefined ? null : requested.accommodates
+    };
+
+    try {
+        const { total, analyses } = await getAnalysisHistory(req.apiKeyId, parsedAddress.matchKey, { configuration, pagination });
+        res.json({
+            address: parsedAddress.formatted,
+            configuration,
+            pagination: paginationInfo(pagination, total),
+            analyses: analyses.map(analysis => ({ ...analysis, url: `${req.baseUrl}/${analysis.analysis_id}` }))
+        });
+    } catch (err) {
+        console.error('Error loading analysis history:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/v1/property/analyses/:id -- the stored analysis; `data` is the analyze response data unchanged
+router.get('/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!ANALYSIS_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid analysis ID format.' });
+    }
+
+    try {
+        const analysis = await getAnalysis(id, req.apiKeyId);
+        if (!analysis) {
+            return res.status(404).json({ error: 'Analysis not found.' });
+        }
+        res.json({
+            analysis_id: analysis.id,
+            created_at: analysis.created_at,
+            query_id: analysis.query_id,
+            inputs: analysis.inputs,
+            source: analysis.source,
+            data: analysis.result
+        });
+    } catch (err) {
+        console.error('Error loading stored analysis:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,232 @@
+// File: routes/property-batch.js
+// Description: Bulk property analysis. Accepts a JSON array or a CSV upload of properties, creates a
+// job (utils/batchAnalysis.js) that runs every item through the regular analysis flow, and exposes
+// status polling and combined results (JSON or CSV).
+// Mounted at /api/v1/property/batch in app.js and requires the 'property:analyze' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { consumeRequests, releaseRequests, nextWindowStart } from '../middleware/rateLimit.js';
+import { parseCsv, sendCsv } from '../utils/csv.js';
+import {
+    MAX_BATCH_ITEMS,
+    normalizeBatchItems,
+    createBatchJob,
+    getBatchJob,
+    getBatchItems
+} from '../utils/batchAnalysis.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.PROPERTY_ANALYZE));
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const RESULT_CSV_COLUMNS = [
+    'item_index', 'address', 'bedrooms', 'bathrooms', 'occupancy', 'status', 'error',
+    'formatted_address', 'cache_status', 'market_name', 'submarket_name', 'market_score', 'submarket_score',
+    'adr', 'occupancy_rate', 'projected_revenue_typical', 'projected_revenue_top_25', 'projected_revenue_top_10'
+];
+
+// CSV uploads are sent as the raw request body (Content-Type: text/csv).
+const csvBody = express.text({ type: ['text/csv', 'application/csv'], limit: '2mb' });
+
+function jobUrls(req, jobId) {
+    const base = `${req.baseUrl}/${jobId}`;
+    return { status_url: base, results_url: `${base}/results` };
+}
+
+function formatJob(req, job) {
+    return {
+        job_id: job.id,
+        status: job.status,
+        total_items: job.total_items,
+        counts: {
+            pending: job.pending,
+            processing: job.processing,
+            succeeded: job.succeeded,
+            failed: job.failed
+        },
+        created_at: job.created_at,
+        started_at: job.started_at,
+        finished_at: job.finished_at,
+        ...jobUrls(req, job.id)
+    };
+}
+
+// Flattens one item (with its analysis result) into a CSV row.
+function resultCsvRow(item) {
+    const result = item.result || {};
+    return {
+        item_index: item.item_index,
+        address: item.input.address,
+        bedrooms: item.input.bedrooms,
+        bathrooms: item.input.bathrooms,
+        occupancy: item.input.occupancy,
+        status: item.status,
+        error: item.error,
+        formatted_address: result.address_components?.formatted,
+        cache_status: result.cache_status,
+        market_name: result.StaySTRa_market_name,
+        submarket_name: result.StaySTRa_submarket_name,
+        market_score: result.market_score,
+        submarket_score: result.submarket_score,
+        adr: result.property_statistics?.adr?.ltm,
+        occupancy_rate: result.property_statistics?.occupancy?.ltm,
+        projected_revenue_typical: result.projected_revenue_typical,
+        projected_revenue_top_25: result.projected_revenue_top_25,
+        projected_revenue_top_10: result.projected_revenue_top_10
+    };
+}
+
+async function loadOwnJob(req, res) {
+    const { jobId } = req.params;
+    if (!UUID_PATTERN.test(jobId)) {
+        res.status(400).json({ error: 'Invalid job ID format.' });
+        return null;
+    }
+    const job = await getBatchJob(jobId, req.apiKeyId);
+    if (!job) {
+        res.status(404).json({ error: 'Batch job not found.' });
+        return null;
+    }
+    return job;
+}
+
+// POST /api/v1/property/batch
+// Body: a JSON array of { address, bedrooms, bathrooms, occupancy }, or
+// { properties: [...], referrer, utm_source, agent_id, obfuscation, underwriting } (defaults for every item), or a CSV file
+// (Content-Type: text/csv) with a header row using the same column names.
+router.post('/', csvBody, async (req, res) => {
+    let rawItems;
+    let defaults = { referrer: 'batch' };
+
+    if (typeof req.body === 'string') {
+        rawItems = parseCsv(req.body);
+    } else if (Array.isArray(req.body)) {
+        rawItems = req.body;
+    } else if (req.body && Array.isArray(req.body.properties)) {
+        rawItems = req.body.properties;
+        const { referrer, utm_source, agent_id, obfuscation, underwriting } = req.body;
+        defaults = { referrer: referrer || defaults.referrer, utm_source, agent_id, obfuscation, underwriting };
+    } else {
+        return res.status(400).json({
+            error: 'Send a JSON array of properties, { "properties": [...] }, or a CSV file with Content-Type: text/csv.'
+        });
+    }
+
+    if (rawItems.length === 0) {
+        return res.status(400).json({ error: 'The batch contains no properties.' });
+    }
+    if (rawItems.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_ITEMS} properties.` });
+    }
+
+    const { items, invalidRows } = normalizeBatchItems(rawItems, defaults);
+    if (invalidRows.length > 0) {
+        return res.status(400).json({
+            error: 'Every property needs an address.',
+            invalid_items: invalidRows.slice(0, 50)
+        });
+    }
+
+    // Each item counts against the monthly quota like an analyze call. Reserve them all up front, so
+    // a batch never runs past the quota (the POST itself was counted by middleware/rateLimit.js).
+    const { monthlyQuota = null } = req.apiKeyLimits || {};
+    let reserved = false;
+    if (monthlyQuota !== null) {
+        try {
+            if (await consumeRequests(req.apiKeyId, 'month', monthlyQuota, items.length) === null) {
+                const resetsAt = nextWindowStart('month');
+                return res.status(429).json({
+                    error: 'Monthly quota exceeded',
+                    message: `A batch of ${items.length} properties does not fit in the remaining monthly quota of this API key (${monthlyQuota} requests per month). Send a smaller batch, or wait until the quota resets on ${resetsAt.toISOString()}.`,
+                    quota_resets_at: resetsAt.toISOString()
+                });
+            }
+            reserved = true;
+        } catch (err) {
+            // Fail open, like middleware/rateLimit.js
+            console.error('Error while reserving quota for a batch job:', err);
+        }
+    }
+
+    try {
+        const job = await createBatchJob(req.apiKeyId, items);
+        console.log(`📦 Batch job ${job.id} created with ${items.length} properties.`);
+        res.status(202).json({
+            job_id: job.id,
+            status: job.status,
+            total_items: job.total_items,
+            created_at: job.created_at,
+            ...jobUrls(req, job.id)
+        });
+    } catch (err) {
+        console.error('Error creating batch job:', err);
+        if (reserved) {
+            await releaseRequests(req.apiKeyId, 'month', items.length)
+                .catch(releaseError => console.error('Failed to release the quota reserved for a batch job:', releaseError));
+        }
+        res.status(500).json({ error: 'Failed to create batch job' });
+    }
+});
+
+// GET /api/v1/property/batch/:jobId -- progress plus per-item status/error
+router.get('/:jobId', async (req, res) => {
+    try {
+        const job = await loadOwnJob(req, res);
+        if (!job) return;
+
+        const items = await getBatchItems(job.id);
+        res.json({
+            ...formatJob(req, job),
+            items: items.map(item => ({
+                item_index: item.item_index,
+                address: item.input.address,
+                status: item.status,
+                error: item.error,
+                finished_at: item.finished_at
+            }))
+        });
+    } catch (err) {
+        console.error('Error fetching batch job:', err);
+        res.status(500).json({ error: 'Failed to fetch batch job' });
+    }
+});
+
+// GET /api/v1/property/batch/:jobId/results?format=json|csv -- combined results once the job completed
+router.get('/:jobId/results', async (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv.' });
+    }
+
+    try {
+        const job = await loadOwnJob(req, res);
+        if (!job) return;
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                error: 'Batch job is still running. Poll the status URL until status is "completed".',
+                ...formatJob(req, job)
+            });
+        }
+
+        const items = await getBatchItems(job.id, { includeResults: true });
+        if (format === 'csv') {
+            return sendCsv(res, `batch-${job.id}.csv`, items.map(resultCsvRow), RESULT_CSV_COLUMNS);
+        }
+        res.json({
+            ...formatJob(req, job),
+            results: items.map(item => ({
+                item_index: item.item_index,
+                input: item.input,
+                status: item.status,
+                error: item.error,
+                data: item.result
+            }))
+        });
+    } catch (err) {
+        console.error('Error fetching batch results:', err);
+        res.status(500).json({ error: 'Failed to fetch batch results' });
+    }
+});
+
+export default router;
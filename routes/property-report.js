@@ -0,0 +1,157 @@
+// File: routes/property-report.js
+// Description: Branded PDF reports for stored property analyses (utils/analysisReport.js) and the
+// branding they use (utils/reportBranding.js), per API key and per agent. Works from the stored
+// results only, so it never makes an upstream call.
+// Mounted at /api/v1/property/report in app.js and requires the 'property:analyze' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { loadReportAnalysis, buildReportData, renderAnalysisReport } from '../utils/analysisReport.js';
+import {
+    parseAgentId,
+    parseBrandingInput,
+    parseLogo,
+    getBrandingRecord,
+    saveBranding,
+    saveLogo,
+    deleteBranding,
+    resolveBranding,
+    MAX_LOGO_BYTES
+} from '../utils/reportBranding.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.PROPERTY_ANALYZE));
+
+// Logos are uploaded as the raw request body
+const logoBody = express.raw({ type: ['image/png', 'image/jpeg'], limit: MAX_LOGO_BYTES });
+
+// Replies 400 and returns undefined when ?agent_id= is invalid
+function agentIdFromQuery(req, res) {
+    const { value, error } = parseAgentId(req.query.agent_id);
+    if (error) {
+        res.status(400).json({ error });
+        return undefined;
+    }
+    return value;
+}
+
+// POST /api/v1/property/report
+// Body: { analysis_id | query_id | address (+ bedrooms, bathrooms, occupancy), agent_id }
+router.post('/', async (req, res) => {
+    const body = req.body || {};
+    const { value: requestedAgentId, error: agentIdError } = parseAgentId(body.agent_id);
+    if (agentIdError) {
+        return res.status(400).json({ error: agentIdError });
+    }
+
+    try {
+        const { stored, status, error } = await loadReportAnalysis(body, req.apiKeyId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        // Served from the stored result (recorded by middleware/usageMeter.js)
+        res.locals.cacheHit = true;
+
+        const report = await buildReportData(stored);
+        // The agent in the body wins over the one the analysis was run for
+        const branding = await resolveBranding(req.apiKeyId, requestedAgentId ?? report.source.agent_id);
+        const pdf = renderAnalysisReport(report, branding);
+
+        const slug = (report.analysis.address_components?.formatted || 'property')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="revenue-report-${slug || 'property'}.pdf"`);
+        res.send(pdf);
+    } catch (err) {
+        console.error('Error rendering property report:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/v1/property/report/branding?agent_id=
+// The stored branding of the key (or one of its agents), and what a report would use after fallbacks
+router.get('/branding', async (req, res) => {
+    const agentId = agentIdFromQuery(req, res);
+    if (agentId === undefined) return;
+
+    try {
+        const [record, resolved] = await Promise.all([
+            getBrandingRecord(req.apiKeyId, agentId),
+            resolveBranding(req.apiKeyId, agentId)
+        ]);
+        const { logo, ...effective } = resolved;
+        res.json({ agent_id: agentId, branding: record, effective: { ...effective, has_logo: logo !== null } });
+    } catch (err) {
+        console.error('Error loading report branding:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/v1/property/report/branding?agent_id=
+// Body: { company_name, primary_color, accent_color, contact_name, contact_email, contact_phone, contact_website, footer_text }
+router.put('/branding', async (req, res) => {
+    const agentId = agentIdFromQuery(req, res);
+    if (agentId === undefined) return;
+    const { value: fields, error } = parseBrandingInput(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await saveBranding(req.apiKeyId, agentId, fields));
+    } catch (err) {
+        console.error('Error saving report branding:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/v1/property/report/branding?agent_id=
+router.delete('/branding', async (req, res) => {
+    const agentId = agentIdFromQuery(req, res);
+    if (agentId === undefined) return;
+
+    try {
+        if (!(await deleteBranding(req.apiKeyId, agentId))) {
+            return res.status(404).json({ error: 'No branding stored for this key/agent.' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error deleting report branding:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/v1/property/report/branding/logo?agent_id= with a PNG or JPEG body
+router.put('/branding/logo', logoBody, async (req, res) => {
+    const agentId = agentIdFromQuery(req, res);
+    if (agentId === undefined) return;
+    const { contentType, error } = parseLogo(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await saveLogo(req.apiKeyId, agentId, req.body, contentType));
+    } catch (err) {
+        console.error('Error saving report logo:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/v1/property/report/branding/logo?agent_id=
+router.delete('/branding/logo', async (req, res) => {
+    const agentId = agentIdFromQuery(req, res);
+    if (agentId === undefined) return;
+
+    try {
+        const record = await saveLogo(req.apiKeyId, agentId, null, null);
+        if (!record) {
+            return res.status(404).json({ error: 'No branding stored for this key/agent.' });
+        }
+        res.json(record);
+    } catch (err) {
+        console.error('Error removing report logo:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
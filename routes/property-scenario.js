@@ -0,0 +1,68 @@
+// File: routes/property-scenario.js
+// Description: What-if scenarios and sensitivity tables for a prior property analysis
+// (utils/scenarioAnalysis.js). Works from property_cache only, so it never makes an upstream call.
+// Mounted at /api/v1/property/scenario in app.js and requires the 'property:analyze' scope.
+import express from 'express';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { parseUnderwritingInputs } from '../utils/underwriting.js';
+import {
+    parseScenarioOverrides,
+    parseSensitivityOption,
+    loadPriorAnalysis,
+    projectScenario,
+    buildSensitivityTables
+} from '../utils/scenarioAnalysis.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.PROPERTY_ANALYZE));
+
+// POST /api/v1/property/scenario
+// Body: { query_id | address (+ bedrooms, bathrooms, occupancy), overrides, underwriting, sensitivity }
+router.post('/', async (req, res) => {
+    const body = req.body || {};
+
+    const { overrides, error: overridesError } = parseScenarioOverrides(body.overrides);
+    if (overridesError) {
+        return res.status(400).json({ error: overridesError });
+    }
+    const { inputs: underwritingInputs, error: underwritingError } = parseUnderwritingInputs(body.underwriting);
+    if (underwritingError) {
+        return res.status(400).json({ error: underwritingError });
+    }
+
+    try {
+        const prior = await loadPriorAnalysis(body, req.apiKeyId);
+        if (prior.error) {
+            return res.status(prior.status).json({ error: prior.error });
+        }
+        // Served from property_cache (recorded by middleware/usageMeter.js)
+        res.locals.cacheHit = true;
+
+        const scenario = projectScenario(prior.data, prior.inputs, overrides, underwritingInputs);
+
+        const { tables, error: sensitivityOptionError } = parseSensitivityOption(
+            body.sensitivity, scenario.inputs, underwritingInputs !== null
+        );
+        if (sensitivityOptionError) {
+            return res.status(400).json({ error: sensitivityOptionError });
+        }
+        const sensitivity = buildSensitivityTables(prior.data, prior.inputs, overrides, body.underwriting ?? null, tables);
+        if (sensitivity.error) {
+            return res.status(400).json({ error: sensitivity.error });
+        }
+
+        res.json({
+            source: prior.source,
+            // The prior analysis recomputed without overrides (same underwriting), for comparison
+            base: projectScenario(prior.data, prior.inputs, {}, underwritingInputs),
+            overrides,
+            scenario,
+            sensitivity: sensitivity.tables
+        });
+    } catch (err) {
+        console.error('Error running property scenario:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -1,42 +1,172 @@
+// File: routes/stats.js
+// Description: active_listings data per market: paginated/filterable rows on the root route and
+// aggregated stats (utils/activeListings.js) per slug, also exportable as CSV/XLSX (utils/tableExport.js).
+// Mounted at /api/v1/markets in app.js and requires the 'markets:read' scope.
 import express from 'express';
-import pg from 'pg';
+import { getPool } from '../db.js';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import marketCache from '../middleware/marketCache.js';
+import { LISTING_COLUMNS, summarizeListings, compareListingSummaries } from '../utils/activeListings.js';
+import { stateNameForCode } from '../utils/addressNormalization.js';
+import { parsePagination, paginationInfo } from '../utils/pagination.js';
+import { resolveAreas, isAreaId } from '../utils/areaResolver.js';
+import { parseExportFormat, responseTables, table, sendTables } from '../utils/tableExport.js';
 
 const router = express.Router();
-const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+router.use(requireScope(SCOPES.MARKETS_READ));
+
+// Selectable fields -> SQL expression
+const FIELDS = {
+  area_id: 'al.area_id',
+  slug: 'a.slug',
+  city_name: 'a.city_name',
+  state_name: 'a.state_name',
+  year: 'al.year',
+  month: 'al.month',
+  ...Object.fromEntries(LISTING_COLUMNS.map(column => [column, `al.${column}`]))
+};
+
+// Export tables for a /:slug/stats response: summary fields, listings per room type and bedroom
+// count, and one row per metric for each period comparison
+function statsTables(stats) {
+  const { room_types: roomTypes, month_over_month: monthOverMonth, year_over_year: yearOverYear, ...summary } = stats;
+  const changes = Object.entries({ month_over_month: monthOverMonth, year_over_year: yearOverYear })
+    .filter(([, comparison]) => comparison)
+    .flatMap(([period, { compared_to: comparedTo, ...metrics }]) => Object.entries(metrics).map(([metric, change]) => ({
+      period,
+      compared_to_year: comparedTo.year,
+      compared_to_month: comparedTo.month,
+      metric,
+      ...change
+    })));
+  return [
+    responseTables(summary)[0],
+    table('room_types', Object.entries(roomTypes).map(([roomType, { total, by_bedrooms: byBedrooms }]) => ({
+      room_type: roomType,
+      total,
+      ...Object.fromEntries(Object.entries(byBedrooms).map(([bedrooms, n]) => [`bedrooms_${bedrooms}`, n]))
+    }))),
+    table('changes', changes)
+  ];
+}
+
+const splitList = value => String(value).split(',').map(s => s.trim()).filter(Boolean);
+
+// GET /api/v1/markets?state=FL&area=79503,austin-tx&fields=area_id,year,month,entire_place_all&page=1&per_page=25
+router.get('/', marketCache, async (req, res) => {
+  const conditions = [];
+  const params = [];
+
+  if (req.query.state) {
+    // State codes and names, matched against areas.state_name whichever way it is stored
+    const names = splitList(req.query.state).flatMap(state => [state.toUpperCase(), (stateNameForCode(state) || state).toUpperCase()]);
+    params.push([...new Set(names)]);
+    conditions.push(`UPPER(a.state_name) = ANY($${params.length})`);
+  }
+  if (req.query.area) {
+    // Area IDs and/or slugs
+    const areas = splitList(req.query.area);
+    params.push(areas.filter(isAreaId).map(Number));
+    params.push(areas.filter(area => !isAreaId(area)).map(area => area.toLowerCase()));
+    conditions.push(`(al.area_id = ANY($${params.length - 1}::int[]) OR LOWER(a.slug) = ANY($${params.length}::text[]))`);
+  }
+
+  const fields = req.query.fields ? splitList(req.query.fields) : Object.keys(FIELDS);
+  const unknownFields = fields.filter(field => !FIELDS[field]);
+  if (unknownFields.length > 0) {
+    return res.status(400).json({ error: `Unknown fields: ${unknownFields.join(', ')}. Allowed: ${Object.keys(FIELDS).join(', ')}.` });
+  }
+
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    return res.status(400).json({ error: pagination.error });
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-// New endpoint for all markets
-router.get('/', async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM active_listings'
-    );
-    res.json(result.rows);
+    const pool = getPool();
+    const [rowsResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT ${fields.map(field => `${FIELDS[field]} AS ${field}`).join(', ')}
+         FROM active_listings al
+         JOIN areas a ON a.area_id = al.area_id
+         ${where}
+         ORDER BY al.area_id, al.year DESC, al.month DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, pagination.perPage, pagination.offset]
+      ),
+      pool.query(
+        `SELECT COUNT(*)::int AS total
+         FROM active_listings al
+         JOIN areas a ON a.area_id = al.area_id
+         ${where}`,
+        params
+      )
+    ]);
+
+    res.json({
+      pagination: paginationInfo(pagination, countResult.rows[0].total),
+      data: rowsResult.rows
+    });
   } catch (err) {
     console.error('Database error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Keep existing endpoint
-router.get('/:slug/stats', async (req, res) => {
+// GET /api/v1/markets/:slug/stats?format=json|csv|xlsx
+// Latest listing totals by room type and bedroom count, with month-over-month and year-over-year change.
+router.get('/:slug/stats', marketCache, async (req, res) => {
   const { slug } = req.params;
+  const { format, error } = parseExportFormat(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   try {
-    const marketResult = await pool.query(
-      'SELECT id FROM areas WHERE slug = $1',
-      [slug]
-    );
-
-    if (marketResult.rowCount === 0) {
+    const { areas } = await resolveAreas([slug]);
+    if (areas.length === 0) {
       return res.status(404).json({ error: 'Market not found' });
     }
+    const area = areas[0];
 
-    const marketId = marketResult.rows[0].id;
-    const statsResult = await pool.query(
-      `SELECT * FROM active_listings WHERE area_id = $1`,
-      [marketId]
+    // The latest 13 snapshots cover the month-ago and year-ago ones when the data is complete
+    const statsResult = await getPool().query(
+      `SELECT year, month, ${LISTING_COLUMNS.join(', ')}
+       FROM active_listings
+       WHERE area_id = $1
+       ORDER BY year DESC, month DESC
+       LIMIT 13`,
+      [area.area_id]
     );
+    if (statsResult.rowCount === 0) {
+      return res.status(404).json({ error: 'No listing data for this market' });
+    }
 
-    res.json({ market: slug, data: statsResult.rows });
+    const [latest] = statsResult.rows;
+    const monthIndex = row => Number(row.year) * 12 + Number(row.month);
+    const monthsBefore = months => statsResult.rows.find(row => monthIndex(row) === monthIndex(latest) - months);
+    const current = summarizeListings(latest);
+    const change = months => {
+      const row = monthsBefore(months);
+      if (!row) return null;
+      return { compared_to: { year: row.year, month: row.month }, ...compareListingSummaries(current, summarizeListings(row)) };
+    };
+
+    const stats = {
+      market: slug,
+      area_id: area.area_id,
+      name: area.city_name,
+      state: area.state_name,
+      as_of: { year: latest.year, month: latest.month },
+      ...current,
+      // null when the area has no snapshot for that month
+      month_over_month: change(1),
+      year_over_year: change(12)
+    };
+    if (format !== 'json') {
+      return sendTables(req, res, format, `market-stats-${area.slug || area.area_id}`, statsTables(stats));
+    }
+    res.json(stats);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,124 @@
+// File: routes/usage.js
+// Description: Usage/billing report per API key, built from api_usage_events (see middleware/usageMeter.js).
+// Mounted at /api/v1/admin/usage in app.js and requires the 'admin:usage' scope.
+import express from 'express';
+import { getPool } from '../db.js';
+import requireScope, { SCOPES } from '../middleware/requireScope.js';
+import { sendCsv } from '../utils/csv.js';
+
+const router = express.Router();
+router.use(requireScope(SCOPES.ADMIN_USAGE));
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = [
+    'api_key_id', 'key_name', 'key_prefix', 'day', 'route',
+    'requests', 'successful_requests', 'failed_requests', 'upstream_calls', 'cache_hits', 'avg_latency_ms'
+];
+
+// Counters summed into the per-key totals.
+const TOTAL_FIELDS = ['requests', 'successful_requests', 'failed_requests', 'upstream_calls', 'cache_hits'];
+
+// A YYYY-MM-DD date that exists (Date.parse rolls 2024-02-30 over to March 1)
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+// Defaults to the current calendar month (UTC). `to` is inclusive.
+function resolveDateRange(query) {
+    const now = new Date();
+    const from = query.from || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10);
+    const to = query.to || now.toISOString().slice(0, 10);
+    if (!isValidDate(from) || !isValidDate(to)) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format.' };
+    }
+    if (from > to) {
+        return { error: 'from must be on or before to.' };
+    }
+    return { from, to };
+}
+
+// GET /api/v1/admin/usage?from=2026-10-01&to=2026-10-31&api_key_id=12&format=csv
+router.get('/', async (req, res) => {
+    const range = resolveDateRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    let apiKeyId = null;
+    if (req.query.api_key_id !== undefined) {
+        apiKeyId = parseInt(req.query.api_key_id, 10);
+        if (isNaN(apiKeyId)) {
+            return res.status(400).json({ error: 'Invalid api_key_id format. Must be an integer.' });
+        }
+    }
+
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv.' });
+    }
+
+    try {
+        const result = await getPool().query(
+            `SELECT
+                e.api_key_id,
+                k.name AS key_name,
+                k.key_prefix,
+                to_char(date_trunc('day', e.created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS day,
+                e.route,
+                COUNT(*)::int AS requests,
+                COUNT(*) FILTER (WHERE e.status_code < 400)::int AS successful_requests,
+                COUNT(*) FILTER (WHERE e.status_code >= 400)::int AS failed_requests,
+                COUNT(*) FILTER (WHERE e.upstream_call)::int AS upstream_calls,
+                COUNT(*) FILTER (WHERE e.cache_hit)::int AS cache_hits,
+                ROUND(AVG(e.latency_ms))::int AS avg_latency_ms
+             FROM api_usage_events e
+             LEFT JOIN ss_api_keys k ON k.id = e.api_key_id
+             WHERE e.created_at >= ($1::date AT TIME ZONE 'UTC')
+               AND e.created_at < (($2::date + 1) AT TIME ZONE 'UTC')
+               AND ($3::int IS NULL OR e.api_key_id = $3)
+             GROUP BY e.api_key_id, k.name, k.key_prefix, day, e.route
+             ORDER BY e.api_key_id, day, e.route`,
+            [range.from, range.to, apiKeyId]
+        );
+
+        if (format === 'csv') {
+            return sendCsv(res, `usage_${range.from}_${range.to}.csv`, result.rows, CSV_COLUMNS);
+        }
+
+        // Group rows per key, with totals for the whole range.
+        const byKey = new Map();
+        for (const row of result.rows) {
+            if (!byKey.has(row.api_key_id)) {
+                byKey.set(row.api_key_id, {
+                    api_key_id: row.api_key_id,
+                    key_name: row.key_name,
+                    key_prefix: row.key_prefix,
+                    totals: Object.fromEntries(TOTAL_FIELDS.map(f => [f, 0])),
+                    usage: []
+                });
+            }
+            const entry = byKey.get(row.api_key_id);
+            TOTAL_FIELDS.forEach(f => { entry.totals[f] += row[f]; });
+            entry.usage.push({
+                day: row.day,
+                route: row.route,
+                requests: row.requests,
+                successful_requests: row.successful_requests,
+                failed_requests: row.failed_requests,
+                upstream_calls: row.upstream_calls,
+                cache_hits: row.cache_hits,
+                avg_latency_ms: row.avg_latency_ms
+            });
+        }
+
+        res.json({ from: range.from, to: range.to, keys: [...byKey.values()] });
+    } catch (err) {
+        console.error('Error building usage report:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
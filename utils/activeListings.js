@@ -0,0 +1,77 @@
+// File: utils/activeListings.js
+// Description: Column layout of `active_listings` (listing counts per room type and bedroom count) and
+// the aggregation of a snapshot row into totals, shares and period-over-period changes.
+
+// Bedroom-count columns per room type (`<room_type>_<n>`), plus a `<room_type>_all` total column
+export const ROOM_TYPES = {
+    entire_place: ['0', '1', '2', '3', '4', '5'],
+    private_room: ['0', '1', '2', '3', '4', '5'],
+    hotel_room: ['1', '2', '3', '4', '5'],
+    shared_room: ['0', '1', '2']
+};
+
+// Every count column, in table order
+export const LISTING_COLUMNS = Object.entries(ROOM_TYPES).flatMap(
+    ([roomType, bedrooms]) => [...bedrooms.map(b => `${roomType}_${b}`), `${roomType}_all`]
+);
+
+const count = value => (value === null || value === undefined ? 0 : Number(value));
+const round4 = value => Math.round(value * 10000) / 10000;
+// The 5-bedroom columns count 5 or more bedrooms
+const bedroomLabel = bedrooms => (bedrooms === '5' ? '5+' : bedrooms);
+
+/**
+ * Totals per room type and bedroom count for one active_listings row.
+ * A room type's total is its `_all` column, or the sum of its bedroom columns when `_all` is empty.
+ *
+ * @param {object} row - An active_listings row.
+ * @returns {{ total_listings: number, room_types: object, by_bedrooms: object, shares: object }}
+ */
+export function summarizeListings(row) {
+    const roomTypes = {};
+    const byBedrooms = {};
+    for (const [roomType, bedrooms] of Object.entries(ROOM_TYPES)) {
+        const counts = {};
+        bedrooms.forEach(b => {
+            const label = bedroomLabel(b);
+            counts[label] = count(row[`${roomType}_${b}`]);
+            byBedrooms[label] = (byBedrooms[label] || 0) + counts[label];
+        });
+        const sum = Object.values(counts).reduce((total, n) => total + n, 0);
+        const all = row[`${roomType}_all`];
+        roomTypes[roomType] = { total: all === null || all === undefined ? sum : count(all), by_bedrooms: counts };
+    }
+    const totalListings = Object.values(roomTypes).reduce((total, t) => total + t.total, 0);
+
+    return {
+        total_listings: totalListings,
+        room_types: roomTypes,
+        by_bedrooms: byBedrooms,
+        // Share of all listings (0.82 = 82%)
+        shares: {
+            entire_place: totalListings > 0 ? round4(roomTypes.entire_place.total / totalListings) : null,
+            private_room: totalListings > 0 ? round4(roomTypes.private_room.total / totalListings) : null
+        }
+    };
+}
+
+/**
+ * Change between two summaries (from summarizeListings) in total listings and per room type.
+ *
+ * @param {object} current
+ * @param {object|null} previous - null when there is no earlier snapshot.
+ * @returns {object|null} { total_listings: { previous, change, pct_change }, <room_type>: {...} }
+ */
+export function compareListingSummaries(current, previous) {
+    if (!previous) return null;
+    const change = (now, before) => ({
+        previous: before,
+        change: now - before,
+        pct_change: before > 0 ? round4((now - before) / before) : null
+    });
+    const result = { total_listings: change(current.total_listings, previous.total_listings) };
+    for (const roomType of Object.keys(ROOM_TYPES)) {
+        result[roomType] = change(current.room_types[roomType].total, previous.room_types[roomType].total);
+    }
+    return result;
+}
@@ -0,0 +1,232 @@
+// File: utils/addressNormalization.js
+// Description: Parses free-form US street addresses into components and produces one canonical form,
+// so "123 Main St, Austin TX" and "123 Main Street, Austin, Texas 78701" are treated as the same
+// property by the cache, the upstream analysis call and analyzer_queries.
+
+// USPS state abbreviations, keyed by full (upper-case) state name.
+const STATES = {
+    'ALABAMA': 'AL', 'ALASKA': 'AK', 'ARIZONA': 'AZ', 'ARKANSAS': 'AR', 'CALIFORNIA': 'CA',
+    'COLORADO': 'CO', 'CONNECTICUT': 'CT', 'DELAWARE': 'DE', 'DISTRICT OF COLUMBIA': 'DC', 'FLORIDA': 'FL',
+    'GEORGIA': 'GA', 'HAWAII': 'HI', 'IDAHO': 'ID', 'ILLINOIS': 'IL', 'INDIANA': 'IN',
+    'IOWA': 'IA', 'KANSAS': 'KS', 'KENTUCKY': 'KY', 'LOUISIANA': 'LA', 'MAINE': 'ME',
+    'MARYLAND': 'MD', 'MASSACHUSETTS': 'MA', 'MICHIGAN': 'MI', 'MINNESOTA': 'MN', 'MISSISSIPPI': 'MS',
+    'MISSOURI': 'MO', 'MONTANA': 'MT', 'NEBRASKA': 'NE', 'NEVADA': 'NV', 'NEW HAMPSHIRE': 'NH',
+    'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND',
+    'OHIO': 'OH', 'OKLAHOMA': 'OK', 'OREGON': 'OR', 'PENNSYLVANIA': 'PA', 'RHODE ISLAND': 'RI',
+    'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD', 'TENNESSEE': 'TN', 'TEXAS': 'TX', 'UTAH': 'UT',
+    'VERMONT': 'VT', 'VIRGINIA': 'VA', 'WASHINGTON': 'WA', 'WEST VIRGINIA': 'WV', 'WISCONSIN': 'WI',
+    'WYOMING': 'WY', 'PUERTO RICO': 'PR',
+};
+const STATE_CODES = new Set(Object.values(STATES));
+const STATE_NAMES_BY_CODE = Object.fromEntries(Object.entries(STATES).map(([name, code]) => [code, name]));
+
+// Common street suffix abbreviations -> full word.
+const STREET_SUFFIXES = {
+    'ALY': 'ALLEY', 'AVE': 'AVENUE', 'AV': 'AVENUE', 'BLVD': 'BOULEVARD', 'CIR': 'CIRCLE', 'CT': 'COURT',
+    'CV': 'COVE', 'DR': 'DRIVE', 'EXPY': 'EXPRESSWAY', 'FWY': 'FREEWAY', 'HWY': 'HIGHWAY', 'LN': 'LANE',
+    'LOOP': 'LOOP', 'PKWY': 'PARKWAY', 'PL': 'PLACE', 'PLZ': 'PLAZA', 'RD': 'ROAD', 'RDG': 'RIDGE',
+    'SQ': 'SQUARE', 'ST': 'STREET', 'TER': 'TERRACE', 'TRL': 'TRAIL', 'WAY': 'WAY', 'XING': 'CROSSING',
+};
+const FULL_SUFFIXES = new Set(Object.values(STREET_SUFFIXES));
+
+const DIRECTIONALS = {
+    'N': 'NORTH', 'S': 'SOUTH', 'E': 'EAST', 'W': 'WEST',
+    'NE': 'NORTHEAST', 'NW': 'NORTHWEST', 'SE': 'SOUTHEAST', 'SW': 'SOUTHWEST',
+};
+
+// Unit designators -> canonical designator.
+const UNIT_DESIGNATORS = {
+    'APT': 'APT', 'APARTMENT': 'APT', 'UNIT': 'UNIT', 'STE': 'SUITE', 'SUITE': 'SUITE', '#': 'UNIT',
+    'BLDG': 'BLDG', 'BUILDING': 'BLDG', 'LOT': 'LOT', 'RM': 'ROOM', 'ROOM': 'ROOM', 'FL': 'FLOOR', 'FLOOR': 'FLOOR',
+};
+
+const COUNTRY_SUFFIX = /,?\s*(USA|US|UNITED STATES(?: OF AMERICA)?)$/;
+const ZIP_SUFFIX = /,?\s*(\d{5})(?:-\d{4})?$/;
+const UNIT_PATTERN = new RegExp(
+    `(?:^|\\s)(${Object.keys(UNIT_DESIGNATORS).map(d => d.replace('#', '\\#')).join('|')})\\s*#?\\s*([A-Z0-9-]+)$`
+);
+
+const titleCase = value => value.toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase());
+
+// "APT 4B" -> "Apt 4B" (the unit identifier keeps its case)
+const formatUnit = unit => unit.replace(/^[A-Z]+/, titleCase);
+
+// Removes a trailing state (code or full name) from the text. Returns [rest, stateCode|null].
+function takeState(text) {
+    const words = text.split(' ');
+    // Full names can be up to three words ("DISTRICT OF COLUMBIA").
+    for (let n = 3; n >= 1; n--) {
+        if (words.length < n) continue;
+        const candidate = words.slice(-n).join(' ');
+        const code = STATES[candidate] || (n === 1 && STATE_CODES.has(candidate) ? candidate : null);
+        // A bare state needs something in front of it, otherwise "Washington" alone would be a state.
+        if (code && words.length > n) {
+            return [words.slice(0, -n).join(' ').replace(/,$/, '').trim(), code];
+        }
+    }
+    return [text, null];
+}
+
+// Removes a trailing unit ("APT 4", "#12", "STE B") from a street line. Returns [rest, unit|null].
+function takeUnit(text) {
+    const match = text.match(UNIT_PATTERN);
+    if (!match) return [text, null];
+    return [text.slice(0, match.index).trim(), `${UNIT_DESIGNATORS[match[1]]} ${match[2]}`];
+}
+
+// Expands directionals and the street suffix: "N MAIN ST" -> "NORTH MAIN STREET".
+function expandStreet(street) {
+    const words = street.split(' ').filter(Boolean);
+    return words.map((word, i) => {
+        const isFirst = i === 0;
+        const isLast = i === words.length - 1;
+        if ((isFirst || isLast) && DIRECTIONALS[word] && words.length > 1) return DIRECTIONALS[word];
+        if (isLast && STREET_SUFFIXES[word]) return STREET_SUFFIXES[word];
+        // Suffix followed by a trailing directional ("MAIN ST NW")
+        if (i === words.length - 2 && STREET_SUFFIXES[word] && DIRECTIONALS[words[i + 1]]) return STREET_SUFFIXES[word];
+        return word;
+    }).join(' ');
+}
+
+// For addresses without commas ("123 MAIN ST AUSTIN"), the city starts after the last street suffix.
+function splitStreetAndCity(line) {
+    const words = line.split(' ');
+    for (let i = words.length - 2; i >= 1; i--) {
+        const word = words[i];
+        if (STREET_SUFFIXES[word] || FULL_SUFFIXES.has(word)) {
+            // Keep a trailing directional ("MAIN ST NW AUSTIN") and a unit ("MAIN ST APT 4 AUSTIN") with the street.
+            let cityStart = DIRECTIONALS[words[i + 1]] && i + 2 < words.length ? i + 2 : i + 1;
+            if (UNIT_DESIGNATORS[words[cityStart]] && cityStart + 1 < words.length) {
+                cityStart += 2;
+            } else if (/^#[A-Z0-9-]+$/.test(words[cityStart])) {
+                cityStart += 1;
+            }
+            // Nothing left after the street (and unit): there is no city.
+            if (cityStart >= words.length) return [line, null];
+            return [words.slice(0, cityStart).join(' '), words.slice(cityStart).join(' ')];
+        }
+    }
+    return [line, null];
+}
+
+/**
+ * Parses a free-form US address.
+ *
+ * @param {string} rawAddress - Address as entered by the user.
+ * @returns {{
+ *   street_number: string|null, street: string|null, unit: string|null,
+ *   city: string|null, state: string|null, zip: string|null,
+ *   formatted: string, canonical: string, matchKey: string
+ * }}
+ *   `formatted` is the readable standardized address (sent upstream),
+ *   `canonical` is its lower-case form, and `matchKey` is what caches and query logs match on:
+ *   the canonical address without the ZIP when city and state are known (so adding or omitting
+ *   the ZIP does not create a separate entry).
+ */
+export function parseAddress(rawAddress) {
+    let text = String(rawAddress || '')
+        .toUpperCase()
+        .replace(/\./g, '')
+        .replace(/\s*,\s*/g, ', ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/,+$/, '');
+
+    text = text.replace(COUNTRY_SUFFIX, '').trim();
+
+    let zip = null;
+    const zipMatch = text.match(ZIP_SUFFIX);
+    // Only treat trailing digits as a ZIP when something other than a house number precedes them.
+    if (zipMatch && /[A-Z]/.test(text.slice(0, zipMatch.index))) {
+        zip = zipMatch[1];
+        text = text.slice(0, zipMatch.index).trim();
+    }
+
+    let state;
+    [text, state] = takeState(text.replace(/,$/, ''));
+
+    // Street line first, then optional unit part(s), city last.
+    const parts = text.split(', ').map(p => p.trim()).filter(Boolean);
+    let streetLine = parts.shift() || '';
+    let city = null;
+    let unit = null;
+
+    for (const part of parts) {
+        const [rest, partUnit] = takeUnit(part);
+        if (partUnit && !rest) {
+            unit = partUnit;
+        } else {
+            city = part;
+        }
+    }
+
+    if (!city && parts.length === 0) {
+        [streetLine, city] = splitStreetAndCity(streetLine);
+    }
+    if (!unit) {
+        [streetLine, unit] = takeUnit(streetLine);
+    }
+
+    let streetNumber = null;
+    const numberMatch = streetLine.match(/^(\d+[A-Z]?(?:-\d+)?)\s+(.+)$/);
+    if (numberMatch) {
+        streetNumber = numberMatch[1];
+        streetLine = numberMatch[2];
+    }
+    const street = streetLine ? expandStreet(streetLine) : null;
+
+    const streetPart = [streetNumber, street && titleCase(street), unit && formatUnit(unit)].filter(Boolean).join(' ');
+    const localityPart = [city && titleCase(city), [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+    const formatted = [streetPart, localityPart].filter(Boolean).join(', ');
+
+    const matchLocality = city && state
+        ? `${titleCase(city)}, ${state}`
+        : localityPart;
+    const matchKey = [streetPart, matchLocality].filter(Boolean).join(', ').toLowerCase();
+
+    return {
+        street_number: streetNumber,
+        street: street ? titleCase(street) : null,
+        unit: unit ? formatUnit(unit) : null,
+        city: city ? titleCase(city) : null,
+        state,
+        zip,
+        formatted,
+        canonical: formatted.toLowerCase(),
+        matchKey,
+    };
+}
+
+/**
+ * Address components for API responses (no internal match key).
+ *
+ * @param {ReturnType<typeof parseAddress>} parsed
+ * @returns {object}
+ */
+export function addressComponents(parsed) {
+    const { matchKey, ...components } = parsed;
+    return components;
+}
+
+/**
+ * Full state name for a USPS code ("TX" -> "Texas"), e.g. to match tables that store state names.
+ *
+ * @param {string|null} code
+ * @returns {string|null}
+ */
+export function stateNameForCode(code) {
+    const name = code ? STATE_NAMES_BY_CODE[String(code).toUpperCase()] : null;
+    return name ? titleCase(name) : null;
+}
+
+/**
+ * USPS code for a state name or code ("Texas" or "tx" -> "TX").
+ *
+ * @param {string|null} name
+ * @returns {string|null} null when it is not a known state.
+ */
+export function stateCodeForName(name) {
+    if (!name) return null;
+    const upper = String(name).trim().toUpperCase();
+    return STATES[upper] || (STATE_CODES.has(upper) ? upper : null);
+}
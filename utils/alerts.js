@@ -0,0 +1,28 @@
+// File: utils/alerts.js
+// Description: Operational alerts. Sends a POST request to the N8N webhook, which fans out to email/Slack.
+
+import fetch from 'node-fetch';
+
+/**
+ * Sends an alert to the N8N webhook. Never throws: alerting must not break the request that triggered it.
+ *
+ * @param {{ subject: string, body: string }} payload
+ * @returns {Promise<boolean>} Whether the webhook accepted the alert.
+ */
+export const sendAlertToN8n = async (payload) => {
+    try {
+        // Ensure this URL is correct for your N8N webhook
+        const response = await fetch('https://n8n.re-workflow.com/webhook/StaySTRa-Error', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        if (!response.ok) {
+             console.error('N8N alert webhook returned non-OK status:', response.status, response.statusText); // Keep error log
+        }
+        return response.ok;
+    } catch (error) {
+        console.error('Failed to send N8N alert:', error); // Keep error log
+        return false;
+    }
+};
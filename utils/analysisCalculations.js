@@ -1,16 +1,113 @@
 // File: /srv/staystra/ss-api/src/utils/analysisCalculations.js
 // Description: Contains functions for calculating projected revenues based on AirDNA data.
+// All calculations are deterministic: the same stats and comps always give the same figures.
+// (Optional, seeded obfuscation of the results lives in utils/obfuscation.js.)
+
+// Days per year used to annualize ADR x occupancy.
+const DAYS_PER_YEAR = 365;
+
+// Below this many comps, a tier's low/high range is not meaningful and is reported as null.
+export const MIN_RANGE_SAMPLE_SIZE = 3;
+
+const round2 = value => Math.round(value * 100) / 100;
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Weighted percentile: each value sits at the midpoint of its weight on a 0..1 scale stretched so
+ * the first and last values land on 0 and 1, with linear interpolation in between. With equal
+ * weights this is the same as Excel's PERCENTILE.INC.
+ *
+ * @param {Array<{ value: number, weight: number }>} sorted - Sorted ascending by value; weights > 0.
+ * @param {number} p - Percentile between 0 and 100.
+ * @returns {number|null} null for an empty array.
+ */
+export function weightedPercentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    if (sorted.length === 1) return sorted[0].value;
+
+    const first = sorted[0].weight;
+    const last = sorted[sorted.length - 1].weight;
+    const span = sorted.reduce((sum, item) => sum + item.weight, 0) - first / 2 - last / 2;
+    let cumulative = 0;
+    const positions = sorted.map(item => {
+        cumulative += item.weight;
+        return (cumulative - item.weight / 2 - first / 2) / span;
+    });
+
+    const target = p / 100;
+    for (let i = 1; i < sorted.length; i++) {
+        if (target <= positions[i]) {
+            const fraction = (target - positions[i - 1]) / (positions[i] - positions[i - 1]);
+            return sorted[i - 1].value + (sorted[i].value - sorted[i - 1].value) * fraction;
+        }
+    }
+    return sorted[sorted.length - 1].value;
+}
+
+const weightedMean = items => items.reduce((sum, item) => sum + item.value * item.weight, 0) /
+    items.reduce((sum, item) => sum + item.weight, 0);
+
+// Identifier shown in the breakdown for a comp (AirDNA comps carry the Airbnb listing ID).
+export function compId(comp, index) {
+    return comp.airbnb_property_id ?? comp.vrbo_property_id ?? comp.property_id ?? `#${index}`;
+}
+
+/**
+ * Builds a low/expected/high range around `expected` from the spread of a comp metric:
+ * low = expected x P25/P50 and high = expected x P75/P50 (percentiles weighted by comp weight).
+ * The range therefore has the same relative width as the middle half of the comps, centred on
+ * the figure we actually project.
+ *
+ * @param {number} expected - The projected figure.
+ * @param {Array<{ value: number, weight: number }>} items - The comp metric values the figure is based on.
+ * @param {string} metric - Name of the comp metric, for the response.
+ * @returns {object}
+ */
+function buildRange(expected, items, metric) {
+    const sorted = [...items].sort((a, b) => a.value - b.value);
+    const p25 = weightedPercentile(sorted, 25);
+    const p50 = weightedPercentile(sorted, 50);
+    const p75 = weightedPercentile(sorted, 75);
+    const hasSpread = sorted.length >= MIN_RANGE_SAMPLE_SIZE && p50 > 0 && expected > 0;
+
+    return {
+        low: hasSpread ? round2(expected * (p25 / p50)) : null,
+        expected: round2(expected),
+        high: hasSpread ? round2(expected * (p75 / p50)) : null,
+        basis: {
+            metric,
+            method: 'expected x comp P25/P50 (low) and expected x comp P75/P50 (high), weighted by comp weight',
+            sample_size: sorted.length,
+            percentiles: {
+                p25: p25 === null ? null : round2(p25),
+                p50: p50 === null ? null : round2(p50),
+                p75: p75 === null ? null : round2(p75)
+            },
+            // Why low/high are null, if they are
+            note: hasSpread ? null : `Fewer than ${MIN_RANGE_SAMPLE_SIZE} comps with data; no range available.`
+        }
+    };
+}
 
 /**
  * Calculates typical, top 25%, and top 10% projected gross revenues
- * based on AirDNA property statistics and comparable properties (comps).
- * Applies a small random variation to the final results.
+ * based on AirDNA property statistics and comparable properties (comps),
+ * each with a low/expected/high range and a breakdown of how it was produced.
+ *
+ * Comps carry a weight (see utils/compSelection.js): the top tiers take the highest-ADR comps
+ * until they hold 25% / 10% of the total weight and use their weighted average ADR.
+ * Without weights every comp counts the same.
  *
  * @param {object} stats - The property_statistics object from AirDNA response.
- * @param {Array<object>} comps - The comps array from AirDNA response.
- * @returns {object} An object containing the calculated revenue figures.
+ * @param {Array<object>} comps - The (selected) comps from the AirDNA response.
+ * @param {Array<number>|null} [weights] - Weight per comp (same order as comps), all > 0.
+ * @returns {{
+ *   typicalRevenue: number, top25Revenue: number, top10Revenue: number,
+ *   ranges: { typical: object, top25: object, top10: object },
+ *   breakdown: { typical: object, top25: object, top10: object }
+ * }} Revenues are rounded to cents.
  */
-export function calculateRevenues(stats, comps) {
+export function calculateRevenues(stats, comps, weights = null) {
 
     // Extract necessary market stats for calculation from the 'stats' input object
     // Use default values (0) if data is missing to prevent errors
@@ -18,90 +115,99 @@ export function calculateRevenues(stats, comps) {
     const marketCleaningLTM = stats?.cleaning_fee?.ltm || 0; // Last Twelve Months Cleaning Fee (used in all calculations)
     const marketOccupancyLTM = stats?.occupancy?.ltm || 0; // Last Twelve Months Occupancy (as decimal, e.g., 0.54)
 
-    // console.log(`📊 Market Stats for Calculation: Revenue LTM=${marketRevenueLTM.toFixed(2)}, Cleaning LTM=${marketCleaningLTM.toFixed(2)}, Occupancy LTM=${(marketOccupancyLTM*100).toFixed(2)}%`); // Re-add if needed for debugging this file
+    const indexedComps = (comps || []).map((comp, index) => ({
+        comp,
+        id: compId(comp, index),
+        weight: weights?.[index] > 0 ? weights[index] : 1
+    }));
 
 
     // 1. Calculate Average (Typical/50%) Projected Gross Revenue
     // Formula: property_statistics.revenue.ltm + property_statistics.cleaning_fee.ltm
-    let calculatedRevenueTypical = marketRevenueLTM + marketCleaningLTM;
-    // console.log(`📊 Calculated Revenue Typical (revenue.ltm + cleaning_fee.ltm): ${marketRevenueLTM.toFixed(2)} + ${marketCleaningLTM.toFixed(2)} = ${calculatedRevenueTypical.toFixed(2)}`); // Re-add if needed for debugging this file
+    const calculatedRevenueTypical = marketRevenueLTM + marketCleaningLTM;
+
+    // The range comes from the spread of the comps' annual revenue
+    const compsWithRevenue = indexedComps.filter(({ comp }) => comp.stats?.revenue?.ltm > 0);
+    const typicalRange = buildRange(
+        calculatedRevenueTypical,
+        compsWithRevenue.map(({ comp, weight }) => ({ value: comp.stats.revenue.ltm, weight })),
+        'comps[].stats.revenue.ltm'
+    );
+    const typicalBreakdown = {
+        formula: 'property_statistics.revenue.ltm + property_statistics.cleaning_fee.ltm',
+        inputs: { revenue_ltm: marketRevenueLTM, cleaning_fee_ltm: marketCleaningLTM },
+        comps: compsWithRevenue.map(({ comp, id, weight }) => ({ id, weight: round4(weight), revenue_ltm: comp.stats.revenue.ltm }))
+    };
 
 
     // 2. Calculate Top 25% and Top 10% Projected Gross Revenue
-    let calculatedRevenueTop25 = 0;
-    let calculatedRevenueTop10 = 0;
-
     // Filter comps to only include those with valid ADR > 0 for percentile calculation
-    const compsWithADR = comps.filter(comp => comp.stats?.adr?.ltm > 0);
-    // console.log(`📊 Found ${compsWithADR.length} comps with valid ADR for percentile calculation.`); // Re-add if needed for debugging this file
-
-
-    // Perform top percentile calculation only if there are comps with ADR and market occupancy is positive
-    if (compsWithADR.length > 0 && marketOccupancyLTM > 0) {
-         // Sort comps by ADR descending (highest first)
-         compsWithADR.sort((a, b) => b.stats.adr.ltm - a.stats.adr.ltm);
-
-         // Determine the number of comps for the top 25% and top 10%.
-         // Use Math.ceil to round up, ensuring at least one comp is included if compsWithADR.length > 0.
-         // Use Math.max(1, ...) to ensure we take at least 1 comp if available.
-         const numTop25 = Math.max(1, Math.ceil(compsWithADR.length * 0.25));
-         const numTop10 = Math.max(1, Math.ceil(compsWithADR.length * 0.10));
-
-         // Ensure we don't try to slice more comps than exist (slice handles exceeding array length gracefully, but explicit check is clearer)
-         const actualNumTop25 = Math.min(numTop25, compsWithADR.length);
-         const actualNumTop10 = Math.min(numTop10, compsWithADR.length);
-
-         // Get the top comps arrays by slicing the sorted array
-         const top25Comps = compsWithADR.slice(0, actualNumTop25);
-         const top10Comps = compsWithADR.slice(0, actualNumTop10);
-
-
-         // Calculate average ADR for each subset
-         const avgADRTop25 = top25Comps.length > 0 ? top25Comps.reduce((sum, comp) => sum + comp.stats.adr.ltm, 0) / top25Comps.length : 0;
-         const avgADRTop10 = top10Comps.length > 0 ? top10Comps.reduce((sum, comp) => sum + comp.stats.adr.ltm, 0) / top10Comps.length : 0;
-
-         // console.log(`📊 Avg ADR Top 25% (${top25Comps.length} comps): ${avgADRTop25.toFixed(2)}`); // Re-add if needed for debugging this file
-         // console.log(`📊 Avg ADR Top 10% (${top10Comps.length} comps): ${avgADRTop10.toFixed(2)}`); // Re-add if needed for debugging this file
-
-
-         // Calculate projected revenue for top tiers
-         // Formula: AvgADR * MarketOccupancy * 365 + MarketCleaningFee
-         calculatedRevenueTop25 = (avgADRTop25 * marketOccupancyLTM * 365) + marketCleaningLTM;
-         calculatedRevenueTop10 = (avgADRTop10 * marketOccupancyLTM * 365) + marketCleaningLTM;
+    const compsWithADR = indexedComps.filter(({ comp }) => comp.stats?.adr?.ltm > 0);
+
+    const totalWeight = compsWithADR.reduce((sum, { weight }) => sum + weight, 0);
+
+    // Formula: WeightedAvgADR(top comps by ADR) * MarketOccupancy * 365 + MarketCleaningFee
+    const topTier = (share) => {
+        const formula = `weighted avg(comps[].stats.adr.ltm of the top ${share * 100}% of comp weight by ADR) * property_statistics.occupancy.ltm * ${DAYS_PER_YEAR} + property_statistics.cleaning_fee.ltm`;
+
+        // Only if there are comps with ADR and market occupancy is positive
+        if (compsWithADR.length === 0 || marketOccupancyLTM <= 0) {
+            return {
+                revenue: 0,
+                range: buildRange(0, [], 'comps[].stats.adr.ltm'),
+                breakdown: { formula, inputs: null, comps: [], note: 'Not enough comps with ADR or market occupancy is zero.' }
+            };
+        }
+
+        // Sort comps by ADR descending (highest first); ties keep the upstream order so the result is stable
+        const sorted = [...compsWithADR].sort((a, b) => b.comp.stats.adr.ltm - a.comp.stats.adr.ltm);
+        // Take comps until the tier holds its share of the total weight (at least one comp).
+        // With equal weights this is the top ceil(n * share) comps.
+        const tierComps = [];
+        let tierWeight = 0;
+        for (const item of sorted) {
+            if (tierComps.length > 0 && tierWeight >= totalWeight * share - 1e-9) break;
+            tierComps.push(item);
+            tierWeight += item.weight;
+        }
+        const count = tierComps.length;
+        const adrItems = tierComps.map(({ comp, weight }) => ({ value: comp.stats.adr.ltm, weight }));
+        const avgADR = weightedMean(adrItems);
+
+        const revenue = (avgADR * marketOccupancyLTM * DAYS_PER_YEAR) + marketCleaningLTM;
+        return {
+            revenue,
+            // Spread of the ADRs inside the tier, applied to the tier revenue
+            range: buildRange(revenue, adrItems, 'comps[].stats.adr.ltm (tier comps)'),
+            breakdown: {
+                formula,
+                inputs: {
+                    avg_adr: round2(avgADR),
+                    occupancy_ltm: marketOccupancyLTM,
+                    days: DAYS_PER_YEAR,
+                    cleaning_fee_ltm: marketCleaningLTM,
+                    comps_with_adr: compsWithADR.length,
+                    comps_in_tier: count
+                },
+                comps: tierComps.map(({ comp, id, weight }) => ({ id, weight: round4(weight), adr_ltm: comp.stats.adr.ltm }))
+            }
+        };
+    };
 
-         // console.log(`📊 Calculated Revenue Top 25%: (${avgADRTop25.toFixed(2)} * ${(marketOccupancyLTM*100).toFixed(2)}% * 365) + ${marketCleaningLTM.toFixed(2)} = ${calculatedRevenueTop25.toFixed(2)}`); // Re-add if needed for debugging this file
-         // console.log(`📊 Calculated Revenue Top 10%: (${avgADRTop10.toFixed(2)} * ${(marketOccupancyLTM*100).toFixed(2)}% * 365) + ${marketCleaningLTM.toFixed(2)} = ${calculatedRevenueTop10.toFixed(2)}`); // Re-add if needed for debugging this file
+    const top25 = topTier(0.25);
+    const top10 = topTier(0.10);
 
-    } else {
+    if (top25.revenue === 0) {
          // Console.warn is fine here as it's internal calculation logic
          console.warn('⚠️ analysisCalculations: Not enough comps with ADR or market occupancy is zero to calculate top percentile revenues. Setting Top 25% and Top 10% to 0.');
     }
 
-    // 3. Apply Randomness (+/- 0-1%)
-    // The randomness factor should be between -0.01 and +0.01 (for +/- 1%)
-    // Applies only if the calculated value is > 0.
-    const applyRandomness = (value) => {
-         if (value <= 0) return value; // Don't apply randomness to zero or negative values
-         const randomFactor = (Math.random() * 0.02) - 0.01; // Generates a number between -0.01 and +0.01
-         const result = value * (1 + randomFactor);
-         // console.log(`✨ Applying randomness to ${value.toFixed(2)}. Factor: ${(randomFactor*100).toFixed(2)}%. Result: ${result.toFixed(2)}`); // Re-add if needed for debugging this file
-         return result; // Return as number
-    };
-
-    // Apply randomness to the calculated values
-    calculatedRevenueTypical = applyRandomness(calculatedRevenueTypical);
-    calculatedRevenueTop25 = applyRandomness(calculatedRevenueTop25);
-    calculatedRevenueTop10 = applyRandomness(calculatedRevenueTop10);
-
-    // console.log(`✅ analysisCalculations: Final Calculated Projected Revenues: Typical=$${calculatedRevenueTypical.toFixed(2)}, Top25=$${calculatedRevenueTop25.toFixed(2)}, Top10=$${calculatedRevenueTop10.toFixed(2)}`); // Re-add if needed for debugging this file
-
-
     // Return the final calculated revenue figures
     return {
-        typicalRevenue: calculatedRevenueTypical,
-        top25Revenue: calculatedRevenueTop25,
-        top10Revenue: calculatedRevenueTop10,
-        // Note: projectedADR is not calculated here based on your original code.
-        // It seems to be taken directly from stats.adr.ltm in property-analysis.js
+        typicalRevenue: round2(calculatedRevenueTypical),
+        top25Revenue: round2(top25.revenue),
+        top10Revenue: round2(top10.revenue),
+        ranges: { typical: typicalRange, top25: top25.range, top10: top10.range },
+        breakdown: { typical: typicalBreakdown, top25: top25.breakdown, top10: top10.breakdown }
     };
-}
\ No newline at end of file
+}
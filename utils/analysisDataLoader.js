@@ -0,0 +1,139 @@
+// File: utils/analysisDataLoader.js
+// Description: Loads the upstream analysis data for a request, going through property_cache first.
+//
+//  - fresh:     cache entry younger than ANALYSIS_CACHE_TTL_DAYS (default 30) is served as-is.
+//  - stale:     entry past the TTL but within ANALYSIS_CACHE_STALE_GRACE_DAYS (default 7) more days is
+//               served immediately while a background refresh updates the cache.
+//  - coalesced: another request for the same cache key is already calling the provider; we wait for
+//               that call instead of paying for a second one.
+//  - miss:      nothing usable in the cache; this request called the provider itself.
+//
+// Coalescing happens per process (each PM2 process keeps its own in-flight map).
+
+import { getAnalysisProvider, ProviderError } from '../providers/index.js';
+import { buildCacheKey, getCachedAnalysis, saveCachedAnalysis } from './propertyCache.js';
+import { sendAlertToN8n } from './alerts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CACHE_TTL_DAYS = parseFloat(process.env.ANALYSIS_CACHE_TTL_DAYS) || 30;
+const STALE_GRACE_DAYS = parseFloat(process.env.ANALYSIS_CACHE_STALE_GRACE_DAYS) || 7;
+
+// cache key -> Promise of the provider call + cache write currently running for it
+const inFlightFetches = new Map();
+
+async function fetchAndCache(inputs) {
+    const provider = getAnalysisProvider();
+    const normalizedAnalysis = await provider.analyze(inputs);
+
+    // Keep the same { data: ... } envelope AirDNA returns, so existing cache rows and the
+    // route validation work the same for every provider.
+    const rawResponse = { data: normalizedAnalysis };
+
+    try {
+        console.log(`[CACHE WRITE ATTEMPT] For: "${buildCacheKey(inputs)}"`);
+        await saveCachedAnalysis(inputs, rawResponse, provider.name);
+        console.log(`[CACHE WRITE SUCCESS] For: "${buildCacheKey(inputs)}"`);
+    } catch (cacheSaveError) {
+        console.error(`[CACHE WRITE FAILED] For: "${buildCacheKey(inputs)}"`, cacheSaveError);
+        await sendAlertToN8n({
+            subject: '⚠️ StaySTRA Analyzer Cache Save Error',
+            body: `Failed to save/update property_cache table for address: ${inputs.address || 'N/A'}\n` +
+                  `• Error: ${cacheSaveError.message}\n` +
+                  `• Time: ${new Date().toISOString()}`
+        });
+    }
+
+    return { rawResponse, providerName: provider.name, upstreamCall: provider.isPaid };
+}
+
+// Starts a provider call for the inputs, or joins the one already running for the same cache key.
+function fetchShared(inputs) {
+    const cacheKey = buildCacheKey(inputs);
+    const existing = inFlightFetches.get(cacheKey);
+    if (existing) {
+        return { promise: existing, coalesced: true };
+    }
+    const promise = fetchAndCache(inputs).finally(() => inFlightFetches.delete(cacheKey));
+    inFlightFetches.set(cacheKey, promise);
+    return { promise, coalesced: false };
+}
+
+function refreshInBackground(inputs) {
+    const { promise, coalesced } = fetchShared(inputs);
+    if (coalesced) return; // A refresh (or a regular fetch) is already running for this key.
+
+    console.log(`[CACHE REFRESH] Serving stale entry, refreshing in background: "${buildCacheKey(inputs)}"`);
+    promise.catch(async (refreshError) => {
+        // The stale entry stays in place and will be retried on the next request.
+        console.error(`[CACHE REFRESH FAILED] For: "${buildCacheKey(inputs)}"`, refreshError);
+        await sendAlertToN8n({
+            subject: '⚠️ StaySTRA Analyzer Background Refresh Error',
+            body: `Failed to refresh stale property_cache entry for address: ${inputs.address || 'N/A'}\n` +
+                  `• Error: ${refreshError.message}\n` +
+                  `• Time: ${new Date().toISOString()}`
+        });
+    });
+}
+
+/**
+ * Returns the upstream analysis data for the inputs, from cache or from the configured provider.
+ *
+ * @param {object} inputs - Normalized analysis inputs ({ address, bedrooms, bathrooms, accommodates }).
+ * @returns {Promise<{
+ *   rawResponse: object, source: 'cache'|'api', cacheStatus: 'fresh'|'stale'|'coalesced'|'miss',
+ *   providerName: string, upstreamCall: boolean, fetchedAt: Date
+ * }>} `upstreamCall` is true only when this request itself paid for a provider call.
+ * @throws {ProviderError} When the provider call fails (also for coalesced requests, flagged with `coalesced: true`).
+ */
+export async function loadAnalysisData(inputs) {
+    let cachedEntry = null;
+    try {
+        // Only entries of the configured provider: cached mock fixtures must never pass for real data
+        cachedEntry = await getCachedAnalysis(inputs, CACHE_TTL_DAYS + STALE_GRACE_DAYS, getAnalysisProvider().name);
+    } catch (cacheError) {
+        console.error('🚫 Failed during cache check:', cacheError);
+        await sendAlertToN8n({
+            subject: '⚠️ StaySTRA Analyzer Cache Check Error',
+            body: `Failed to check property_cache table for address: ${inputs.address || 'N/A'}\n` +
+                  `• Error: ${cacheError.message}\n` +
+                  `• Time: ${new Date().toISOString()}`
+        });
+        // Continue without a cache entry -> will call the provider
+    }
+
+    if (cachedEntry) {
+        const fetchedAt = new Date(cachedEntry.last_fetched);
+        const isStale = Date.now() - fetchedAt.getTime() > CACHE_TTL_DAYS * DAY_MS;
+        if (isStale) {
+            refreshInBackground(inputs);
+        }
+        return {
+            rawResponse: cachedEntry.raw_api_response,
+            source: 'cache',
+            cacheStatus: isStale ? 'stale' : 'fresh',
+            providerName: cachedEntry.source_api,
+            upstreamCall: false,
+            fetchedAt
+        };
+    }
+
+    const { promise, coalesced } = fetchShared(inputs);
+    try {
+        const result = await promise;
+        return {
+            rawResponse: result.rawResponse,
+            source: 'api',
+            cacheStatus: coalesced ? 'coalesced' : 'miss',
+            providerName: result.providerName,
+            upstreamCall: !coalesced && result.upstreamCall,
+            fetchedAt: new Date()
+        };
+    } catch (err) {
+        // Give coalesced requests their own copy, so the caller that made the call can still be told apart.
+        if (coalesced && err instanceof ProviderError) {
+            throw Object.assign(new ProviderError(err.message, err), { coalesced: true });
+        }
+        throw err;
+    }
+}
@@ -0,0 +1,483 @@
+// File: utils/analysisReport.js
+// Description: Branded PDF report for a property analysis (POST /api/v1/property/report). Renders a
+// stored analysis (utils/savedAnalyses.js) with the figures the analyze endpoint returned, adds the
+// area's monthly market history, and lays out the report with utils/pdf.js: property details, the
+// three revenue tiers, ADR/occupancy, market and submarket scores, monthly charts and the comp table.
+
+import { getPool } from '../db.js';
+import { parseAddress } from './addressNormalization.js';
+import { buildAnalysisInputs } from './propertyAnalysis.js';
+import { ANALYSIS_ID_PATTERN, getAnalysis, findLatestAnalysis } from './savedAnalyses.js';
+import { findAreaForAddress } from './seasonality.js';
+import { compId } from './analysisCalculations.js';
+import { createPdf, parseImage, textWidth, wrapText, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+
+// Months of market history charted
+const MARKET_HISTORY_MONTHS = 24;
+// Largest analyzer_queries.id (int4)
+const MAX_QUERY_ID = 2147483647;
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+// Content stops above the footer
+const CONTENT_BOTTOM = PAGE_HEIGHT - 80;
+
+const TIERS = [
+    { key: 'typical', label: 'Typical' },
+    { key: 'top_25', label: 'Top 25%' },
+    { key: 'top_10', label: 'Top 10%' }
+];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const TEXT = '#222222';
+const MUTED = '#6b7280';
+const RULE = '#d1d5db';
+const PANEL = '#f3f4f6';
+
+const money = value => (typeof value === 'number' && Number.isFinite(value)
+    ? `$${Math.round(value).toLocaleString('en-US')}`
+    : 'N/A');
+const percent = value => (typeof value === 'number' && Number.isFinite(value) ? `${(value * 100).toFixed(0)}%` : 'N/A');
+const score = value => (value === null || value === undefined || value === '' ? 'N/A' : String(value));
+
+/**
+ * The area's monthly ADR, occupancy and revenue (oldest first) for the market charts. Database
+ * errors are logged and treated as no history.
+ *
+ * @param {object} parsedAddress - From parseAddress.
+ * @returns {Promise<{ area: object, months: Array<object> }|null>}
+ */
+async function loadMarketHistory(parsedAddress) {
+    try {
+        const area = await findAreaForAddress(parsedAddress);
+        if (!area) return null;
+        const { rows } = await getPool().query(
+            `SELECT year, month, adr, occupancy, revenue
+             FROM monthly_market_metrics
+             WHERE area_id = $1
+             ORDER BY year DESC, month DESC
+             LIMIT $2`,
+            [area.area_id, MARKET_HISTORY_MONTHS]
+        );
+        if (rows.length === 0) return null;
+        return {
+            area,
+            months: rows.reverse().map(row => ({
+                label: `${MONTH_NAMES[row.month - 1]} ${String(row.year).slice(-2)}`,
+                adr: parseFloat(row.adr) || null,
+                occupancy: parseFloat(row.occupancy) || null,
+                revenue: parseFloat(row.revenue) || null
+            }))
+        };
+    } catch (err) {
+        console.warn('⚠️ analysisReport: Failed to load market history, charting the property statistics instead:', err.message);
+        return null;
+    }
+}
+
+// Monthly ADR/occupancy from the upstream property statistics, when the area has no history
+function upstreamHistory(stats) {
+    const adr = Array.isArray(stats?.adr?.monthly) ? stats.adr.monthly : [];
+    const occupancy = Array.isArray(stats?.occupancy?.monthly) ? stats.occupancy.monthly : [];
+    if (adr.length === 0 || adr.length !== occupancy.length || typeof adr[0] !== 'object') return null;
+    return {
+        area: null,
+        months: adr.map((entry, i) => {
+            const [year, month] = String(entry.month).split('-').map(Number);
+            return {
+                label: month ? `${MONTH_NAMES[month - 1]} ${String(year).slice(-2)}` : String(entry.month),
+                adr: Number(entry.value) || null,
+                occupancy: Number(occupancy[i]?.value) || null,
+                revenue: null
+            };
+        })
+    };
+}
+
+/**
+ * Finds the stored analysis a report is for: by analysis_id, by analyzer_queries ID, or the newest
+ * one of an address (optionally narrowed to a bedrooms/bathrooms/occupancy configuration). Only
+ * analyses of the calling key and the keys in its rotation chain are found.
+ *
+ * @param {{ analysis_id?: any, query_id?: any, address?: string, bedrooms?: any, bathrooms?: any, occupancy?: any }} request
+ * @param {number} apiKeyId
+ * @returns {Promise<{ stored: object }|{ error: string, status: number }>} `stored` as getAnalysis returns it.
+ */
+export async function loadReportAnalysis({ analysis_id, query_id, address, bedrooms, bathrooms, occupancy }, apiKeyId) {
+    if (analysis_id !== undefined && analysis_id !== null) {
+        if (!ANALYSIS_ID_PATTERN.test(String(analysis_id))) {
+            return { status: 400, error: 'Invalid analysis_id format.' };
+        }
+        const stored = await getAnalysis(String(analysis_id), apiKeyId);
+        return stored ? { stored } : { status: 404, error: `Analysis ${analysis_id} not found.` };
+    }
+
+    let lookup;
+    if (query_id !== undefined && query_id !== null) {
+        if (!/^\d{1,10}$/.test(String(query_id)) || Number(query_id) > MAX_QUERY_ID) {
+            return { status: 400, error: 'Invalid query_id format. Must be an integer.' };
+        }
+        lookup = { queryId: Number(query_id) };
+    } else if (address) {
+        // Only narrow by configuration when the caller gave one (as for POST /scenario)
+        const parsedAddress = parseAddress(address);
+        const requested = buildAnalysisInputs(parsedAddress, { address, bedrooms, bathrooms, occupancy });
+        lookup = {
+            normalizedAddress: parsedAddress.matchKey,
+            configuration: {
+                bedrooms: requested.bedrooms,
+                bathrooms: requested.bathrooms,
+                accommodates: occupancy === undefined ? null : requested.accommodates
+            }
+        };
+    } else {
+        return { status: 400, error: 'analysis_id, query_id or address is required.' };
+    }
+
+    const stored = await findLatestAnalysis(apiKeyId, lookup);
+    if (!stored) {
+        return {
+            status: 404,
+            error: 'No stored analysis found for this property. Run POST /api/v1/property/analyze first.'
+        };
+    }
+    return { stored };
+}
+
+/**
+ * The report contents of a stored analysis: its result exactly as the analyze endpoint returned it
+ * (obfuscation and underwriting included), with the market history for the charts.
+ *
+ * @param {object} stored - From loadReportAnalysis.
+ * @returns {Promise<{ analysis: object, market: object|null, source: object }>}
+ *   `source` is { analysis_id, query_id, agent_id, address, data_fetched_at }.
+ */
+export async function buildReportData(stored) {
+    const analysis = stored.result;
+    const parsedAddress = parseAddress(stored.inputs.address);
+    const market = await loadMarketHistory(parsedAddress) || upstreamHistory(analysis.property_statistics);
+    return {
+        analysis,
+        market,
+        source: {
+            analysis_id: stored.id,
+            query_id: stored.query_id,
+            // The agent the analysis was run for
+            agent_id: stored.inputs.agent_id ?? null,
+            address: parsedAddress.formatted,
+            data_fetched_at: stored.source.data_fetched_at
+        }
+    };
+}
+
+// Rounds a chart maximum up to 1, 2, 2.5 or 5 x 10^n so the four gridlines get round labels
+function niceMax(value) {
+    if (!(value > 0)) return 1;
+    const step = value / 4;
+    const magnitude = 10 ** Math.floor(Math.log10(step));
+    const nice = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= step);
+    return nice * magnitude * 4;
+}
+
+// Bar/line chart: the first series is drawn as bars, the others as lines over the same months
+function drawChart(page, { x, top, width, height, title, labels, series, format }) {
+    if (title) page.text(title, x, top + 10, { size: 10, bold: true, color: TEXT });
+    const plotLeft = x + 46;
+    const plotTop = top + 22;
+    const plotWidth = width - 46;
+    const plotHeight = height - 48;
+    const plotBottom = plotTop + plotHeight;
+
+    const values = series.flatMap(s => s.values).filter(v => typeof v === 'number' && Number.isFinite(v));
+    if (values.length === 0) {
+        page.text('No data available.', plotLeft, plotTop + plotHeight / 2, { size: 9, color: MUTED });
+        return;
+    }
+    const max = niceMax(Math.max(...values));
+    const yFor = value => plotBottom - (value / max) * plotHeight;
+
+    for (let i = 0; i <= 4; i++) {
+        const gridTop = plotBottom - (plotHeight * i) / 4;
+        page.line(plotLeft, gridTop, plotLeft + plotWidth, gridTop, { color: i === 0 ? MUTED : RULE, lineWidth: 0.5 });
+        page.text(format((max * i) / 4), plotLeft - 4, gridTop + 3, { size: 7, color: MUTED, align: 'right' });
+    }
+
+    const slot = plotWidth / labels.length;
+    // Label every month when they fit, otherwise every second or third
+    const labelEvery = Math.ceil(28 / slot);
+    labels.forEach((label, i) => {
+        if (i % labelEvery === 0) {
+            page.text(label, plotLeft + slot * (i + 0.5), plotBottom + 11, { size: 6.5, color: MUTED, align: 'center' });
+        }
+    });
+
+    series.forEach((s, index) => {
+        if (index === 0) {
+            s.values.forEach((value, i) => {
+                if (!(value > 0)) return;
+                page.rect(plotLeft + slot * i + slot * 0.15, yFor(value), slot * 0.7, plotBottom - yFor(value), { fill: s.color });
+            });
+        } else {
+            const points = s.values
+                .map((value, i) => (typeof value === 'number' ? [plotLeft + slot * (i + 0.5), yFor(value)] : null))
+                .filter(Boolean);
+            page.polyline(points, { color: s.color, lineWidth: 1.5 });
+        }
+    });
+
+    // Legend below the month labels
+    if (series.length > 1) {
+        let legendX = plotLeft;
+        for (const s of series) {
+            page.rect(legendX, plotBottom + 18, 8, 8, { fill: s.color });
+            page.text(s.label, legendX + 11, plotBottom + 25, { size: 7.5, color: TEXT });
+            legendX += 24 + textWidth(s.label, 7.5);
+        }
+    }
+}
+
+function sectionTitle(page, title, top, branding) {
+    page.text(title, MARGIN, top, { size: 12, bold: true, color: branding.primary_color });
+    page.line(MARGIN, top + 5, MARGIN + CONTENT_WIDTH, top + 5, { color: branding.accent_color, lineWidth: 1 });
+    return top + 22;
+}
+
+function drawHeader(page, branding, logo, subtitle, compact) {
+    const height = compact ? 44 : 92;
+    page.rect(0, 0, PAGE_WIDTH, height, { fill: branding.primary_color });
+    page.rect(0, height, PAGE_WIDTH, 3, { fill: branding.accent_color });
+
+    if (logo) {
+        const box = compact ? { width: 90, height: 26 } : { width: 160, height: 56 };
+        page.image(logo, MARGIN, (height - box.height) / 2, box.width, box.height);
+    }
+    if (compact) {
+        page.text(branding.company_name, PAGE_WIDTH - MARGIN, 27, { size: 11, bold: true, color: '#ffffff', align: 'right' });
+        return height + 3;
+    }
+    if (!logo) {
+        page.text(branding.company_name, MARGIN, 42, { size: 20, bold: true, color: '#ffffff', maxWidth: CONTENT_WIDTH / 2 });
+    }
+    page.text('Short-Term Rental Revenue Report', PAGE_WIDTH - MARGIN, 42, { size: 14, bold: true, color: '#ffffff', align: 'right' });
+    page.text(subtitle, PAGE_WIDTH - MARGIN, 60, { size: 9, color: '#ffffff', align: 'right' });
+    return height + 3;
+}
+
+function drawFooter(page, branding, pageNumber, pageCount) {
+    const top = PAGE_HEIGHT - 62;
+    page.line(MARGIN, top, MARGIN + CONTENT_WIDTH, top, { color: RULE, lineWidth: 0.5 });
+    const contact = [branding.contact_name, branding.contact_email, branding.contact_phone, branding.contact_website].filter(Boolean);
+    page.text(contact.length > 0 ? `Prepared by ${contact.join('  •  ')}` : `Prepared by ${branding.company_name}`,
+        MARGIN, top + 13, { size: 8.5, bold: true, color: branding.primary_color, maxWidth: CONTENT_WIDTH - 70 });
+    page.text(`Page ${pageNumber} of ${pageCount}`, MARGIN + CONTENT_WIDTH, top + 13, { size: 8, color: MUTED, align: 'right' });
+    wrapText(branding.footer_text || '', 7, CONTENT_WIDTH).slice(0, 3).forEach((line, i) => {
+        page.text(line, MARGIN, top + 25 + i * 9, { size: 7, color: MUTED });
+    });
+}
+
+// Box with a label, a large value and an optional note (and a 0-100 bar for scores)
+function drawStat(page, { x, top, width, label, value, note, bar, branding }) {
+    page.rect(x, top, width, 62, { fill: PANEL });
+    page.rect(x, top, 3, 62, { fill: branding.accent_color });
+    page.text(label, x + 12, top + 16, { size: 8, color: MUTED, maxWidth: width - 16 });
+    page.text(value, x + 12, top + 38, { size: 17, bold: true, color: TEXT, maxWidth: width - 16 });
+    if (bar !== undefined) {
+        const fraction = Math.max(0, Math.min(1, Number(bar) / 100)) || 0;
+        page.rect(x + 12, top + 46, width - 24, 5, { fill: RULE });
+        page.rect(x + 12, top + 46, (width - 24) * fraction, 5, { fill: branding.accent_color });
+    } else if (note) {
+        page.text(note, x + 12, top + 53, { size: 7.5, color: MUTED, maxWidth: width - 16 });
+    }
+}
+
+// Comp rows for the table: the comps the projection used, with their listing data
+function compRows(analysis) {
+    const byId = new Map((analysis.comps || []).map((comp, index) => [String(compId(comp, index)), comp]));
+    return (analysis.comp_selection?.used || []).map(used => {
+        const comp = byId.get(String(used.id)) || {};
+        return {
+            name: comp.title || comp.name || String(used.id),
+            bedrooms: used.bedrooms ?? '',
+            bathrooms: used.bathrooms ?? '',
+            accommodates: used.accommodates ?? '',
+            distance: used.distance_m === null || used.distance_m === undefined ? '' : `${(used.distance_m / 1609.344).toFixed(1)} mi`,
+            adr: money(comp.stats?.adr?.ltm),
+            occupancy: percent(comp.stats?.occupancy?.ltm),
+            revenue: money(comp.stats?.revenue?.ltm),
+            weight: typeof used.weight === 'number' ? used.weight.toFixed(2) : ''
+        };
+    });
+}
+
+const COMP_COLUMNS = [
+    { key: 'name', header: 'Listing', width: 160 },
+    { key: 'bedrooms', header: 'Beds', width: 34, align: 'right' },
+    { key: 'bathrooms', header: 'Baths', width: 36, align: 'right' },
+    { key: 'accommodates', header: 'Guests', width: 40, align: 'right' },
+    { key: 'distance', header: 'Distance', width: 50, align: 'right' },
+    { key: 'adr', header: 'ADR', width: 50, align: 'right' },
+    { key: 'occupancy', header: 'Occ.', width: 40, align: 'right' },
+    { key: 'revenue', header: 'Revenue', width: 70, align: 'right' },
+    { key: 'weight', header: 'Weight', width: 52, align: 'right' }
+];
+
+/**
+ * Renders the report.
+ *
+ * @param {{ analysis: object, market: object|null, source: object }} report - From buildReportData.
+ * @param {object} branding - From utils/reportBranding.js resolveBranding.
+ * @returns {Buffer} The PDF.
+ */
+export function renderAnalysisReport({ analysis, market, source }, branding) {
+    const details = analysis.property_details || {};
+    const stats = analysis.property_statistics || {};
+    const address = analysis.address_components?.formatted || source.address;
+    const pdf = createPdf({ title: `Revenue report: ${address}`, author: branding.company_name });
+
+    let logo = null;
+    if (branding.logo) {
+        try {
+            logo = pdf.addImage(parseImage(Buffer.from(branding.logo)));
+        } catch (err) {
+            // Validated on upload, so only an unreadable stored logo gets here
+            console.warn('⚠️ analysisReport: Skipping unreadable logo:', err.message);
+        }
+    }
+
+    const generated = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const pages = [];
+    const newPage = compact => {
+        const page = pdf.addPage();
+        pages.push(page);
+        return { page, top: drawHeader(page, branding, logo, `Prepared ${generated}`, compact) + 28 };
+    };
+
+    // --- Page 1: property, tiers, key figures, projected monthly revenue ---
+    let { page, top } = newPage(false);
+    const addressLines = wrapText(address, 16, CONTENT_WIDTH, true).slice(0, 2);
+    addressLines.forEach((line, i) => page.text(line, MARGIN, top + i * 20, { size: 16, bold: true, color: TEXT }));
+    top += addressLines.length * 20;
+
+    const configuration = [
+        details.bedrooms ? `${details.bedrooms} bedrooms` : null,
+        details.bathrooms ? `${details.bathrooms} bathrooms` : null,
+        details.accommodates ? `sleeps ${details.accommodates}` : null
+    ].filter(Boolean);
+    const marketNames = [
+        analysis.StaySTRa_market_name && `Market: ${analysis.StaySTRa_market_name}`,
+        analysis.StaySTRa_submarket_name && `Submarket: ${analysis.StaySTRa_submarket_name}`
+    ].filter(Boolean);
+    page.text([...configuration, ...marketNames].join('   •   '), MARGIN, top, { size: 10, color: MUTED, maxWidth: CONTENT_WIDTH });
+    top += 30;
+
+    top = sectionTitle(page, 'Projected annual revenue', top, branding);
+    const tierWidth = (CONTENT_WIDTH - 2 * 12) / 3;
+    TIERS.forEach(({ key, label }, i) => {
+        const x = MARGIN + i * (tierWidth + 12);
+        const range = analysis.projection_ranges?.[key] || {};
+        const fill = i === 0 ? branding.primary_color : PANEL;
+        const color = i === 0 ? '#ffffff' : TEXT;
+        page.rect(x, top, tierWidth, 78, { fill });
+        page.text(label, x + 12, top + 18, { size: 10, bold: true, color: i === 0 ? '#ffffff' : branding.primary_color });
+        page.text(money(analysis[`projected_revenue_${key}`]), x + 12, top + 46, { size: 22, bold: true, color });
+        page.text(range.low > 0 && range.high > 0 ? `Range ${money(range.low)} – ${money(range.high)}` : 'Range not available',
+            x + 12, top + 66, { size: 8, color: i === 0 ? '#ffffff' : MUTED, maxWidth: tierWidth - 20 });
+    });
+    top += 100;
+
+    top = sectionTitle(page, 'Market performance (last 12 months)', top, branding);
+    const statWidth = (CONTENT_WIDTH - 3 * 10) / 4;
+    [
+        { label: 'Average daily rate (ADR)', value: money(stats.adr?.ltm), note: 'Market LTM' },
+        { label: 'Occupancy', value: percent(stats.occupancy?.ltm), note: 'Market LTM' },
+        { label: 'Market score', value: score(analysis.market_score), bar: analysis.market_score ?? 0 },
+        { label: 'Submarket score', value: score(analysis.submarket_score), bar: analysis.submarket_score ?? 0 }
+    ].forEach((stat, i) => drawStat(page, { ...stat, x: MARGIN + i * (statWidth + 10), top, width: statWidth, branding }));
+    top += 84;
+
+    top = sectionTitle(page, 'Projected monthly revenue', top, branding);
+    const projection = analysis.monthly_projection?.tiers;
+    if (projection) {
+        drawChart(page, {
+            x: MARGIN,
+            top,
+            width: CONTENT_WIDTH,
+            height: CONTENT_BOTTOM - top,
+            title: '',
+            labels: MONTH_NAMES,
+            series: [
+                { label: 'Typical', color: branding.primary_color, values: projection.typical.months.map(m => m.revenue) },
+                { label: 'Top 25%', color: branding.accent_color, values: projection.top_25.months.map(m => m.revenue) },
+                { label: 'Top 10%', color: '#e07a1f', values: projection.top_10.months.map(m => m.revenue) }
+            ],
+            format: value => `$${Math.round(value).toLocaleString('en-US')}`
+        });
+    }
+
+    // --- Page 2: market history charts and comps ---
+    ({ page, top } = newPage(true));
+    const historyTitle = market?.area
+        ? `Monthly market performance: ${market.area.name}, ${market.area.state}`
+        : 'Monthly market performance';
+    top = sectionTitle(page, historyTitle, top, branding);
+    if (market) {
+        const labels = market.months.map(m => m.label);
+        drawChart(page, {
+            x: MARGIN, top, width: CONTENT_WIDTH, height: 150, title: 'Average daily rate', labels,
+            series: [{ label: 'ADR', color: branding.primary_color, values: market.months.map(m => m.adr) }],
+            format: value => `$${Math.round(value)}`
+        });
+        top += 160;
+        drawChart(page, {
+            x: MARGIN, top, width: CONTENT_WIDTH, height: 150, title: 'Occupancy', labels,
+            series: [{ label: 'Occupancy', color: branding.accent_color, values: market.months.map(m => m.occupancy) }],
+            format: value => `${Math.round(value * 100)}%`
+        });
+        top += 170;
+    } else {
+        page.text('No monthly market history is available for this area.', MARGIN, top, { size: 9, color: MUTED });
+        top += 24;
+    }
+
+    top = sectionTitle(page, 'Comparable properties', top, branding);
+    const rows = compRows(analysis);
+    const drawTableHeader = () => {
+        page.rect(MARGIN, top - 11, CONTENT_WIDTH, 16, { fill: branding.primary_color });
+        let x = MARGIN + 4;
+        for (const column of COMP_COLUMNS) {
+            page.text(column.header, column.align === 'right' ? x + column.width - 8 : x, top, { size: 8, bold: true, color: '#ffffff', align: column.align || 'left' });
+            x += column.width;
+        }
+        top += 16;
+    };
+    if (rows.length === 0) {
+        page.text('No comparable properties were used for this analysis.', MARGIN, top, { size: 9, color: MUTED });
+    } else {
+        drawTableHeader();
+        rows.forEach((row, index) => {
+            if (top > CONTENT_BOTTOM) {
+                ({ page, top } = newPage(true));
+                top = sectionTitle(page, 'Comparable properties (continued)', top, branding);
+                drawTableHeader();
+            }
+            if (index % 2 === 1) page.rect(MARGIN, top - 10, CONTENT_WIDTH, 14, { fill: PANEL });
+            let x = MARGIN + 4;
+            for (const column of COMP_COLUMNS) {
+                page.text(row[column.key], column.align === 'right' ? x + column.width - 8 : x, top, {
+                    size: 8, color: TEXT, align: column.align || 'left', maxWidth: column.width - 8
+                });
+                x += column.width;
+            }
+            top += 14;
+        });
+        top += 8;
+        page.text(`Weight is how closely a comp matches the property (higher counts more). ${analysis.comp_selection.excluded?.length || 0} other listings were excluded.`,
+            MARGIN, top, { size: 7.5, color: MUTED, maxWidth: CONTENT_WIDTH });
+    }
+
+    const fetched = source.data_fetched_at ? new Date(source.data_fetched_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : null;
+    if (fetched && top + 14 <= CONTENT_BOTTOM + 20) {
+        page.text(`Property data as of ${fetched}.`, MARGIN, top + 12, { size: 7.5, color: MUTED });
+    }
+
+    pages.forEach((p, i) => drawFooter(p, branding, i + 1, pages.length));
+    return pdf.toBuffer();
+}
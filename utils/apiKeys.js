@@ -0,0 +1,92 @@
+// File: utils/apiKeys.js
+// Description: Helpers for generating, hashing and presenting API keys.
+// Keys are only ever stored as a SHA-256 hash plus a short visible prefix.
+
+import crypto from 'crypto';
+
+// Every generated key starts with this marker, so leaked keys are easy to grep for.
+const KEY_MARKER = 'ss_';
+
+// Number of leading characters stored in clear text (ss_api_keys.key_prefix) to identify a key.
+export const KEY_PREFIX_LENGTH = 12;
+
+/**
+ * Generates a new random API key.
+ *
+ * @returns {{ key: string, keyHash: string, keyPrefix: string }} The plaintext key
+ *   (show it to the caller once, never store it), its hash and its visible prefix.
+ */
+export function generateApiKey() {
+    const key = KEY_MARKER + crypto.randomBytes(32).toString('base64url');
+    return {
+        key,
+        keyHash: hashApiKey(key),
+        keyPrefix: key.slice(0, KEY_PREFIX_LENGTH),
+    };
+}
+
+/**
+ * Hashes a plaintext API key the same way migration 003 hashed the existing keys.
+ *
+ * @param {string} key - The plaintext key from the x-api-key header.
+ * @returns {string} Hex-encoded SHA-256 digest.
+ */
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+/**
+ * Computes the lifecycle status of a key row.
+ *
+ * @param {object} row - A row from ss_api_keys.
+ * @returns {'active'|'revoked'|'expired'}
+ */
+export function getApiKeyStatus(row, now = new Date()) {
+    if (row.revoked_at) return 'revoked';
+    if (row.expires_at && new Date(row.expires_at) <= now) return 'expired';
+    return 'active';
+}
+
+/**
+ * Shapes an ss_api_keys row for admin responses. Never includes the hash.
+ *
+ * @param {object} row - A row from ss_api_keys.
+ * @returns {object}
+ */
+export function formatApiKeyRecord(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        key_prefix: row.key_prefix,
+        status: getApiKeyStatus(row),
+        scopes: row.scopes || [],
+        rate_limit_per_minute: row.rate_limit_per_minute,
+        monthly_quota: row.monthly_quota,
+        created_at: row.created_at,
+        expires_at: row.expires_at,
+        revoked_at: row.revoked_at,
+        last_used_at: row.last_used_at,
+        replaced_by: row.replaced_by,
+    };
+}
+
+/**
+ * SQL subquery for the IDs of every key in the rotation chain of the key in parameter `param`
+ * (the keys it replaced and the keys that replaced it, via ss_api_keys.replaced_by), including
+ * the key itself. Data owned by a key is matched with `api_key_id IN (...)` so a partner keeps
+ * it after rotating their key (POST /api/v1/admin/keys/:id/rotate).
+ *
+ * @param {string} param - Placeholder of the key ID, e.g. '$2'.
+ * @returns {string}
+ */
+export function keyLineageSql(param) {
+    return `WITH RECURSIVE lineage(id) AS (
+                SELECT ${param}::int
+                UNION
+                SELECT k.id
+                FROM lineage l
+                JOIN ss_api_keys c ON c.id = l.id
+                JOIN ss_api_keys k ON k.replaced_by = c.id OR k.id = c.replaced_by
+            )
+            SELECT id FROM lineage`;
+}
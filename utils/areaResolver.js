@@ -0,0 +1,234 @@
+// File: utils/areaResolver.js
+// Description: Area resolution: user-supplied identifiers (numeric area IDs or slugs) to `areas` rows,
+// autocomplete search by city, state, slug or ZIP code, and slug generation for areas without one.
+
+import { getPool } from '../db.js';
+import { stateCodeForName, stateNameForCode } from './addressNormalization.js';
+
+export const AUTOCOMPLETE_DEFAULT_LIMIT = 10;
+export const AUTOCOMPLETE_MAX_LIMIT = 25;
+
+// Relevance of each kind of autocomplete match (higher first; ties go to the bigger market)
+const SCORES = {
+    slug: 100,
+    zip: 95,
+    city: 90,
+    city_prefix: 70,
+    zip_prefix: 60,
+    city_word: 50,
+    slug_prefix: 45,
+    state: 30
+};
+const MATCH_BY_SCORE = Object.fromEntries(Object.entries(SCORES).map(([match, score]) => [score, match]));
+
+// area_id is an INTEGER column; larger numbers cannot be an area (and would overflow the ::int[] cast)
+const MAX_AREA_ID = 2147483647;
+export const isAreaId = value => /^\d{1,10}$/.test(value) && Number(value) <= MAX_AREA_ID;
+const escapeLike = value => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * URL-safe slug for an area: "St. Augustine", "FL" -> "st-augustine-fl".
+ *
+ * @param {string} cityName
+ * @param {string|null} stateName - State name or code; names are shortened to their USPS code.
+ * @returns {string}
+ */
+export function slugifyArea(cityName, stateName) {
+    return [cityName, stateCodeForName(stateName) || stateName]
+        .filter(Boolean)
+        .join(' ')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // drop accents
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Resolves a list of area IDs and/or slugs, keeping the order they were given in.
+ * ZIP codes are not accepted here (they look like area IDs); use searchAreas for those.
+ *
+ * @param {Array<string|number>} identifiers - e.g. ['79503', 'austin-tx'].
+ * @returns {Promise<{ areas: Array<{ identifier: string, area_id: number, slug: string|null, city_name: string, state_name: string }>, missing: Array<string> }>}
+ *   Duplicates (the same area given twice, by ID and slug) are returned once.
+ */
+export async function resolveAreas(identifiers) {
+    const values = identifiers.map(value => String(value).trim()).filter(Boolean);
+    const ids = values.filter(isAreaId).map(Number);
+    const slugs = values.filter(value => !isAreaId(value)).map(value => value.toLowerCase());
+
+    const { rows } = await getPool().query(
+        `SELECT area_id, slug, city_name, state_name
+         FROM areas
+         WHERE area_id = ANY($1::int[]) OR LOWER(slug) = ANY($2::text[])`,
+        [ids, slugs]
+    );
+
+    const areas = [];
+    const missing = [];
+    const seen = new Set();
+    for (const identifier of values) {
+        const row = isAreaId(identifier)
+            ? rows.find(r => r.area_id === Number(identifier))
+            : rows.find(r => r.slug && r.slug.toLowerCase() === identifier.toLowerCase());
+        if (!row) {
+            missing.push(identifier);
+        } else if (!seen.has(row.area_id)) {
+            seen.add(row.area_id);
+            areas.push({ identifier, ...row });
+        }
+    }
+    return { areas, missing };
+}
+
+/**
+ * Resolves one area ID or slug.
+ *
+ * @param {string|number} identifier
+ * @returns {Promise<{ area_id: number, slug: string|null, city_name: string, state_name: string }|null>}
+ */
+export async function resolveArea(identifier) {
+    const { areas } = await resolveAreas([identifier]);
+    return areas[0] || null;
+}
+
+// Splits "austin, tx" / "austin tx" / "new york new york" into a city term and a state code.
+// `explicit` is true for the comma form; otherwise the "state" may be a half-typed city name
+// ("new mo" is not New... in Missouri), so callers also match the whole text as a city.
+function parseSearchTerm(q) {
+    const text = q.trim().replace(/\s+/g, ' ');
+    const comma = text.lastIndexOf(',');
+    if (comma !== -1) {
+        const state = stateCodeForName(text.slice(comma + 1));
+        if (state) return { city: text.slice(0, comma).trim(), state, explicit: true };
+    }
+    const words = text.split(' ');
+    // Longest trailing run of words that is a state name or code ("south carolina", "sc")
+    for (let i = 0; i < words.length; i++) {
+        const state = stateCodeForName(words.slice(i).join(' '));
+        if (state) return { city: words.slice(0, i).join(' '), state, explicit: false };
+    }
+    return { city: text, state: null, explicit: false };
+}
+
+/**
+ * Autocomplete search over areas. Matches exact slugs, city names (whole name, prefix, or the start of
+ * any word), slug prefixes, ZIP codes (3-5 digits, prefix match on area_zip_codes) and states (a state
+ * on its own lists that state's markets). Results are ordered by relevance, then market size (latest
+ * rental_growth listing count).
+ *
+ * @param {string} q - e.g. "aus", "austin, tx", "austin tx", "78701", "florida".
+ * @param {{ state?: string|null, limit?: number }} [options] - state restricts results to one state.
+ * @returns {Promise<Array<{ area_id: number, slug: string|null, name: string, state: string, listing_count: number|null, match: string, zip_code?: string }>>}
+ */
+export async function searchAreas(q, { state = null, limit = AUTOCOMPLETE_DEFAULT_LIMIT } = {}) {
+    const params = [];
+    const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const stateMatch = code => `UPPER(a.state_name) IN (${param(code)}, ${param(stateNameForCode(code).toUpperCase())})`;
+    // Relevance of a city/slug term
+    const cityScore = (city, stateCode) => {
+        const term = city.toLowerCase();
+        const like = param(escapeLike(term));
+        return `CASE WHEN LOWER(a.slug) = ${param(slugifyArea(city, stateCode))} THEN ${SCORES.slug}
+                     WHEN LOWER(a.city_name) = ${param(term)} THEN ${SCORES.city}
+                     WHEN LOWER(a.city_name) LIKE ${like} || '%' THEN ${SCORES.city_prefix}
+                     WHEN LOWER(a.city_name) LIKE '% ' || ${like} || '%' THEN ${SCORES.city_word}
+                     WHEN LOWER(a.slug) LIKE ${param(escapeLike(slugifyArea(city, null)))} || '%' THEN ${SCORES.slug_prefix}
+                     ELSE 0 END`;
+    };
+
+    const text = String(q).trim();
+    const conditions = [];
+    const stateFilter = state ? stateCodeForName(state) : null;
+    let scoreSql;
+    let zipSql = 'NULL';
+
+    if (/^\d{3,5}$/.test(text)) {
+        const zip = param(text);
+        zipSql = `(SELECT MIN(z.zip_code) FROM area_zip_codes z WHERE z.area_id = a.area_id AND z.zip_code LIKE ${zip} || '%')`;
+        scoreSql = `CASE WHEN EXISTS (SELECT 1 FROM area_zip_codes z WHERE z.area_id = a.area_id AND z.zip_code = ${zip}) THEN ${SCORES.zip}
+                         WHEN ${zipSql} IS NOT NULL THEN ${SCORES.zip_prefix}
+                         ELSE 0 END`;
+    } else {
+        const parsed = parseSearchTerm(text);
+        if (parsed.explicit) {
+            conditions.push(stateMatch(parsed.state));
+            scoreSql = parsed.city ? cityScore(parsed.city, parsed.state) : `${SCORES.state}`;
+        } else if (parsed.state) {
+            // "austin tx": Austin in Texas, or a city starting with "austin tx" anywhere;
+            // "florida": Florida's markets, or a city starting with "florida"
+            const inState = parsed.city ? cityScore(parsed.city, parsed.state) : `${SCORES.state}`;
+            scoreSql = `GREATEST(CASE WHEN ${stateMatch(parsed.state)} THEN ${inState} ELSE 0 END, ${cityScore(text, null)})`;
+        } else {
+            scoreSql = cityScore(text, null);
+        }
+    }
+    if (stateFilter) {
+        conditions.push(stateMatch(stateFilter));
+    }
+
+    const { rows } = await getPool().query(
+        `SELECT * FROM (
+             SELECT a.area_id, a.slug, a.city_name, a.state_name, rg.listing_count::int AS listing_count,
+                    ${scoreSql} AS score, ${zipSql} AS zip_code
+             FROM areas a
+             LEFT JOIN LATERAL (
+                 SELECT listing_count
+                 FROM rental_growth r
+                 WHERE r.area_id = a.area_id
+                 ORDER BY snapshot_date DESC
+                 LIMIT 1
+             ) rg ON TRUE
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ) matches
+         WHERE score > 0
+         ORDER BY score DESC, listing_count DESC NULLS LAST, city_name
+         LIMIT ${param(limit)}`,
+        params
+    );
+
+    return rows.map(row => ({
+        area_id: row.area_id,
+        slug: row.slug || null,
+        name: row.city_name,
+        state: row.state_name,
+        listing_count: row.listing_count,
+        match: MATCH_BY_SCORE[row.score],
+        ...(row.zip_code ? { zip_code: row.zip_code } : {})
+    }));
+}
+
+/**
+ * Generates and stores slugs ("city-st") for areas that have none. A slug already taken by
+ * another area gets the area ID appended ("springfield-il-1234").
+ *
+ * @returns {Promise<number>} The number of areas updated.
+ */
+export async function ensureAreaSlugs() {
+    const pool = getPool();
+    const { rows: missing } = await pool.query(
+        `SELECT area_id, city_name, state_name FROM areas WHERE slug IS NULL OR slug = '' ORDER BY area_id`
+    );
+    if (missing.length === 0) return 0;
+
+    const { rows: existing } = await pool.query(`SELECT LOWER(slug) AS slug FROM areas WHERE slug IS NOT NULL AND slug <> ''`);
+    const taken = new Set(existing.map(row => row.slug));
+
+    let updated = 0;
+    for (const area of missing) {
+        let slug = slugifyArea(area.city_name, area.state_name) || `area-${area.area_id}`;
+        if (taken.has(slug)) {
+            slug = `${slug}-${area.area_id}`;
+        }
+        const result = await pool.query(
+            `UPDATE areas SET slug = $1 WHERE area_id = $2 AND (slug IS NULL OR slug = '')`,
+            [slug, area.area_id]
+        );
+        taken.add(slug);
+        updated += result.rowCount;
+    }
+    return updated;
+}
@@ -0,0 +1,306 @@
+// File: utils/batchAnalysis.js
+// Description: Bulk property analysis jobs. A job is stored in analysis_batch_jobs with one
+// analysis_batch_items row per property; items run through the same flow as POST /analyze
+// (utils/propertyAnalysis.js, so cache, coalescing and query logging all apply) with bounded
+// concurrency. Jobs run in the API process; items are claimed with FOR UPDATE SKIP LOCKED so
+// several processes can safely work on (or resume) the same job.
+
+import crypto from 'crypto';
+import { getPool } from '../db.js';
+import { runPropertyAnalysis } from './propertyAnalysis.js';
+import { recordUsageEvent } from '../middleware/usageMeter.js';
+import { consumeRequests, nextWindowStart } from '../middleware/rateLimit.js';
+import { keyLineageSql } from './apiKeys.js';
+
+// How many items of one job are analyzed at the same time.
+const CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_ANALYSIS_CONCURRENCY, 10) || 3);
+export const MAX_BATCH_ITEMS = Math.max(1, parseInt(process.env.BATCH_ANALYSIS_MAX_ITEMS, 10) || 500);
+
+// Items 'processing' longer than this were abandoned by a process that stopped mid-item (an
+// analysis takes seconds) and are claimed again. Younger ones may be running in another process.
+const STALE_ITEM_MINUTES = 10;
+
+// The usage route label batch items are billed under (see middleware/usageMeter.js).
+const USAGE_ROUTE = '/api/v1/property/batch (item)';
+
+// Fields copied from each input item into the analyze request body.
+const ITEM_FIELDS = ['address', 'bedrooms', 'bathrooms', 'occupancy', 'referrer', 'utm_source', 'agent_id', 'obfuscation', 'underwriting'];
+
+/**
+ * Normalizes raw items (JSON objects or parsed CSV rows) into analyze request bodies.
+ * `accommodates` is accepted as an alias for `occupancy`; blank values are dropped.
+ *
+ * @param {Array<object>} rawItems
+ * @param {{ referrer?: string, utm_source?: string, agent_id?: string, obfuscation?: object, underwriting?: object }} defaults - Applied to items that omit them.
+ * @returns {{ items: Array<object>, invalidRows: Array<number> }} invalidRows are 0-based indexes of items without an address.
+ */
+export function normalizeBatchItems(rawItems, defaults = {}) {
+    const invalidRows = [];
+    const items = rawItems.map((raw, index) => {
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const item = {};
+        for (const field of ITEM_FIELDS) {
+            const value = field === 'occupancy' ? (source.occupancy ?? source.accommodates) : source[field];
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                item[field] = typeof value === 'string' ? value.trim() : value;
+            } else if (defaults[field] !== undefined) {
+                item[field] = defaults[field];
+            }
+        }
+        if (!item.address || typeof item.address !== 'string') {
+            invalidRows.push(index);
+        }
+        return item;
+    });
+    return { items, invalidRows };
+}
+
+/**
+ * Stores a new job and its items, then starts processing it in the background.
+ *
+ * @param {number} apiKeyId - Owner of the job (only this key can read it back).
+ * @param {Array<object>} items - Normalized items from normalizeBatchItems.
+ * @returns {Promise<object>} The job row.
+ */
+export async function createBatchJob(apiKeyId, items) {
+    const jobId = crypto.randomUUID();
+    const client = await getPool().connect();
+    let job;
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(
+            `INSERT INTO analysis_batch_jobs (id, api_key_id, total_items)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+            [jobId, apiKeyId, items.length]
+        );
+        job = rows[0];
+        await client.query(
+            `INSERT INTO analysis_batch_items (job_id, item_index, input)
+             SELECT $1, t.ord - 1, t.value
+             FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY AS t(value, ord)`,
+            [jobId, JSON.stringify(items)]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    // Fire-and-forget: the caller polls GET /batch/:jobId for progress.
+    processBatchJob(jobId);
+    return job;
+}
+
+// Claims the next pending (or stale, see STALE_ITEM_MINUTES) item of a job, or returns null when none are left.
+async function claimNextItem(jobId) {
+    const { rows } = await getPool().query(
+        `UPDATE analysis_batch_items
+         SET status = 'processing', started_at = NOW()
+         WHERE (job_id, item_index) = (
+             SELECT job_id, item_index
+             FROM analysis_batch_items
+             WHERE job_id = $1
+               AND (status = 'pending'
+                    OR (status = 'processing' AND started_at < NOW() - make_interval(mins => $2)))
+             ORDER BY item_index
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING item_index, input`,
+        [jobId, STALE_ITEM_MINUTES]
+    );
+    return rows[0] || null;
+}
+
+async function runItem(jobId, apiKeyId, item) {
+    const startedAt = Date.now();
+    const { response, usage } = await runPropertyAnalysis(item.input, { apiKeyId });
+
+    await getPool().query(
+        `UPDATE analysis_batch_items
+         SET status = $3, result = $4, error = $5, finished_at = NOW()
+         WHERE job_id = $1 AND item_index = $2`,
+        [
+            jobId,
+            item.item_index,
+            response.success ? 'succeeded' : 'failed',
+            response.success ? JSON.stringify(response.data) : null,
+            response.success ? null : response.message
+        ]
+    );
+
+    // Bill each item like an individual analyze call.
+    if (apiKeyId) {
+        recordUsageEvent({
+            apiKeyId,
+            method: 'BATCH',
+            route: USAGE_ROUTE,
+            statusCode: 200,
+            latencyMs: Date.now() - startedAt,
+            upstreamCall: usage.upstreamCall,
+            cacheHit: usage.cacheHit
+        });
+    }
+}
+
+// Counts an item against the key's per-minute rate limit, waiting for the next minute while the
+// limit is used up (the monthly quota was reserved for the whole job when it was created).
+async function waitForRateLimit(apiKeyId, ratePerMinute) {
+    if (!apiKeyId || ratePerMinute === null) return;
+    try {
+        while (await consumeRequests(apiKeyId, 'minute', ratePerMinute) === null) {
+            await new Promise(resolve => setTimeout(resolve, Math.max(1000, nextWindowStart('minute') - Date.now())));
+        }
+    } catch (err) {
+        // Fail open, like middleware/rateLimit.js
+        console.error('Error while enforcing the rate limit for a batch item:', err);
+    }
+}
+
+/**
+ * Processes the pending items of a job with bounded concurrency and marks the job completed
+ * once no item is pending or processing. Never throws (errors are logged; the job can be
+ * resumed with resumeBatchJobs).
+ *
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function processBatchJob(jobId) {
+    const pool = getPool();
+    try {
+        const { rows } = await pool.query(
+            `UPDATE analysis_batch_jobs
+             SET status = 'processing', started_at = COALESCE(started_at, NOW())
+             WHERE id = $1 AND status <> 'completed'
+             RETURNING api_key_id,
+                       (SELECT k.rate_limit_per_minute FROM ss_api_keys k WHERE k.id = analysis_batch_jobs.api_key_id) AS rate_limit_per_minute`,
+            [jobId]
+        );
+        if (rows.length === 0) return;
+        const apiKeyId = rows[0].api_key_id;
+        const ratePerMinute = rows[0].rate_limit_per_minute;
+
+        const worker = async () => {
+            let item;
+            while ((item = await claimNextItem(jobId)) !== null) {
+                try {
+                    await waitForRateLimit(apiKeyId, ratePerMinute);
+                    await runItem(jobId, apiKeyId, item);
+                } catch (err) {
+                    // runPropertyAnalysis never throws, so this is a DB error storing the result.
+                    console.error(`🔥 Batch job ${jobId} item ${item.item_index} failed:`, err);
+                    await pool.query(
+                        `UPDATE analysis_batch_items
+                         SET status = 'failed', error = $3, finished_at = NOW()
+                         WHERE job_id = $1 AND item_index = $2`,
+                        [jobId, item.item_index, 'An internal error occurred during analysis.']
+                    ).catch(() => {});
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+        const finished = await pool.query(
+            `UPDATE analysis_batch_jobs
+             SET status = 'completed', finished_at = NOW()
+             WHERE id = $1 AND status <> 'completed'
+               AND NOT EXISTS (
+                   SELECT 1 FROM analysis_batch_items
+                   WHERE job_id = $1 AND status IN ('pending', 'processing')
+               )`,
+            [jobId]
+        );
+        if (finished.rowCount > 0) {
+            console.log(`✅ Batch job ${jobId} completed.`);
+            return;
+        }
+
+        // Items still 'processing' belong to another process, or to one that stopped mid-item:
+        // look again once they would be stale (the job is skipped if it completed by then).
+        const running = await pool.query(
+            `SELECT EXTRACT(EPOCH FROM MIN(started_at) + make_interval(mins => $2) - NOW()) AS seconds_left
+             FROM analysis_batch_items
+             WHERE job_id = $1 AND status = 'processing'`,
+            [jobId, STALE_ITEM_MINUTES]
+        );
+        const secondsLeft = running.rows[0].seconds_left;
+        if (secondsLeft !== null) {
+            setTimeout(() => processBatchJob(jobId), Math.max(1, parseFloat(secondsLeft) + 1) * 1000);
+        }
+    } catch (err) {
+        console.error(`🔥 Batch job ${jobId} processing error:`, err);
+    }
+}
+
+/**
+ * Restarts jobs left unfinished by a previous process (deploy/restart mid-job).
+ * Items stuck in 'processing' for more than STALE_ITEM_MINUTES are put back to 'pending'; younger
+ * ones may still be running in another process, and are claimed again once they are stale.
+ * Called once at startup from app.js; never throws.
+ */
+export async function resumeBatchJobs() {
+    try {
+        const pool = getPool();
+        await pool.query(
+            `UPDATE analysis_batch_items
+             SET status = 'pending', started_at = NULL
+             WHERE status = 'processing' AND started_at < NOW() - make_interval(mins => $1)`,
+            [STALE_ITEM_MINUTES]
+        );
+        const { rows } = await pool.query(
+            `SELECT id FROM analysis_batch_jobs WHERE status IN ('pending', 'processing') ORDER BY created_at`
+        );
+        for (const { id } of rows) {
+            console.log(`🔁 Resuming batch job ${id}.`);
+            processBatchJob(id);
+        }
+    } catch (err) {
+        console.error('Failed to resume batch analysis jobs:', err.message);
+    }
+}
+
+/**
+ * Loads a job with per-status item counts. Returns null if it does not exist or belongs to a key
+ * outside the rotation chain of `apiKeyId`.
+ *
+ * @param {string} jobId
+ * @param {number} apiKeyId
+ * @returns {Promise<object|null>}
+ */
+export async function getBatchJob(jobId, apiKeyId) {
+    const { rows } = await getPool().query(
+        `SELECT j.id, j.status, j.total_items, j.created_at, j.started_at, j.finished_at,
+                COUNT(i.*) FILTER (WHERE i.status = 'pending')::int    AS pending,
+                COUNT(i.*) FILTER (WHERE i.status = 'processing')::int AS processing,
+                COUNT(i.*) FILTER (WHERE i.status = 'succeeded')::int  AS succeeded,
+                COUNT(i.*) FILTER (WHERE i.status = 'failed')::int     AS failed
+         FROM analysis_batch_jobs j
+         LEFT JOIN analysis_batch_items i ON i.job_id = j.id
+         WHERE j.id = $1 AND j.api_key_id IN (${keyLineageSql('$2')})
+         GROUP BY j.id`,
+        [jobId, apiKeyId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Loads the items of a job in input order.
+ *
+ * @param {string} jobId
+ * @param {{ includeResults?: boolean }} [options] - includeResults adds the full analysis `result`.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getBatchItems(jobId, { includeResults = false } = {}) {
+    const { rows } = await getPool().query(
+        `SELECT item_index, input, status, error, started_at, finished_at
+                ${includeResults ? ', result' : ''}
+         FROM analysis_batch_items
+         WHERE job_id = $1
+         ORDER BY item_index`,
+        [jobId]
+    );
+    return rows;
+}
@@ -0,0 +1,201 @@
+// File: utils/compSelection.js
+// Description: Comp selection stage of the property analysis. Scores every upstream comp by distance
+// from the subject property, bedroom/bathroom/accommodates similarity and data completeness, drops
+// comps that are unusable, too different or duplicates at the same coordinates, and returns the
+// remaining comps with weights for utils/analysisCalculations.js.
+
+import { compId } from './analysisCalculations.js';
+
+// Comps farther than this are excluded.
+const MAX_DISTANCE_METERS = 20000;
+// Distance score halves every this many meters.
+const DISTANCE_HALF_LIFE_METERS = 2000;
+// Comps differing by more bedrooms than this are excluded (a 6-bedroom comp says little about a studio).
+const MAX_BEDROOM_DIFFERENCE = 2;
+// Comps within this distance of a better-scored comp are treated as the same property.
+const DUPLICATE_THRESHOLD_METERS = 50;
+// If filtering leaves fewer comps than this, the best too-far/bedroom-mismatch comps are re-admitted.
+const MIN_SELECTED_COMPS = 3;
+
+// How much each similarity component contributes to the score (sums to 1).
+const SCORE_WEIGHTS = {
+    distance: 0.35,
+    bedrooms: 0.30,
+    bathrooms: 0.10,
+    accommodates: 0.10,
+    completeness: 0.15
+};
+
+// Floor for comp weights, so every selected comp still counts a little.
+const MIN_WEIGHT = 0.01;
+
+// Component score used when the subject or the comp lacks the attribute.
+const UNKNOWN_SCORE = 0.5;
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+export const coordsAreTooClose = (lat1, lng1, lat2, lng2, thresholdMeters = 50) => {
+    return distanceMeters(lat1, lng1, lat2, lng2) <= thresholdMeters;
+};
+
+// Great-circle (haversine) distance in meters.
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+    const earthRadius = 6371000;
+    const latDelta = (lat2 - lat1) * Math.PI / 180;
+    const lngDelta = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(latDelta / 2) ** 2 +
+              Math.cos(lat1 * Math.PI / 180) *
+              Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(lngDelta / 2) ** 2;
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return earthRadius * c;
+}
+
+const toNumber = value => (value === null || value === undefined || value === '' ? null : (Number.isFinite(Number(value)) ? Number(value) : null));
+
+// { lat, lng } from the usual upstream shapes, or null.
+function coordinates(record) {
+    const lat = toNumber(record?.location?.lat ?? record?.latitude ?? record?.lat);
+    const lng = toNumber(record?.location?.lng ?? record?.location?.lon ?? record?.longitude ?? record?.lng);
+    return lat !== null && lng !== null ? { lat, lng } : null;
+}
+
+// 1 for identical values, falling linearly to 0 at `scale` apart.
+function similarity(subjectValue, compValue, scale) {
+    if (subjectValue === null || compValue === null) return UNKNOWN_SCORE;
+    return Math.max(0, 1 - Math.abs(subjectValue - compValue) / scale);
+}
+
+/**
+ * Builds the subject property used for comp scoring.
+ *
+ * @param {object} details - property_details from the upstream response.
+ * @param {{ bedrooms: number|null, bathrooms: number|null, accommodates: number|null }} inputs - The request's
+ *   property configuration (takes precedence over the upstream details).
+ * @returns {{ location: {lat: number, lng: number}|null, bedrooms: number|null, bathrooms: number|null, accommodates: number|null }}
+ */
+export function buildSubject(details, inputs = {}) {
+    return {
+        location: coordinates(details),
+        bedrooms: toNumber(inputs.bedrooms) ?? toNumber(details?.bedrooms),
+        bathrooms: toNumber(inputs.bathrooms) ?? toNumber(details?.bathrooms),
+        accommodates: toNumber(inputs.accommodates) ?? toNumber(details?.accommodates)
+    };
+}
+
+/**
+ * Scores and filters comps.
+ *
+ * @param {object} subject - From buildSubject.
+ * @param {Array<object>} comps - The upstream comps.
+ * @returns {{
+ *   comps: Array<object>, weights: Array<number>,
+ *   used: Array<object>, excluded: Array<{ id: string, reason: string, detail: string }>,
+ *   relaxed: boolean
+ * }} `comps`/`weights` are the selected comps and their weights (for calculateRevenues); `used` and
+ *   `excluded` describe every upstream comp for the response.
+ */
+export function selectComps(subject, comps) {
+    const candidates = [];
+    const excluded = [];
+
+    (comps || []).forEach((comp, index) => {
+        const id = String(compId(comp, index));
+        const stats = comp.stats || {};
+        const hasAdr = stats.adr?.ltm > 0;
+        const hasRevenue = stats.revenue?.ltm > 0;
+        if (!hasAdr && !hasRevenue) {
+            excluded.push({ id, reason: 'missing_performance_data', detail: 'No ADR or revenue for the last twelve months.' });
+            return;
+        }
+
+        const location = coordinates(comp);
+        const distance = location && subject.location
+            ? distanceMeters(subject.location.lat, subject.location.lng, location.lat, location.lng)
+            : null;
+        const bedrooms = toNumber(comp.bedrooms);
+        const bathrooms = toNumber(comp.bathrooms);
+        const accommodates = toNumber(comp.accommodates);
+
+        const completenessFields = [hasAdr, stats.occupancy?.ltm > 0, hasRevenue, location, bedrooms, bathrooms, accommodates];
+        const scores = {
+            distance: distance === null ? UNKNOWN_SCORE : Math.pow(0.5, distance / DISTANCE_HALF_LIFE_METERS),
+            bedrooms: similarity(subject.bedrooms, bedrooms, MAX_BEDROOM_DIFFERENCE + 1),
+            bathrooms: similarity(subject.bathrooms, bathrooms, 3),
+            accommodates: similarity(subject.accommodates, accommodates, Math.max(4, subject.accommodates || 0)),
+            completeness: completenessFields.filter(value => value !== null && value !== false && value !== undefined).length /
+                completenessFields.length
+        };
+        const score = Object.entries(SCORE_WEIGHTS).reduce((sum, [key, weight]) => sum + scores[key] * weight, 0);
+
+        let filter = null;
+        if (distance !== null && distance > MAX_DISTANCE_METERS) {
+            filter = { reason: 'too_far', detail: `${Math.round(distance)} m from the subject (max ${MAX_DISTANCE_METERS} m).` };
+        } else if (subject.bedrooms !== null && bedrooms !== null && Math.abs(subject.bedrooms - bedrooms) > MAX_BEDROOM_DIFFERENCE) {
+            filter = { reason: 'bedroom_mismatch', detail: `${bedrooms} bedrooms vs ${subject.bedrooms} (max difference ${MAX_BEDROOM_DIFFERENCE}).` };
+        }
+
+        candidates.push({ comp, id, location, distance, score, scores, filter });
+    });
+
+    // Best comps first, so duplicates keep the better-scored listing; ties keep the upstream order
+    candidates.sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    // The selected comp the candidate duplicates, if any
+    const duplicateOf = candidate => candidate.location && selected.find(other => other.location &&
+        coordsAreTooClose(candidate.location.lat, candidate.location.lng, other.location.lat, other.location.lng, DUPLICATE_THRESHOLD_METERS));
+    const excludeDuplicate = (candidate, other) => excluded.push({
+        id: candidate.id, reason: 'duplicate_location', detail: `Within ${DUPLICATE_THRESHOLD_METERS} m of comp ${other.id}.`
+    });
+    for (const candidate of candidates) {
+        const other = duplicateOf(candidate);
+        if (other) {
+            excludeDuplicate(candidate, other);
+        } else if (candidate.filter) {
+            candidate.filtered = true;
+        } else {
+            selected.push(candidate);
+        }
+    }
+
+    // Too few comps left: re-admit the best filtered ones rather than projecting from (almost) nothing.
+    // They were not compared with the comps selected after them, so they are checked for duplicates here.
+    let relaxed = false;
+    for (const candidate of candidates) {
+        if (selected.length >= MIN_SELECTED_COMPS) break;
+        if (!candidate.filtered) continue;
+        const other = duplicateOf(candidate);
+        candidate.filtered = false;
+        if (other) {
+            excludeDuplicate(candidate, other);
+        } else {
+            candidate.relaxed = true;
+            relaxed = true;
+            selected.push(candidate);
+        }
+    }
+    for (const candidate of candidates) {
+        if (candidate.filtered) {
+            excluded.push({ id: candidate.id, ...candidate.filter });
+        }
+    }
+
+    return {
+        comps: selected.map(candidate => candidate.comp),
+        weights: selected.map(candidate => Math.max(candidate.score, MIN_WEIGHT)),
+        used: selected.map(candidate => ({
+            id: candidate.id,
+            weight: round4(Math.max(candidate.score, MIN_WEIGHT)),
+            distance_m: candidate.distance === null ? null : Math.round(candidate.distance),
+            bedrooms: toNumber(candidate.comp.bedrooms),
+            bathrooms: toNumber(candidate.comp.bathrooms),
+            accommodates: toNumber(candidate.comp.accommodates),
+            scores: Object.fromEntries(Object.entries(candidate.scores).map(([key, value]) => [key, round4(value)])),
+            // Re-admitted although it failed a filter (see MIN_SELECTED_COMPS)
+            ...(candidate.relaxed && { relaxed_filter: candidate.filter.reason })
+        })),
+        excluded,
+        relaxed
+    };
+}
@@ -0,0 +1,93 @@
+// File: utils/csv.js
+// Description: Minimal RFC 4180 CSV reader/writer used by the export/report and upload endpoints.
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const str = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Converts an array of flat objects to CSV text.
+ *
+ * @param {Array<object>} rows - The rows to write.
+ * @param {Array<string|{key: string, header: string}>} columns - Column order. A plain string
+ *   is used as both the object key and the header.
+ * @returns {string} CSV with a header line, CRLF line endings.
+ */
+export function toCsv(rows, columns) {
+    const cols = columns.map(c => (typeof c === 'string' ? { key: c, header: c } : c));
+    const lines = [cols.map(c => escapeCsvValue(c.header)).join(',')];
+    for (const row of rows) {
+        lines.push(cols.map(c => escapeCsvValue(row[c.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Sends rows as a CSV download.
+ *
+ * @param {object} res - Express response.
+ * @param {string} filename - Suggested download file name.
+ * @param {Array<object>} rows - The rows to write.
+ * @param {Array<string|{key: string, header: string}>} columns - See toCsv.
+ */
+export function sendCsv(res, filename, rows, columns) {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(rows, columns));
+}
+
+/**
+ * Parses CSV text into objects keyed by the (trimmed, lower-cased) header row.
+ * Handles quoted fields with embedded commas, quotes and line breaks; blank lines are skipped.
+ *
+ * @param {string} text - CSV text with a header line.
+ * @returns {Array<object>} One object per data row; missing trailing cells are ''.
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, ''); // strip a UTF-8 BOM (Excel exports)
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonBlank = records.filter(r => r.some(cell => cell.trim() !== ''));
+    if (nonBlank.length === 0) return [];
+
+    const headers = nonBlank[0].map(h => h.trim().toLowerCase());
+    return nonBlank.slice(1).map(cells => Object.fromEntries(
+        headers.map((header, i) => [header, (cells[i] ?? '').trim()])
+    ));
+}
@@ -0,0 +1,51 @@
+// File: utils/lruCache.js
+// Description: Small in-memory LRU cache with a per-entry TTL, bounded by entry count.
+
+/**
+ * Creates an LRU cache. A Map keeps insertion order, so the first key is always the least recently
+ * used one (entries are re-inserted on every hit).
+ *
+ * @param {{ maxEntries: number, ttlMs: number }} options
+ * @returns {{ get: (key: string) => any, set: (key: string, value: any) => void, delete: (key: string) => void,
+ *   clear: () => void, stats: () => { entries: number, max_entries: number, ttl_ms: number, hits: number, misses: number } }}
+ */
+export function createLruCache({ maxEntries, ttlMs }) {
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry || entry.expiresAt <= Date.now()) {
+                if (entry) entries.delete(key);
+                misses++;
+                return undefined;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            hits++;
+            return entry.value;
+        },
+
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        stats() {
+            return { entries: entries.size, max_entries: maxEntries, ttl_ms: ttlMs, hits, misses };
+        }
+    };
+}
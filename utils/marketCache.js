@@ -0,0 +1,147 @@
+// File: utils/marketCache.js
+// Description: State behind the market-data response cache (middleware/marketCache.js): the in-memory
+// LRU of responses, the market data version used for ETag/Last-Modified, and invalidation when new
+// market data is loaded (Postgres NOTIFY from migrations/010, also sent by the admin endpoint so
+// every API process is invalidated). The version is read from the database, so all processes agree.
+
+import { getPool } from '../db.js';
+import { createLruCache } from './lruCache.js';
+
+const MAX_ENTRIES = Math.max(1, parseInt(process.env.MARKET_CACHE_MAX_ENTRIES, 10) || 500);
+const TTL_SECONDS = Math.max(1, parseInt(process.env.MARKET_CACHE_TTL_SECONDS, 10) || 3600);
+// How long the latest-snapshot lookup is reused before it is queried again
+const VERSION_TTL_MS = 60 * 1000;
+const NOTIFY_CHANNEL = 'market_data_loaded';
+const LISTEN_RETRY_MS = 30 * 1000;
+// Notification payload of announceMarketDataLoad (the triggers send the table name)
+const ADMIN_PAYLOAD = 'admin';
+
+export const responseCache = createLruCache({ maxEntries: MAX_ENTRIES, ttlMs: TTL_SECONDS * 1000 });
+
+// Bumped on every invalidation of this process, so a version query started before it is not reused
+let generation = 0;
+let version = null;          // { lastModified: Date|null, loads: number, generation: number, checkedAt: number }
+let versionPromise = null;
+let lastInvalidation = null; // { at: Date, reason: string }
+
+// Latest snapshot date across the market data tables (or the latest load, if later), and the number of
+// committed loads (market_data_loads, migrations/010): it changes on every load, even one that did
+// not move the latest snapshot date (e.g. a backfill)
+const LATEST_SNAPSHOT_SQL = `
+    SELECT GREATEST(
+        (SELECT MAX(make_date(year::int, month::int, 1))::timestamptz FROM monthly_market_metrics),
+        (SELECT MAX(created_at)::timestamptz FROM ltm_metrics),
+        (SELECT MAX(snapshot_date)::timestamptz FROM rental_growth),
+        (SELECT MAX(snapshot_date)::timestamptz FROM market_grades),
+        (SELECT MAX(make_date(year::int, month::int, 1))::timestamptz FROM active_listings),
+        (SELECT MAX(loaded_at) FROM market_data_loads)
+    ) AS last_modified,
+    (SELECT COUNT(*)::int FROM market_data_loads) AS loads
+`;
+
+/**
+ * The current market data version: the latest snapshot or load date (for Last-Modified) and the
+ * number of loads (for the ETag). Cached for a minute, or until the next invalidation; concurrent
+ * callers share one query.
+ *
+ * @returns {Promise<{ lastModified: Date|null, loads: number, generation: number }>}
+ */
+export async function getMarketDataVersion() {
+    if (version && version.generation === generation && Date.now() - version.checkedAt < VERSION_TTL_MS) {
+        return version;
+    }
+    if (!versionPromise) {
+        const startedGeneration = generation;
+        versionPromise = getPool().query(LATEST_SNAPSHOT_SQL)
+            .then(({ rows }) => {
+                const lastModified = rows[0].last_modified ? new Date(rows[0].last_modified) : null;
+                version = { lastModified, loads: rows[0].loads, generation: startedGeneration, checkedAt: Date.now() };
+                return version;
+            })
+            .finally(() => {
+                versionPromise = null;
+            });
+    }
+    return versionPromise;
+}
+
+/**
+ * Drops every cached response and the cached data version of this process. The Postgres listener
+ * below calls it for every market_data_loaded notification; use announceMarketDataLoad to reach
+ * every process.
+ *
+ * @param {string} reason - Logged and reported by the admin stats endpoint.
+ */
+export function invalidateMarketCache(reason) {
+    generation++;
+    version = null;
+    responseCache.clear();
+    lastInvalidation = { at: new Date(), reason };
+    console.log(`🧹 Market data cache invalidated (${reason})`);
+}
+
+/**
+ * Records a market data load that bypassed the migrations/010 triggers and notifies every API
+ * process (including this one) to invalidate its cache, like the triggers do.
+ *
+ * @param {string} reason - Stored as the load's source.
+ * @returns {Promise<void>}
+ */
+export async function announceMarketDataLoad(reason) {
+    await getPool().query(
+        `WITH load AS (
+             INSERT INTO market_data_loads (txid, source) VALUES (txid_current(), $2) RETURNING txid
+         )
+         SELECT pg_notify($1, $3) FROM load`,
+        [NOTIFY_CHANNEL, reason, ADMIN_PAYLOAD]
+    );
+}
+
+/**
+ * Cache size, hit rate and the last invalidation, for the admin endpoint.
+ */
+export function marketCacheStats() {
+    return {
+        ...responseCache.stats(),
+        generation,
+        last_modified: version?.lastModified ?? null,
+        last_invalidation: lastInvalidation
+    };
+}
+
+/**
+ * Listens for the `market_data_loaded` notifications sent by the triggers of
+ * migrations/010_market_data_notify.sql and invalidates the cache on each one. Holds one pool client
+ * for the lifetime of the process and reconnects after a connection error. Never throws.
+ */
+export async function listenForMarketDataChanges() {
+    let client;
+    let retrying = false;
+    // Releases the broken client and tries again later (once, whichever failure comes first)
+    const retry = err => {
+        if (retrying) return;
+        retrying = true;
+        if (client) client.release(err);
+        setTimeout(listenForMarketDataChanges, LISTEN_RETRY_MS);
+    };
+
+    try {
+        client = await getPool().connect();
+        client.on('notification', msg => {
+            if (msg.channel === NOTIFY_CHANNEL) {
+                invalidateMarketCache(msg.payload === ADMIN_PAYLOAD ? 'admin request' : `${msg.payload || 'market data'} changed`);
+            }
+        });
+        client.on('error', err => {
+            console.error('❌ Market data listener connection lost:', err.message);
+            // Anything loaded while disconnected would be missed
+            invalidateMarketCache('listener reconnect');
+            retry(err);
+        });
+        await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+        console.log(`👂 Listening for ${NOTIFY_CHANNEL} notifications`);
+    } catch (err) {
+        console.error('❌ Failed to listen for market data changes, retrying:', err.message);
+        retry(err);
+    }
+}
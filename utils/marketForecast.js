@@ -0,0 +1,212 @@
+// File: utils/marketForecast.js
+// Description: 12-month forecasts of an area's ADR, occupancy, revenue and listing supply from its stored
+// monthly history. Two seasonal methods are backtested on the last 12 months of history and the one with
+// the lower error is used:
+//   - seasonal_trend: classical decomposition (2x12 centred moving average seasonal indices) with a
+//     linear trend fitted to the deseasonalised recent history;
+//   - seasonal_naive: each month repeats the same month a year earlier.
+// Prediction intervals are the methods' textbook intervals at 80% and 95%.
+
+import { METRICS, DECIMALS, fromIndex, latestMonthIndex, loadMonthlyMetrics } from './marketTimeSeries.js';
+
+export const HORIZON_MONTHS = 12;
+export const MIN_HISTORY_MONTHS = 24;      // one seasonal cycle of centred moving averages
+const BACKTEST_MIN_MONTHS = 36;            // MIN_HISTORY_MONTHS of training + a 12-month holdout
+const MAX_HISTORY_MONTHS = 60;
+const TREND_MONTHS = 36;                   // trend fitted to the most recent deseasonalised months
+const Z = { 80: 1.2816, 95: 1.96 };
+
+const round = (value, decimals) => (Number.isFinite(value) ? Math.round(value * 10 ** decimals) / 10 ** decimals : null);
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * The contiguous run of monthly values ending at the metric's latest month. A single missing month is
+ * filled by linear interpolation; a longer gap ends the run.
+ *
+ * @returns {{ values: number[], lastIndex: number|null }}
+ */
+function contiguousHistory(monthly, metric, lastIndex) {
+    const value = index => {
+        const v = monthly.get(index)?.[metric];
+        return v === null || v === undefined ? null : v;
+    };
+    let end = lastIndex;
+    while (end > lastIndex - MAX_HISTORY_MONTHS && value(end) === null) end--;
+    if (value(end) === null) return { values: [], lastIndex: null };
+
+    const values = [];
+    for (let index = end; index > end - MAX_HISTORY_MONTHS; index--) {
+        let v = value(index);
+        if (v === null) {
+            const before = value(index - 1);
+            if (before === null) break;
+            v = (before + values[values.length - 1]) / 2;
+        }
+        values.push(v);
+    }
+    return { values: values.reverse(), lastIndex: end };
+}
+
+// Seasonal trend: returns forecast(h) for h = 1..horizon as { value, sd } on the original scale
+function seasonalTrend(values, firstIndex, horizon) {
+    const n = values.length;
+    const multiplicative = values.every(v => v > 0);
+    const month = i => (firstIndex + i) % 12;
+
+    // Seasonal index per calendar month from the ratio (or difference) to the 2x12 centred moving average
+    const buckets = Array.from({ length: 12 }, () => []);
+    for (let i = 6; i < n - 6; i++) {
+        let cma = 0.5 * values[i - 6] + 0.5 * values[i + 6];
+        for (let j = i - 5; j <= i + 5; j++) cma += values[j];
+        cma /= 12;
+        buckets[month(i)].push(multiplicative ? values[i] / cma : values[i] - cma);
+    }
+    let seasonal = buckets.map(b => (b.length > 0 ? mean(b) : (multiplicative ? 1 : 0)));
+    const seasonalMean = mean(seasonal);
+    seasonal = seasonal.map(s => (multiplicative ? s / seasonalMean : s - seasonalMean));
+
+    const deseason = (v, i) => (multiplicative ? v / seasonal[month(i)] : v - seasonal[month(i)]);
+    const reseason = (v, m) => (multiplicative ? v * seasonal[m] : v + seasonal[m]);
+
+    // Least-squares trend on the recent deseasonalised values
+    const start = Math.max(0, n - TREND_MONTHS);
+    const xs = [];
+    const ys = [];
+    for (let i = start; i < n; i++) {
+        xs.push(i);
+        ys.push(deseason(values[i], i));
+    }
+    const k = xs.length;
+    const xBar = mean(xs);
+    const yBar = mean(ys);
+    const sxx = xs.reduce((sum, x) => sum + (x - xBar) ** 2, 0);
+    const slope = xs.reduce((sum, x, i) => sum + (x - xBar) * (ys[i] - yBar), 0) / sxx;
+    const intercept = yBar - slope * xBar;
+    const sse = xs.reduce((sum, x, i) => sum + (ys[i] - (intercept + slope * x)) ** 2, 0);
+    const sigma = Math.sqrt(sse / (k - 2));
+
+    return Array.from({ length: horizon }, (_, h) => {
+        const x = n + h;
+        const m = month(x);
+        // Regression prediction standard error, mapped back through the seasonal index
+        const se = sigma * Math.sqrt(1 + 1 / k + (x - xBar) ** 2 / sxx);
+        return { value: reseason(intercept + slope * x, m), sd: multiplicative ? se * seasonal[m] : se };
+    });
+}
+
+// Seasonal naive: forecast(h) = value 12 months earlier; sd from the seasonal differences
+function seasonalNaive(values, horizon) {
+    const n = values.length;
+    const diffs = [];
+    for (let i = 12; i < n; i++) diffs.push(values[i] - values[i - 12]);
+    const sigma = Math.sqrt(mean(diffs.map(d => d * d)));
+    return Array.from({ length: horizon }, (_, h) => ({
+        value: values[n - 12 + (h % 12)],
+        sd: sigma * Math.sqrt(Math.floor(h / 12) + 1)
+    }));
+}
+
+const METHODS = {
+    seasonal_trend: (values, firstIndex, horizon) => seasonalTrend(values, firstIndex, horizon),
+    seasonal_naive: (values, firstIndex, horizon) => seasonalNaive(values, horizon)
+};
+
+function errors(actual, predicted) {
+    const diffs = actual.map((a, i) => a - predicted[i]);
+    const nonZero = actual.map((a, i) => [a, diffs[i]]).filter(([a]) => a !== 0);
+    return {
+        mape: nonZero.length > 0 ? mean(nonZero.map(([a, d]) => Math.abs(d / a))) : null,
+        mae: mean(diffs.map(Math.abs)),
+        rmse: Math.sqrt(mean(diffs.map(d => d * d)))
+    };
+}
+
+/**
+ * Forecasts one metric from monthly values. Pure.
+ *
+ * @param {Map<number, object>} monthly - Month index -> { adr, occupancy, revenue, listing_count }, from loadMonthlyMetrics.
+ * @param {string} metric - One of METRICS.
+ * @param {number} lastIndex - The latest month index to consider.
+ * @returns {object} { status: 'ok', method, history_months, last_observed, backtest, forecast: [...] }
+ *   or { status: 'insufficient_data', history_months, required_months, forecast: [] }.
+ */
+export function forecastMetric(monthly, metric, lastIndex) {
+    const { values, lastIndex: lastObserved } = contiguousHistory(monthly, metric, lastIndex);
+    const monthKey = index => {
+        const { year, month } = fromIndex(index);
+        return `${year}-${String(month).padStart(2, '0')}`;
+    };
+
+    if (values.length < MIN_HISTORY_MONTHS) {
+        return {
+            status: 'insufficient_data',
+            history_months: values.length,
+            required_months: MIN_HISTORY_MONTHS,
+            last_observed: lastObserved === null ? null : monthKey(lastObserved),
+            forecast: []
+        };
+    }
+    const firstIndex = lastObserved - values.length + 1;
+    const decimals = DECIMALS[metric];
+    const ratio = value => round(value, 4);
+
+    // Backtest: fit on all but the last 12 months, forecast them, and keep the method with the lower error
+    let method = 'seasonal_trend';
+    let backtest = null;
+    if (values.length >= BACKTEST_MIN_MONTHS) {
+        const train = values.slice(0, -HORIZON_MONTHS);
+        const actual = values.slice(-HORIZON_MONTHS);
+        const results = {};
+        for (const [name, fn] of Object.entries(METHODS)) {
+            results[name] = errors(actual, fn(train, firstIndex, HORIZON_MONTHS).map(f => f.value));
+        }
+        const score = name => results[name].mape ?? results[name].mae;
+        method = score('seasonal_naive') < score('seasonal_trend') ? 'seasonal_naive' : 'seasonal_trend';
+        const format = e => ({ mape: ratio(e.mape), mae: round(e.mae, decimals), rmse: round(e.rmse, decimals) });
+        backtest = {
+            holdout_months: HORIZON_MONTHS,
+            ...format(results[method]),
+            methods: Object.fromEntries(Object.entries(results).map(([name, e]) => [name, format(e)]))
+        };
+    }
+
+    // Occupancy is a rate; nothing goes below zero
+    const clamp = value => Math.max(0, metric === 'occupancy' ? Math.min(1, value) : value);
+    const forecast = METHODS[method](values, firstIndex, HORIZON_MONTHS).map(({ value, sd }, h) => {
+        const { year, month } = fromIndex(lastObserved + 1 + h);
+        return {
+            period: monthKey(lastObserved + 1 + h),
+            year,
+            month,
+            value: round(clamp(value), decimals),
+            lower_80: round(clamp(value - Z[80] * sd), decimals),
+            upper_80: round(clamp(value + Z[80] * sd), decimals),
+            lower_95: round(clamp(value - Z[95] * sd), decimals),
+            upper_95: round(clamp(value + Z[95] * sd), decimals)
+        };
+    });
+
+    return {
+        status: 'ok',
+        method,
+        history_months: values.length,
+        last_observed: monthKey(lastObserved),
+        backtest,
+        forecast
+    };
+}
+
+/**
+ * Loads an area's last five years of monthly history and forecasts every metric.
+ *
+ * @param {number} areaId
+ * @returns {Promise<{ adr: object, occupancy: object, revenue: object, listing_count: object }>}
+ *   See forecastMetric; every metric is 'insufficient_data' when the area has no history.
+ */
+export async function forecastArea(areaId) {
+    const lastIndex = await latestMonthIndex(areaId);
+    const monthly = lastIndex === null
+        ? new Map()
+        : await loadMonthlyMetrics(areaId, lastIndex - MAX_HISTORY_MONTHS + 1, lastIndex);
+    return Object.fromEntries(METRICS.map(metric => [metric, forecastMetric(monthly, metric, lastIndex ?? 0)]));
+}
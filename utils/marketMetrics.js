@@ -0,0 +1,102 @@
+// File: utils/marketMetrics.js
+// Description: The "latest snapshot per market" query shared by the market search and comparison
+// endpoints: each area joined to its latest monthly_market_metrics, ltm_metrics, market_grades and
+// rental_growth rows, plus year-over-year listing growth.
+
+// One row per area. Use as a CTE/subquery: `WITH markets AS (${LATEST_MARKET_SQL}) SELECT ... FROM markets`.
+export const LATEST_MARKET_SQL = `
+    SELECT
+        a.area_id,
+        a.slug,
+        a.city_name,
+        a.state_name,
+        ltm.ltm_adr::float8        AS adr,
+        ltm.ltm_occupancy::float8  AS occupancy,
+        ltm.ltm_revenue::float8    AS revenue,
+        ltm.year                   AS ltm_year,
+        ltm.month                  AS ltm_month,
+        mm.year                    AS latest_year,
+        mm.month                   AS latest_month,
+        mm.adr::float8             AS latest_adr,
+        mm.occupancy::float8       AS latest_occupancy,
+        mm.revenue::float8         AS latest_revenue,
+        mg.rental_demand::float8   AS demand_score,
+        rg.listing_count::int      AS listing_count,
+        rg.snapshot_date           AS listings_snapshot_date,
+        CASE WHEN rg_prev.listing_count > 0
+             THEN (rg.listing_count - rg_prev.listing_count)::float8 / rg_prev.listing_count
+        END                        AS listing_growth
+    FROM areas a
+    LEFT JOIN LATERAL (
+        SELECT year, month, adr, occupancy, revenue
+        FROM monthly_market_metrics m
+        WHERE m.area_id = a.area_id
+        ORDER BY year DESC, month DESC
+        LIMIT 1
+    ) mm ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT ltm_adr, ltm_occupancy, ltm_revenue, year, month
+        FROM ltm_metrics l
+        WHERE l.area_id = a.area_id
+        ORDER BY year DESC, month DESC, created_at DESC
+        LIMIT 1
+    ) ltm ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT rental_demand
+        FROM market_grades g
+        WHERE g.area_id = a.area_id
+        ORDER BY snapshot_date DESC
+        LIMIT 1
+    ) mg ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT listing_count, snapshot_date
+        FROM rental_growth r
+        WHERE r.area_id = a.area_id
+        ORDER BY snapshot_date DESC
+        LIMIT 1
+    ) rg ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT listing_count
+        FROM rental_growth r
+        WHERE r.area_id = a.area_id AND r.snapshot_date <= rg.snapshot_date - INTERVAL '1 year'
+        ORDER BY snapshot_date DESC
+        LIMIT 1
+    ) rg_prev ON TRUE
+`;
+
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Compact market summary from a LATEST_MARKET_SQL row.
+ *
+ * @param {object} row
+ * @returns {object}
+ */
+export function formatMarketSummary(row) {
+    return {
+        area_id: row.area_id,
+        slug: row.slug || null,
+        name: row.city_name,
+        state: row.state_name,
+        ltm: {
+            adr: toNumber(row.adr),
+            occupancy: toNumber(row.occupancy),
+            revenue: toNumber(row.revenue),
+            as_of_year: row.ltm_year ?? null,
+            as_of_month: row.ltm_month ?? null
+        },
+        latest_month: row.latest_year ? {
+            year: row.latest_year,
+            month: row.latest_month,
+            adr: toNumber(row.latest_adr),
+            occupancy: toNumber(row.latest_occupancy),
+            revenue: toNumber(row.latest_revenue)
+        } : null,
+        demand_score: toNumber(row.demand_score),
+        listing_count: toNumber(row.listing_count),
+        // Year-over-year change in listing count (0.12 = +12%)
+        listing_growth: row.listing_growth === null || row.listing_growth === undefined
+            ? null
+            : Math.round(row.listing_growth * 10000) / 10000
+    };
+}
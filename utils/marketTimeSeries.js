@@ -0,0 +1,303 @@
+// File: utils/marketTimeSeries.js
+// Description: Time series of an area's market metrics (monthly_market_metrics ADR/occupancy/revenue and
+// rental_growth listing counts) over any date range, rolled up by month, quarter or year, with derived
+// series: year-over-year change, trailing-12-month rolling average and indexed growth.
+
+import { getPool } from '../db.js';
+
+export const METRICS = ['adr', 'occupancy', 'revenue', 'listing_count'];
+export const GRANULARITIES = ['month', 'quarter', 'year'];
+export const DERIVED = ['yoy', 'rolling_12m', 'index'];
+
+// How each metric rolls up into a quarter/year: revenue is a per-property monthly amount and adds up,
+// the rest are averaged over the months that have data.
+const ROLLUP = { adr: 'avg', occupancy: 'avg', revenue: 'sum', listing_count: 'avg' };
+export const DECIMALS = { adr: 2, occupancy: 4, revenue: 2, listing_count: 1 };
+
+const DEFAULT_MONTHS = 24;
+const MAX_MONTHS = 240;
+const MONTHS_PER_PERIOD = { month: 1, quarter: 3, year: 12 };
+
+const round = (value, decimals) => {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+// Month index: year * 12 + (month - 1), so consecutive months differ by 1
+export const toIndex = (year, month) => year * 12 + (month - 1);
+export const fromIndex = index => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+function parseMonth(value, name) {
+    const match = /^(\d{4})-(\d{1,2})$/.exec(String(value).trim());
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        return { error: `${name} must be a month in YYYY-MM format.` };
+    }
+    return { index: toIndex(Number(match[1]), Number(match[2])) };
+}
+
+function parseList(value, allowed, name, fallback) {
+    if (value === undefined || value === '') return { values: fallback };
+    const values = [...new Set(String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean))];
+    const unknown = values.filter(v => !allowed.includes(v));
+    if (unknown.length > 0) {
+        return { error: `Unknown ${name}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}.` };
+    }
+    return { values };
+}
+
+/**
+ * Validates the time-series query parameters.
+ *
+ * @param {object} query - req.query: metrics, from, to (YYYY-MM), granularity, derived.
+ * @returns {{ options: { metrics: string[], derived: string[], granularity: string, fromIndex: number|null, toIndex: number|null } }|{ error: string }}
+ *   fromIndex/toIndex are null when not given (resolved against the area's data by loadTimeSeries).
+ */
+export function parseTimeSeriesOptions(query) {
+    const metrics = parseList(query.metrics, METRICS, 'metrics', METRICS);
+    if (metrics.error) return { error: metrics.error };
+    const derived = parseList(query.derived, DERIVED, 'derived series', []);
+    if (derived.error) return { error: derived.error };
+
+    const granularity = String(query.granularity || 'month').toLowerCase();
+    if (!GRANULARITIES.includes(granularity)) {
+        return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}.` };
+    }
+
+    let fromIdx = null;
+    let toIdx = null;
+    if (query.from) {
+        const parsed = parseMonth(query.from, 'from');
+        if (parsed.error) return { error: parsed.error };
+        fromIdx = parsed.index;
+    }
+    if (query.to) {
+        const parsed = parseMonth(query.to, 'to');
+        if (parsed.error) return { error: parsed.error };
+        toIdx = parsed.index;
+    }
+    if (fromIdx !== null && toIdx !== null) {
+        if (fromIdx > toIdx) return { error: 'from must not be after to.' };
+        if (toIdx - fromIdx + 1 > MAX_MONTHS) return { error: `The date range can span at most ${MAX_MONTHS} months.` };
+    }
+
+    return { options: { metrics: metrics.values, derived: derived.values, granularity, fromIndex: fromIdx, toIndex: toIdx } };
+}
+
+function periodOf(index, granularity) {
+    const { year, month } = fromIndex(index);
+    if (granularity === 'year') return { key: String(year), year };
+    if (granularity === 'quarter') {
+        const quarter = Math.ceil(month / 3);
+        return { key: `${year}-Q${quarter}`, year, quarter };
+    }
+    return { key: `${year}-${String(month).padStart(2, '0')}`, year, month };
+}
+
+// Snaps a month index to the first/last month of its period
+function periodStart(index, granularity) {
+    const size = MONTHS_PER_PERIOD[granularity];
+    return index - (index % size);
+}
+function periodEnd(index, granularity) {
+    return periodStart(index, granularity) + MONTHS_PER_PERIOD[granularity] - 1;
+}
+
+/**
+ * Builds the series from monthly values. Pure; exported for reuse by other reports.
+ *
+ * @param {Map<number, object>} monthly - Month index -> { adr, occupancy, revenue, listing_count } (numbers or null).
+ * @param {object} options - From parseTimeSeriesOptions, with fromIndex/toIndex resolved.
+ * @returns {Array<object>} One row per period in [fromIndex, toIndex]: { period, year, quarter?, month?,
+ *   months_with_data, <metric>, <metric>_yoy?, <metric>_rolling_12m?, <metric>_index? }.
+ */
+export function buildTimeSeries(monthly, options) {
+    const { metrics, derived, granularity } = options;
+    const start = periodStart(options.fromIndex, granularity);
+    const end = periodEnd(options.toIndex, granularity);
+    // A year of lead-in so the first periods in range have a year-over-year base and a full rolling window
+    const leadStart = start - 12;
+
+    // Trailing-12-month rolling average per month, only where all 12 months have data
+    const rolling = new Map();
+    for (let index = start; index <= end; index++) {
+        const values = {};
+        for (const metric of metrics) {
+            const window = [];
+            for (let i = index - 11; i <= index; i++) {
+                const value = monthly.get(i)?.[metric];
+                if (value !== null && value !== undefined) window.push(value);
+            }
+            values[metric] = window.length === 12 ? window.reduce((sum, v) => sum + v, 0) / 12 : null;
+        }
+        rolling.set(index, values);
+    }
+
+    // Roll months up into periods (lead-in included)
+    const periods = [];
+    for (let index = leadStart; index <= end; index += MONTHS_PER_PERIOD[granularity]) {
+        const row = { ...periodOf(index, granularity), first: index, last: index + MONTHS_PER_PERIOD[granularity] - 1 };
+        const months = [];
+        for (let i = row.first; i <= row.last; i++) {
+            if (monthly.has(i)) months.push(monthly.get(i));
+        }
+        row.months_with_data = months.length;
+        for (const metric of metrics) {
+            const values = months.map(m => m[metric]).filter(v => v !== null && v !== undefined);
+            if (values.length === 0) {
+                row[metric] = null;
+            } else {
+                const total = values.reduce((sum, v) => sum + v, 0);
+                row[metric] = ROLLUP[metric] === 'sum' ? total : total / values.length;
+            }
+        }
+        periods.push(row);
+    }
+
+    const periodsPerYear = 12 / MONTHS_PER_PERIOD[granularity];
+    const inRange = periods.filter(p => p.first >= start);
+    const base = {};
+    for (const metric of metrics) {
+        // Indexed growth is relative to the first period in range that has a value
+        base[metric] = inRange.find(p => p[metric] !== null && p[metric] !== 0)?.[metric] ?? null;
+    }
+
+    return inRange.map(period => {
+        const prior = periods[periods.indexOf(period) - periodsPerYear];
+        const { key, year, quarter, month, months_with_data: monthsWithData } = period;
+        const row = { period: key, year };
+        if (quarter !== undefined) row.quarter = quarter;
+        if (month !== undefined) row.month = month;
+        row.months_with_data = monthsWithData;
+
+        for (const metric of metrics) {
+            const value = period[metric];
+            row[metric] = round(value, DECIMALS[metric]);
+            if (derived.includes('yoy')) {
+                const previous = prior?.[metric];
+                row[`${metric}_yoy`] = value === null || !previous ? null : round((value - previous) / previous, 4);
+            }
+            if (derived.includes('rolling_12m')) {
+                // The rolling average as of the period's last month
+                row[`${metric}_rolling_12m`] = round(rolling.get(period.last)?.[metric] ?? null, DECIMALS[metric]);
+            }
+            if (derived.includes('index')) {
+                row[`${metric}_index`] = value === null || base[metric] === null ? null : round((value / base[metric]) * 100, 2);
+            }
+        }
+        return row;
+    });
+}
+
+/**
+ * The latest month an area has monthly_market_metrics or rental_growth data for.
+ *
+ * @param {number} areaId
+ * @returns {Promise<number|null>} Month index (year * 12 + month - 1), or null without any data.
+ */
+export async function latestMonthIndex(areaId) {
+    const { rows } = await getPool().query(
+        `SELECT MAX(idx) AS latest FROM (
+             SELECT MAX(year * 12 + month - 1) AS idx FROM monthly_market_metrics WHERE area_id = $1
+             UNION ALL
+             SELECT MAX(EXTRACT(YEAR FROM snapshot_date)::int * 12 + EXTRACT(MONTH FROM snapshot_date)::int - 1)
+             FROM rental_growth WHERE area_id = $1
+         ) latest`,
+        [areaId]
+    );
+    return rows[0].latest === null ? null : Number(rows[0].latest);
+}
+
+/**
+ * Loads an area's monthly values between two month indexes (inclusive).
+ * ADR, occupancy and revenue come from monthly_market_metrics; listing_count is the average of the
+ * month's rental_growth snapshots (only queried when requested).
+ *
+ * @param {number} areaId
+ * @param {number} fromIdx - Month index (year * 12 + month - 1).
+ * @param {number} toIdx
+ * @param {string[]} [metrics=METRICS]
+ * @returns {Promise<Map<number, { adr: number|null, occupancy: number|null, revenue: number|null, listing_count: number|null }>>}
+ *   Keyed by month index; months without any data are absent.
+ */
+export async function loadMonthlyMetrics(areaId, fromIdx, toIdx, metrics = METRICS) {
+    const pool = getPool();
+    const [metricsResult, listingsResult] = await Promise.all([
+        pool.query(
+            `SELECT year, month, adr::float8 AS adr, occupancy::float8 AS occupancy, revenue::float8 AS revenue
+             FROM monthly_market_metrics
+             WHERE area_id = $1 AND year * 12 + month - 1 BETWEEN $2 AND $3`,
+            [areaId, fromIdx, toIdx]
+        ),
+        metrics.includes('listing_count')
+            ? pool.query(
+                `SELECT EXTRACT(YEAR FROM snapshot_date)::int AS year, EXTRACT(MONTH FROM snapshot_date)::int AS month,
+                        AVG(listing_count)::float8 AS listing_count
+                 FROM rental_growth
+                 WHERE area_id = $1
+                   AND EXTRACT(YEAR FROM snapshot_date)::int * 12 + EXTRACT(MONTH FROM snapshot_date)::int - 1 BETWEEN $2 AND $3
+                 GROUP BY 1, 2`,
+                [areaId, fromIdx, toIdx]
+            )
+            : Promise.resolve({ rows: [] })
+    ]);
+
+    const monthly = new Map();
+    const entry = (year, month) => {
+        const index = toIndex(year, month);
+        if (!monthly.has(index)) {
+            monthly.set(index, { adr: null, occupancy: null, revenue: null, listing_count: null });
+        }
+        return monthly.get(index);
+    };
+    for (const row of metricsResult.rows) {
+        Object.assign(entry(row.year, row.month), { adr: row.adr, occupancy: row.occupancy, revenue: row.revenue });
+    }
+    for (const row of listingsResult.rows) {
+        entry(row.year, row.month).listing_count = row.listing_count;
+    }
+    return monthly;
+}
+
+/**
+ * Loads an area's monthly data and builds its time series.
+ * Without `to`, the range ends at the area's latest month of data; without `from`, it covers the
+ * 24 months up to `to`.
+ *
+ * @param {number} areaId
+ * @param {object} options - From parseTimeSeriesOptions.
+ * @returns {Promise<{ from: string|null, to: string|null, rows: Array<object> }|{ error: string }>}
+ *   rows is empty when the area has no data at all.
+ */
+export async function loadTimeSeries(areaId, options) {
+    let { fromIndex: fromIdx, toIndex: toIdx } = options;
+
+    if (toIdx === null) {
+        toIdx = await latestMonthIndex(areaId);
+        if (toIdx === null) {
+            return { from: null, to: null, rows: [] };
+        }
+        if (fromIdx !== null && fromIdx > toIdx) {
+            return { error: 'from is after the latest month with data.' };
+        }
+    }
+    if (fromIdx === null) {
+        fromIdx = toIdx - (DEFAULT_MONTHS - 1);
+    }
+    if (toIdx - fromIdx + 1 > MAX_MONTHS) {
+        return { error: `The date range can span at most ${MAX_MONTHS} months.` };
+    }
+
+    const resolved = { ...options, fromIndex: fromIdx, toIndex: toIdx };
+    // Lead-in year for YoY and rolling averages, from the start of the first period
+    const loadFrom = periodStart(fromIdx, options.granularity) - 12;
+    const loadTo = periodEnd(toIdx, options.granularity);
+
+    const monthly = await loadMonthlyMetrics(areaId, loadFrom, loadTo, options.metrics);
+
+    return {
+        from: periodOf(periodStart(fromIdx, options.granularity), 'month').key,
+        to: periodOf(periodEnd(toIdx, options.granularity), 'month').key,
+        rows: buildTimeSeries(monthly, resolved)
+    };
+}
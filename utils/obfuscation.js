@@ -0,0 +1,61 @@
+// File: utils/obfuscation.js
+// Description: Optional, seeded obfuscation of projected figures. Callers that do not want to
+// expose exact numbers (e.g. public widgets) pass { seed, max_percent }; each figure is then
+// shifted by a pseudo-random percentage derived from the seed, so the same seed and input
+// always give the same output.
+
+import crypto from 'crypto';
+
+export const DEFAULT_MAX_PERCENT = 1.5;
+const MAX_ALLOWED_PERCENT = 10;
+
+/**
+ * Validates the `obfuscation` request option.
+ *
+ * @param {any} option - { seed: string|number, max_percent?: number }, or undefined/null for none.
+ * @returns {{ options: { seed: string, maxPercent: number }|null, error?: string }}
+ */
+export function parseObfuscationOption(option) {
+    if (option === undefined || option === null || option === false) {
+        return { options: null };
+    }
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        return { options: null, error: 'obfuscation must be an object: { "seed": "...", "max_percent": 1.5 }.' };
+    }
+    const { seed, max_percent } = option;
+    if ((typeof seed !== 'string' && typeof seed !== 'number') || String(seed).trim() === '') {
+        return { options: null, error: 'obfuscation.seed is required (string or number).' };
+    }
+    const maxPercent = max_percent === undefined ? DEFAULT_MAX_PERCENT : Number(max_percent);
+    if (!Number.isFinite(maxPercent) || maxPercent < 0 || maxPercent > MAX_ALLOWED_PERCENT) {
+        return { options: null, error: `obfuscation.max_percent must be between 0 and ${MAX_ALLOWED_PERCENT}.` };
+    }
+    return { options: { seed: String(seed), maxPercent } };
+}
+
+/**
+ * Deterministic factor in [-maxPercent%, +maxPercent%] for one figure.
+ * The label keeps different figures (e.g. typical vs top 10%) from moving by the same amount.
+ *
+ * @param {{ seed: string, maxPercent: number }} options
+ * @param {string} label - Name of the figure.
+ * @returns {number} e.g. 0.0123 for +1.23%
+ */
+export function obfuscationFactor({ seed, maxPercent }, label) {
+    const hash = crypto.createHash('sha256').update(`${seed}|${label}`).digest();
+    const unit = hash.readUInt32BE(0) / 0xffffffff; // 0..1
+    return (unit * 2 - 1) * (maxPercent / 100);
+}
+
+/**
+ * Applies the factor for `label` to a value (0, null and non-numbers are returned unchanged).
+ *
+ * @param {number} value
+ * @param {{ seed: string, maxPercent: number }|null} options - null disables obfuscation.
+ * @param {string} label
+ * @returns {number}
+ */
+export function obfuscate(value, options, label) {
+    if (!options || typeof value !== 'number' || value === 0) return value;
+    return Math.round(value * (1 + obfuscationFactor(options, label)) * 100) / 100;
+}
@@ -0,0 +1,34 @@
+// File: utils/pagination.js
+// Description: ?page=&per_page= parsing and the pagination block returned by list endpoints.
+
+export const DEFAULT_PER_PAGE = 25;
+export const MAX_PER_PAGE = 100;
+
+/**
+ * Parses 1-based ?page= and ?per_page= query parameters.
+ *
+ * @param {object} query - req.query
+ * @returns {{ page: number, perPage: number, offset: number }|{ error: string }}
+ */
+export function parsePagination(query) {
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    const perPage = query.per_page === undefined ? DEFAULT_PER_PAGE : parseInt(query.per_page, 10);
+    if (isNaN(page) || page < 1) {
+        return { error: 'page must be a positive integer.' };
+    }
+    if (isNaN(perPage) || perPage < 1 || perPage > MAX_PER_PAGE) {
+        return { error: `per_page must be between 1 and ${MAX_PER_PAGE}.` };
+    }
+    return { page, perPage, offset: (page - 1) * perPage };
+}
+
+/**
+ * The `pagination` block of a list response.
+ *
+ * @param {{ page: number, perPage: number }} pagination - From parsePagination.
+ * @param {number} total - Total matching rows.
+ * @returns {{ page: number, per_page: number, total: number, total_pages: number }}
+ */
+export function paginationInfo({ page, perPage }, total) {
+    return { page, per_page: perPage, total, total_pages: Math.ceil(total / perPage) };
+}
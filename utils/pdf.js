@@ -0,0 +1,431 @@
+// File: utils/pdf.js
+// Description: Minimal in-process PDF writer used by the analysis report (utils/analysisReport.js):
+// pages with text in the standard Helvetica fonts, filled/stroked rectangles, lines and polylines,
+// and JPEG/PNG images. Content streams are compressed with node's zlib. Coordinates are in points
+// from the top-left corner of the page (text is positioned by its baseline).
+import zlib from 'zlib';
+
+// Letter size, in points
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Advance widths (1/1000 em) of the printable ASCII characters 32-126 in the standard 14 fonts
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// Width used for WinAnsi characters outside printable ASCII (accented letters, dashes, quotes)
+const DEFAULT_WIDTH = 556;
+
+// Unicode characters in the 0x80-0x9f range of WinAnsiEncoding
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Maps text to WinAnsi character codes; anything without one becomes '?'
+function toWinAnsi(text) {
+    let result = '';
+    for (const ch of String(text ?? '')) {
+        const code = ch.codePointAt(0);
+        if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+            result += ch;
+        } else if (WIN_ANSI_EXTRAS[ch]) {
+            result += String.fromCharCode(WIN_ANSI_EXTRAS[ch]);
+        } else if (ch === '\t' || ch === '\n' || ch === '\r') {
+            result += ' ';
+        } else {
+            result += '?';
+        }
+    }
+    return result;
+}
+
+/**
+ * Width of a line of text in points.
+ *
+ * @param {string} text
+ * @param {number} size - Font size in points.
+ * @param {boolean} [bold]
+ * @returns {number}
+ */
+export function textWidth(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let units = 0;
+    for (const ch of toWinAnsi(text)) {
+        const code = ch.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (units * size) / 1000;
+}
+
+/**
+ * Splits text into lines that fit a width, breaking at spaces (a single word longer than the
+ * width is cut).
+ *
+ * @returns {Array<string>}
+ */
+export function wrapText(text, size, maxWidth, bold = false) {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, size, bold) <= maxWidth) {
+                line = candidate;
+            } else {
+                if (line) lines.push(line);
+                line = truncateText(word, size, maxWidth, bold);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Shortens text to fit a width, ending it with '…' when it was cut.
+ */
+export function truncateText(text, size, maxWidth, bold = false) {
+    const str = String(text ?? '');
+    if (textWidth(str, size, bold) <= maxWidth) return str;
+    let end = str.length;
+    while (end > 0 && textWidth(`${str.slice(0, end)}…`, size, bold) > maxWidth) end--;
+    return end > 0 ? `${str.slice(0, end)}…` : '';
+}
+
+// '#1f3a5f' -> '0.122 0.227 0.373'
+function rgb(color) {
+    const hex = String(color).replace('#', '');
+    return [0, 2, 4].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+const num = value => (Math.round(value * 100) / 100).toString();
+
+function escapePdfString(text) {
+    return toWinAnsi(text).replace(/[\\()]/g, ch => `\\${ch}`);
+}
+
+// Document info strings are not WinAnsi-encoded; UTF-16BE with a byte order mark covers any text
+function infoString(text) {
+    const utf16 = Buffer.from(`\ufeff${text}`, 'utf16le').swap16();
+    return `<${utf16.toString('hex')}>`;
+}
+
+// --- Images ---
+
+function parseJpeg(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            offset++;
+            continue;
+        }
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        // Start-of-frame markers (baseline, progressive, ...) carry the dimensions
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            const components = buffer[offset + 9];
+            return {
+                width: buffer.readUInt16BE(offset + 7),
+                height: buffer.readUInt16BE(offset + 5),
+                colorSpace: components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB',
+                filter: '/DCTDecode',
+                data: buffer,
+                ...(components === 4 && { decode: '[1 0 1 0 1 0 1 0]' }) // Adobe CMYK JPEGs are inverted
+            };
+        }
+        offset += 2 + length;
+    }
+    throw new Error('Unsupported JPEG (no frame header found).');
+}
+
+// Reverses the PNG scanline filters (one filter byte per row)
+function unfilterPng(data, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    const out = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const row = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const outRow = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bytesPerPixel ? out[outRow + x - bytesPerPixel] : 0;
+            const up = y > 0 ? out[outRow - stride + x] : 0;
+            const upLeft = y > 0 && x >= bytesPerPixel ? out[outRow - stride + x - bytesPerPixel] : 0;
+            let value = row[x];
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += Math.floor((left + up) / 2);
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+            out[outRow + x] = value & 0xff;
+        }
+    }
+    return out;
+}
+
+function parsePng(buffer) {
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    const idat = [];
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+    if (!header || idat.length === 0) {
+        throw new Error('Invalid PNG.');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    if (bitDepth !== 8 || interlace !== 0 || ![0, 2, 3, 4, 6].includes(colorType)) {
+        throw new Error('Unsupported PNG: use a non-interlaced PNG with 8 bits per channel.');
+    }
+    if (colorType === 3 && !palette) {
+        throw new Error('Invalid PNG: missing palette.');
+    }
+    const compressed = Buffer.concat(idat);
+
+    // Without alpha the PNG data can be embedded as is (PDF understands the PNG predictors)
+    if (colorType === 0 || colorType === 2 || colorType === 3) {
+        const colors = colorType === 2 ? 3 : 1;
+        const colorSpace = colorType === 0 ? '/DeviceGray'
+            : colorType === 2 ? '/DeviceRGB'
+                : `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`;
+        return {
+            width,
+            height,
+            colorSpace,
+            filter: '/FlateDecode',
+            decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+            data: compressed
+        };
+    }
+
+    // With alpha, split color and alpha into an image and its soft mask
+    const channels = colorType === 6 ? 4 : 2;
+    const pixels = unfilterPng(zlib.inflateSync(compressed), width, height, channels);
+    const colorChannels = channels - 1;
+    const color = Buffer.alloc(width * height * colorChannels);
+    const alpha = Buffer.alloc(width * height);
+    for (let i = 0; i < width * height; i++) {
+        pixels.copy(color, i * colorChannels, i * channels, i * channels + colorChannels);
+        alpha[i] = pixels[i * channels + colorChannels];
+    }
+    return {
+        width,
+        height,
+        colorSpace: colorChannels === 3 ? '/DeviceRGB' : '/DeviceGray',
+        filter: '/FlateDecode',
+        data: zlib.deflateSync(color),
+        smask: zlib.deflateSync(alpha)
+    };
+}
+
+/**
+ * Reads a JPEG or PNG for embedding. Throws for other formats and for PNGs that are interlaced or
+ * not 8 bits per channel.
+ *
+ * @param {Buffer} buffer - The image file.
+ * @returns {object} Image for createPdf().addImage.
+ */
+export function parseImage(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return { type: 'image/jpeg', ...parseJpeg(buffer) };
+    }
+    if (buffer.length > 8 && buffer.toString('latin1', 1, 4) === 'PNG') {
+        return { type: 'image/png', ...parsePng(buffer) };
+    }
+    throw new Error('Unsupported image format: use PNG or JPEG.');
+}
+
+// --- Document ---
+
+/**
+ * Creates a PDF document. Draw on the pages returned by addPage, then call toBuffer.
+ *
+ * @param {{ title?: string, author?: string }} [info] - Document properties.
+ * @returns {{ addPage: Function, addImage: Function, toBuffer: Function }}
+ */
+export function createPdf(info = {}) {
+    const pages = [];
+    const images = [];
+
+    function addPage() {
+        const ops = [];
+        const y = top => PAGE_HEIGHT - top;
+
+        const page = {
+            width: PAGE_WIDTH,
+            height: PAGE_HEIGHT,
+
+            rect(x, top, width, height, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+                if (!fill && !stroke) return page;
+                ops.push('q');
+                if (fill) ops.push(`${rgb(fill)} rg`);
+                if (stroke) ops.push(`${rgb(stroke)} RG ${num(lineWidth)} w`);
+                ops.push(`${num(x)} ${num(y(top + height))} ${num(width)} ${num(height)} re ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`);
+                ops.push('Q');
+                return page;
+            },
+
+            line(x1, top1, x2, top2, { color = '#000000', lineWidth = 1, dash = null } = {}) {
+                return page.polyline([[x1, top1], [x2, top2]], { color, lineWidth, dash });
+            },
+
+            polyline(points, { color = '#000000', lineWidth = 1, dash = null } = {}) {
+                if (points.length < 2) return page;
+                ops.push('q', `${rgb(color)} RG ${num(lineWidth)} w 1 J 1 j`);
+                if (dash) ops.push(`[${dash.map(num).join(' ')}] 0 d`);
+                ops.push(points.map(([px, ptop], i) => `${num(px)} ${num(y(ptop))} ${i === 0 ? 'm' : 'l'}`).join(' ') + ' S');
+                ops.push('Q');
+                return page;
+            },
+
+            text(str, x, baseline, { size = 10, bold = false, color = '#000000', align = 'left', maxWidth = null } = {}) {
+                const content = maxWidth ? truncateText(str, size, maxWidth, bold) : String(str ?? '');
+                if (!content) return page;
+                const width = textWidth(content, size, bold);
+                const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+                ops.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(y(baseline))} Td (${escapePdfString(content)}) Tj ET`);
+                return page;
+            },
+
+            // Draws an image from addImage scaled into the box, keeping its aspect ratio
+            image(image, x, top, maxWidth, maxHeight) {
+                const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+                const width = image.width * scale;
+                const height = image.height * scale;
+                ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(y(top + height))} cm /${image.name} Do Q`);
+                return { width, height };
+            }
+        };
+        pages.push(ops);
+        return page;
+    }
+
+    // Registers an image from parseImage; returns the handle to pass to page.image
+    function addImage(parsed) {
+        const image = { ...parsed, name: `Im${images.length + 1}` };
+        images.push(image);
+        return image;
+    }
+
+    function toBuffer() {
+        const objects = [];
+        const add = body => {
+            objects.push(body);
+            return objects.length;
+        };
+        const stream = (dict, data) => Buffer.concat([
+            Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+            data,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const xObjects = images.map(image => {
+            let smaskId = null;
+            if (image.smask) {
+                smaskId = add(stream(
+                    `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`,
+                    image.smask
+                ));
+            }
+            const id = add(stream(
+                `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace} /BitsPerComponent 8 /Filter ${image.filter}`
+                + (image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : '')
+                + (image.decode ? ` /Decode ${image.decode}` : '')
+                + (smaskId ? ` /SMask ${smaskId} 0 R` : ''),
+                image.data
+            ));
+            return `/${image.name} ${id} 0 R`;
+        });
+        const resources = `<< /Font << /${FONTS.regular} ${regularId} 0 R /${FONTS.bold} ${boldId} 0 R >>`
+            + (xObjects.length > 0 ? ` /XObject << ${xObjects.join(' ')} >>` : '')
+            + ' >>';
+
+        const pageIds = pages.map(ops => {
+            const contentId = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'))));
+            return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+        });
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const infoEntries = [
+            info.title && `/Title ${infoString(info.title)}`,
+            info.author && `/Author ${infoString(info.author)}`,
+            '/Producer (StaySTRa API)'
+        ].filter(Boolean);
+        const infoId = add(`<< ${infoEntries.join(' ')} >>`);
+
+        // Header (with a binary comment line so the file is treated as binary), objects, xref, trailer
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let length = chunks[0].length;
+        const offsets = objects.map((body, i) => {
+            const offset = length;
+            const chunk = Buffer.concat([
+                Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+                Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            chunks.push(chunk);
+            length += chunk.length;
+            return offset;
+        });
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+        return Buffer.concat(chunks);
+    }
+
+    return { addPage, addImage, toBuffer };
+}
@@ -0,0 +1,462 @@
+// File: utils/propertyAnalysis.js
+// Description: The property analysis flow shared by the v1/v2 analyze routes and batch jobs:
+// logs the query, loads upstream data (cache or provider), validates it, calculates projected
+// revenues and formats the response body.
+
+import { getPool } from '../db.js';
+import { calculateRevenues } from './analysisCalculations.js';
+import { getAnalysisProvider, ProviderError } from '../providers/index.js';
+import { buildCacheKey } from './propertyCache.js';
+import { loadAnalysisData } from './analysisDataLoader.js';
+import { sendAlertToN8n } from './alerts.js';
+import { parseAddress, addressComponents } from './addressNormalization.js';
+import { parseObfuscationOption, obfuscate } from './obfuscation.js';
+import { parseUnderwritingInputs, calculateUnderwriting } from './underwriting.js';
+import { loadSeasonalShape, buildMonthlyProjection } from './seasonality.js';
+import { buildSubject, selectComps } from './compSelection.js';
+import { saveAnalysis } from './savedAnalyses.js';
+
+
+// Inserts a row into query_errors. queryId may be null when the initial query log failed.
+async function logQueryError(address, errorCode, errorMessage, queryId) {
+    try {
+        await getPool().query(
+            `INSERT INTO query_errors (address, error_code, message, query_id)
+             VALUES ($1, $2, $3, $4)`,
+            [address || null, errorCode, errorMessage.substring(0, 4000), queryId] // Limit message length
+        );
+    } catch (logErrorDb) {
+        console.error(`🔥🔥 Failed to log ${errorCode} error to query_errors database table (query ID ${queryId}):`, logErrorDb);
+    }
+}
+
+
+/**
+ * Normalized inputs for the analysis provider (see providers/index.js). The cache is keyed by all
+ * of these, not just the address (see utils/propertyCache.js). Accommodates defaults to two guests
+ * per bedroom when not given.
+ *
+ * @param {object} parsedAddress - From parseAddress.
+ * @param {{ address: string, bedrooms?: any, bathrooms?: any, occupancy?: any }} request - Raw request values.
+ * @returns {{ address: string, bedrooms: number|null, bathrooms: number|null, accommodates: number|null }}
+ */
+export function buildAnalysisInputs(parsedAddress, { address, bedrooms, bathrooms, occupancy }) {
+    // Calculate accommodates/occupancy if not explicitly provided
+    const beds = parseInt(bedrooms, 10) || 0;
+    const calculatedOccupancy = (!occupancy && beds > 0) ? beds * 2 : (parseInt(occupancy, 10) || 0);
+
+    return {
+        address: parsedAddress.formatted || address,
+        bedrooms: beds > 0 ? beds : null,
+        bathrooms: parseFloat(bathrooms) > 0 ? parseFloat(bathrooms) : null,
+        accommodates: calculatedOccupancy > 0 ? calculatedOccupancy : null
+    };
+}
+
+
+/**
+ * Turns validated upstream data into the analyze response `data`: comp selection, revenue tiers and
+ * ranges, the monthly projection and (when requested) underwriting. The result is stored
+ * (utils/savedAnalyses.js), and the PDF report (utils/analysisReport.js) renders that stored copy.
+ *
+ * @param {object} externalData - Upstream `data` ({ property_details, property_statistics, comps, combined_market_info }).
+ * @param {object} context
+ * @param {object} context.parsedAddress - From parseAddress.
+ * @param {object} context.analysisInputs - From buildAnalysisInputs.
+ * @param {string|null} [context.cacheStatus]
+ * @param {string|null} [context.dataFetchedAt]
+ * @param {object|null} [context.obfuscationOptions] - From parseObfuscationOption.
+ * @param {object|null} [context.underwritingInputs] - From parseUnderwritingInputs.
+ * @returns {Promise<object>}
+ */
+export async function formatAnalysis(externalData, {
+    parsedAddress, analysisInputs, cacheStatus = null, dataFetchedAt = null, obfuscationOptions = null, underwritingInputs = null
+}) {
+    // Extract necessary data using the correct variable name externalData
+    const details = externalData.property_details || {};
+    const stats = externalData.property_statistics || {};
+    const comps = externalData.comps || [];
+    const combinedMarketInfo = externalData.combined_market_info || {};
+
+
+    // --- Call the calculation function ---
+    // This uses the stats and comps extracted above, regardless of source (cache/API)
+    // Score, dedupe and filter the comps first (utils/compSelection.js); tiers use the weighted selection
+    const compSelection = selectComps(buildSubject(details, analysisInputs), comps);
+    const calculatedRevenues = calculateRevenues(stats, compSelection.comps, compSelection.weights);
+    const { typicalRevenue, top25Revenue, top10Revenue, ranges, breakdown } = calculatedRevenues;
+
+    // With obfuscation, a tier's expected value and its range move by the same factor.
+    const obfuscateRange = (range, label) => ({
+        ...range,
+        low: obfuscate(range.low, obfuscationOptions, label),
+        expected: obfuscate(range.expected, obfuscationOptions, label),
+        high: obfuscate(range.high, obfuscationOptions, label)
+    });
+
+
+    // --- Format Response for Frontend ---
+    const formattedResponse = {
+        address_components: addressComponents(parsedAddress),
+        // fresh | stale (served while refreshing in background) | coalesced (shared another request's upstream call) | miss
+        cache_status: cacheStatus,
+        data_fetched_at: dataFetchedAt,
+        property_details: details,
+        property_statistics: stats,
+        comps: comps,
+        StaySTRa_market_name: combinedMarketInfo.airdna_market_name,
+        StaySTRa_submarket_name: combinedMarketInfo.submarket_name,
+        market_score: combinedMarketInfo.market_score,
+        submarket_score: combinedMarketInfo.submarket_score,
+        ard: stats.adr?.ltm ? `$${stats.adr.ltm.toFixed(0)}` : 'N/A',
+        occupancy: stats.occupancy?.ltm ? `${(stats.occupancy.ltm * 100).toFixed(0)}%` : 'N/A',
+        projected_revenue_typical: obfuscate(typicalRevenue, obfuscationOptions, 'typical'),
+        projected_revenue_top_25: obfuscate(top25Revenue, obfuscationOptions, 'top25'),
+        projected_revenue_top_10: obfuscate(top10Revenue, obfuscationOptions, 'top10'),
+        // low/expected/high per tier from the comp distribution (see utils/analysisCalculations.js)
+        projection_ranges: {
+            typical: obfuscateRange(ranges.typical, 'typical'),
+            top_25: obfuscateRange(ranges.top25, 'top25'),
+            top_10: obfuscateRange(ranges.top10, 'top10')
+        },
+        // Which formula and comps produced each figure (before obfuscation)
+        projection_breakdown: {
+            typical: breakdown.typical,
+            top_25: breakdown.top25,
+            top_10: breakdown.top10
+        },
+        // Which comps the projection used (with weights) and which were excluded and why
+        comp_selection: {
+            used: compSelection.used,
+            excluded: compSelection.excluded,
+            relaxed_filters: compSelection.relaxed
+        },
+        obfuscated: obfuscationOptions !== null,
+        monthly_projection: null,
+        underwriting: null,
+    };
+
+
+    // 12-month ADR/occupancy/revenue per tier; the months add up to the annual figures above
+    const seasonalShape = await loadSeasonalShape(stats, compSelection.comps, parsedAddress);
+    formattedResponse.monthly_projection = buildMonthlyProjection(seasonalShape, {
+        typical: { annualRevenue: formattedResponse.projected_revenue_typical, adr: stats.adr?.ltm, occupancy: stats.occupancy?.ltm },
+        top_25: { annualRevenue: formattedResponse.projected_revenue_top_25, adr: breakdown.top25.inputs?.avg_adr, occupancy: stats.occupancy?.ltm },
+        top_10: { annualRevenue: formattedResponse.projected_revenue_top_10, adr: breakdown.top10.inputs?.avg_adr, occupancy: stats.occupancy?.ltm }
+    });
+
+    // NOI, cash flow, cap rate, cash-on-cash and DSCR per tier, based on the revenues returned above
+    if (underwritingInputs) {
+        formattedResponse.underwriting = calculateUnderwriting(underwritingInputs, {
+            typical: formattedResponse.projected_revenue_typical,
+            top_25: formattedResponse.projected_revenue_top_25,
+            top_10: formattedResponse.projected_revenue_top_10
+        });
+    }
+
+    return formattedResponse;
+}
+
+
+/**
+ * Runs a full property analysis for one request.
+ *
+ * Never throws: every failure is logged (query_errors, N8N alert) and turned into a
+ * `{ success: false, message }` body, matching what the PHP proxy expects.
+ *
+ * Successful analyses are stored (utils/savedAnalyses.js) and their `data` gets an `analysis_id`
+ * (null when storing failed).
+ *
+ * @param {object} requestBody - The analyze request body ({ address, bedrooms, bathrooms, occupancy,
+ *   referrer, utm_source, agent_id }).
+ * @param {{ apiKeyId?: number|null }} [options] - The API key the analysis is stored for.
+ * @returns {Promise<{ response: object, usage: { cacheHit: boolean, upstreamCall: boolean } }>}
+ *   `response` is the JSON body to send; `usage` is what the analysis cost (for middleware/usageMeter.js).
+ */
+export async function runPropertyAnalysis(requestBody, { apiKeyId = null } = {}) {
+    // Extract input data from the request body (sent as JSON from PHP)
+    const { address, bedrooms, bathrooms, occupancy, referrer, utm_source, agent_id, obfuscation, underwriting } = requestBody;
+    const usage = { cacheHit: false, upstreamCall: false };
+
+    // --- Input Validation ---
+    // Basic validation for required fields
+    if (!address) {
+        console.warn('Analysis request missing address:', requestBody);
+        // Always send 200 to PHP proxy, use success: false to indicate a user input error
+        // Note: We return here, so initial query log and error log won't happen for missing address.
+        return {
+            usage,
+            response: {
+                success: false,
+                message: 'Property address is required for analysis.'
+            }
+        };
+    }
+
+    // Optional, seeded obfuscation of the projected figures (utils/obfuscation.js). Off unless requested.
+    const { options: obfuscationOptions, error: obfuscationError } = parseObfuscationOption(obfuscation);
+    if (obfuscationError) {
+        return { usage, response: { success: false, message: obfuscationError } };
+    }
+    // Optional investment assumptions (utils/underwriting.js); underwriting is only returned when sent.
+    const { inputs: underwritingInputs, error: underwritingError } = parseUnderwritingInputs(underwriting);
+    if (underwritingError) {
+        return { usage, response: { success: false, message: underwritingError } };
+    }
+
+    console.log('Received analysis request for address:', address);
+
+    // Parse the address into components and one canonical form (utils/addressNormalization.js).
+    // The canonical form is what we send upstream, cache on and log, so different spellings of
+    // the same address share cache entries and upstream calls.
+    const parsedAddress = parseAddress(address);
+    const analysisInputs = buildAnalysisInputs(parsedAddress, { address, bedrooms, bathrooms, occupancy });
+
+    // --- Start: Log initial query ---
+    // Log the query request *before* the main try block to capture it even if analysis fails later.
+    let queryId = null; // Variable to hold the ID of the inserted row
+    try {
+        const result = await getPool().query(
+            `INSERT INTO analyzer_queries (address, normalized_address, referrer, utm_source, agent_id, query_success, api_key_id, cache_key)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id`,
+            // Initially assume failure, update later. The key and cache key scope later query_id lookups (utils/scenarioAnalysis.js).
+            [address, parsedAddress.matchKey, referrer, utm_source, agent_id, false, apiKeyId, buildCacheKey(analysisInputs)]
+        );
+        queryId = result.rows[0].id; // Get the ID of the newly inserted row
+    } catch (logError) {
+        // Log the database error but do NOT stop the main analysis flow
+        console.error('🚫 Failed to log initial query to database:', logError); // Keep this error log
+        // Attempt to send alert for database logging failure
+        await sendAlertToN8n({
+            subject: '⚠️ StaySTRA Analyzer DB Logging Error',
+            body: `Failed to log initial query to analyzer_queries table for address: ${address || 'N/A'}\n` +
+                  `• Error: ${logError.message}\n` +
+                  `• Time: ${new Date().toISOString()}`
+        });
+        // queryId remains null, which is okay - we just won't be able to update this log later or link errors
+    }
+    // --- End: Log initial query ---
+
+
+    // --- Main Processing Logic ---
+    let rawExternalResponse = null; // Variable to hold the data, whether from cache or API
+    let source = 'unknown'; // Track source for potential logging/debugging
+
+    try { // This main try block wraps all core logic and catches generic internal errors
+        // --- Start: Load Analysis Data (cache, in-flight request or provider; see utils/analysisDataLoader.js) ---
+        console.log(`🔍 Loading analysis data for ${buildCacheKey(analysisInputs)}.`);
+        let cacheStatus = null;
+        let dataFetchedAt = null;
+        let providerName = null;
+        try {
+            const loaded = await loadAnalysisData(analysisInputs);
+            rawExternalResponse = loaded.rawResponse;
+            source = loaded.source;
+            cacheStatus = loaded.cacheStatus;
+            dataFetchedAt = loaded.fetchedAt;
+            providerName = loaded.providerName;
+            usage.cacheHit = loaded.source === 'cache';
+            usage.upstreamCall = loaded.upstreamCall;
+        } catch (providerError) {
+            // Config problems and unexpected bugs are not provider failures; let the generic handler below deal with them.
+            if (!(providerError instanceof ProviderError)) {
+                throw providerError;
+            }
+            const provider = getAnalysisProvider();
+            const providerName = provider.name;
+            // A status means the upstream answered, so the (possibly paid) call was made -- by this request
+            // unless it only joined another request's in-flight call.
+            if (providerError.status !== null && !providerError.coalesced) {
+                usage.upstreamCall = provider.isPaid;
+            }
+
+            console.error(`External analysis provider "${providerName}" failed: ${providerError.message}`, providerError.details);
+
+            await sendAlertToN8n({
+                subject: '🚨 StaySTRA Analyzer External API Error',
+                body: `External analysis call failed for address: ${address}\n` +
+                      `• Provider: ${providerName}\n` +
+                      `• Error: ${providerError.message}\n` +
+                      `• Response Body: ${providerError.details.substring(0, 500)}...\n` +
+                      `• Time: ${new Date().toISOString()}`
+            });
+
+            // --- Log error to database (for external provider failures) ---
+            await logQueryError(address, providerError.code,
+                `${providerError.message}. Provider: ${providerName}. Body: ${providerError.details}`, queryId);
+
+            // Send a response that the frontend can handle as an error
+            return {
+                usage,
+                response: {
+                    success: false,
+                    message: providerError.userMessage
+                }
+            };
+        }
+        // --- End: Load Analysis Data ---
+
+
+        // --- Process Raw External Response (from either Cache or API) ---
+        // The rawExternalResponse variable now holds the data, whether from cache or a fresh API call.
+        // We process it the same way from this point regardless of source.
+
+        // Check if the raw response indicates an error or no data (e.g., RapidAPI subscription message, or no data found)
+        // Check the top-level 'data' key exists and is a non-null object
+        // This validation runs for both cache hits and successful API calls
+        if (!rawExternalResponse || typeof rawExternalResponse.data !== 'object' || rawExternalResponse.data === null) {
+             await sendAlertToN8n({
+                subject: '⚠️ StaySTRA Analyzer Unexpected External Data',
+                body: `External service returned unexpected data structure (missing main data key) for address: ${address}\n` +
+                      `• Raw Response: ${JSON.stringify(rawExternalResponse, null, 2).substring(0, 1000)}...\n` +
+                      `• Time: ${new Date().toISOString()}`
+            });
+
+             // --- Log error to database (for unexpected external data structure) ---
+             await logQueryError(address, 'EXTERNAL_BAD_DATA',
+                 `External data in unexpected format or missing main data key. Source: ${source}. Raw: ${JSON.stringify(rawExternalResponse, null, 2).substring(0, 1000)}`, queryId);
+
+             // Send 200 to PHP/frontend with success: false and message
+             return {
+                usage,
+                response: {
+                    success: false,
+                    message: 'Analysis data format unexpected. Please try a different address or contact support.'
+                }
+             };
+        }
+
+        // Assume the external service returns the actual data nested under a 'data' key
+        const externalData = rawExternalResponse.data;
+
+
+        // --- Validate Structure and Extract Data ---
+        // Check if the main data object has required sub-objects
+        // This validation also runs for both cache hits and successful API calls
+        if (!externalData.property_details || !externalData.property_statistics || !externalData.combined_market_info) {
+             await sendAlertToN8n({
+                subject: '⚠️ StaySTRA Analyzer Unexpected External Data',
+                body: `External service returned unexpected data structure (missing sub-details) for address: ${address}\n` +
+                      `• Raw Response: ${JSON.stringify(rawExternalResponse, null, 2).substring(0, 1000)}...\n` +
+                      `• Time: ${new Date().toISOString()}`
+            });
+
+             // --- Log error to database (for missing external sub-details) ---
+             await logQueryError(address, 'EXTERNAL_MISSING_SUBDATA',
+                 `External data missing required sub-details. Source: ${source}. Raw: ${JSON.stringify(rawExternalResponse, null, 2).substring(0, 1000)}`, queryId);
+
+             return {
+                usage,
+                response: {
+                    success: false,
+                    message: 'No detailed analysis data found for this property or data format unexpected.'
+                }
+             };
+        }
+
+        const formattedResponse = await formatAnalysis(externalData, {
+            parsedAddress, analysisInputs, cacheStatus, dataFetchedAt, obfuscationOptions, underwritingInputs
+        });
+
+        // --- Store the result (GET /api/v1/property/analyses/:id) ---
+        // A storage failure is logged but does not fail the analysis; the result just has no ID.
+        let responseData = { analysis_id: null, ...formattedResponse };
+        try {
+            responseData = await saveAnalysis({
+                apiKeyId,
+                queryId,
+                normalizedAddress: parsedAddress.matchKey,
+                cacheKey: buildCacheKey(analysisInputs),
+                inputs: {
+                    address, bedrooms, bathrooms, occupancy, referrer, utm_source, agent_id,
+                    obfuscation: obfuscationOptions,
+                    underwriting: underwritingInputs,
+                    // What was sent upstream and cached on (buildAnalysisInputs)
+                    analysis: analysisInputs
+                },
+                source: {
+                    type: source,
+                    provider: providerName,
+                    cache_key: buildCacheKey(analysisInputs),
+                    cache_status: cacheStatus,
+                    data_fetched_at: dataFetchedAt
+                },
+                data: formattedResponse
+            });
+        } catch (saveError) {
+            console.error(`🚫 Failed to store analysis result (query ID ${queryId}):`, saveError);
+        }
+
+
+        // --- Update query log on success ---
+        // This MUST happen BEFORE sending the response.
+        // Only update if we successfully inserted the initial log row
+        if (queryId !== null) {
+            try {
+                await getPool().query(
+                    `UPDATE analyzer_queries
+                     SET query_success = TRUE
+                     WHERE id = $1`,
+                    [queryId]
+                );
+            } catch (logUpdateError) {
+                console.error(`🚫 Failed to update query log ID ${queryId} to success:`, logUpdateError);
+                // Optionally send another alert specific to update failure
+            }
+        }
+        // --- End update query log on success ---
+
+        return {
+            usage,
+            response: {
+                success: true,
+                message: `Analysis completed (Source: ${source}, ${cacheStatus})`, // Indicate source in message for debugging/testing
+                data: responseData
+            }
+        };
+
+    } // <-- This is the correct closing bracket for the main try block
+    catch (error) {
+        // --- Handle Generic Internal API Errors ---
+        // This catch block handles any errors that weren't specifically caught and handled with a 'return' earlier
+        // (like database errors during initial log/cache save/cache check, parsing errors after initial fetch,
+        // errors during calculations, or errors during the final log update).
+        console.error('📈 Internal Property analysis error:', error);
+
+        // Attempt to send alert for internal API failure
+        await sendAlertToN8n({
+            subject: '🔥 StaySTRA Analyzer Internal API Error',
+            body: `Internal error during analysis for address: ${address || 'N/A'}\n` +
+                  `• Error: ${error.stack || error.message}\n` +
+                  `• Time: ${new Date().toISOString()}`
+        });
+
+        // --- Start: Log error to database (for generic internal errors) ---
+        const errorCode = 'INTERNAL_ERROR';
+        let errorMessage = error.stack || error.message || 'Unknown error';
+
+        // Attempt to add more context if possible
+        if (error.message) {
+             errorMessage = `Error: ${error.message}`;
+             if (error.stack) {
+                 errorMessage += `\nStack: ${error.stack}`;
+             }
+        }
+
+        // Use the queryId captured at the start if available
+        await logQueryError(address, errorCode, errorMessage, queryId);
+        // --- End: Log error to database ---
+
+        // Keep user message generic unless specific user input validation error
+        return {
+            usage,
+            response: {
+                success: false,
+                message: 'An internal error occurred during analysis. Please try again later.',
+                // Provide some limited detail in dev for debugging frontend, but rely on server logs/alerts for sensitive details.
+                errorDetails: process.env.NODE_ENV !== 'production' ? { message: error.message, code: errorCode } : undefined
+            }
+        };
+    }
+}
@@ -0,0 +1,108 @@
+// File: utils/propertyCache.js
+// Description: Read/write access to property_cache. Entries are keyed by the full request shape
+// (normalized address + bedrooms + bathrooms + accommodates), so each configuration of a property
+// gets its own cached analysis. Address-only lookups remain available for admin tools.
+
+import { getPool } from '../db.js';
+import { parseAddress } from './addressNormalization.js';
+
+/**
+ * Normalizes an address for cache matching using the canonical match key from
+ * utils/addressNormalization.js, so "123 Main St, Austin TX" and
+ * "123 Main Street, Austin, Texas 78701" share one cache entry.
+ *
+ * @param {string} address - The address as entered by the user.
+ * @returns {string}
+ */
+export function normalizeCacheAddress(address) {
+    return parseAddress(address).matchKey;
+}
+
+/**
+ * Builds the cache key for a request. Missing values are kept as empty slots so
+ * "no bedroom count given" never collides with a specific bedroom count.
+ *
+ * @param {object} inputs - Normalized analysis inputs.
+ * @param {string} inputs.address
+ * @param {number|null} inputs.bedrooms
+ * @param {number|null} inputs.bathrooms
+ * @param {number|null} inputs.accommodates
+ * @returns {string} e.g. "123 main street, austin, tx|bd:3|ba:2|acc:6"
+ */
+export function buildCacheKey({ address, bedrooms, bathrooms, accommodates }) {
+    const part = value => (value === null || value === undefined ? '' : String(value));
+    return `${normalizeCacheAddress(address)}|bd:${part(bedrooms)}|ba:${part(bathrooms)}|acc:${part(accommodates)}`;
+}
+
+/**
+ * Looks up a cached analysis for the exact request shape.
+ *
+ * @param {object} inputs - Normalized analysis inputs (see buildCacheKey).
+ * @param {number} maxAgeDays - Entries older than this are ignored.
+ * @param {string} sourceApi - Only entries of this provider are served, so fixture data of the mock
+ *   provider never passes for real data after ANALYSIS_PROVIDER is switched back (and vice versa).
+ * @returns {Promise<{ raw_api_response: object, last_fetched: Date, source_api: string }|null>}
+ */
+export async function getCachedAnalysis(inputs, maxAgeDays, sourceApi) {
+    const result = await getPool().query(
+        `SELECT raw_api_response, last_fetched, source_api
+         FROM property_cache
+         WHERE cache_key = $1
+         AND last_fetched >= NOW() - make_interval(days => $2)
+         AND source_api = $3`,
+        [buildCacheKey(inputs), maxAgeDays, sourceApi]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Inserts or refreshes the cache entry for the request shape.
+ *
+ * @param {object} inputs - Normalized analysis inputs (see buildCacheKey).
+ * @param {object} rawResponse - The { data: ... } envelope to cache.
+ * @param {string} sourceApi - Name of the provider that produced the data.
+ */
+export async function saveCachedAnalysis(inputs, rawResponse, sourceApi) {
+    await getPool().query(
+        `INSERT INTO property_cache (cache_key, address, normalized_address, bedrooms, bathrooms, accommodates,
+                                     raw_api_response, source_api, last_fetched)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+         ON CONFLICT (cache_key) DO UPDATE
+         SET raw_api_response = EXCLUDED.raw_api_response,
+             last_fetched = EXCLUDED.last_fetched,
+             source_api = EXCLUDED.source_api`,
+        [
+            buildCacheKey(inputs),
+            inputs.address,
+            normalizeCacheAddress(inputs.address),
+            inputs.bedrooms,
+            inputs.bathrooms,
+            inputs.accommodates,
+            rawResponse,
+            sourceApi
+        ]
+    );
+}
+
+/**
+ * Lists every cached configuration for an address (admin tools). Ignores bedrooms/bathrooms/accommodates
+ * and expiry, and includes legacy rows that predate request-shape keys (cache_key is null).
+ *
+ * @param {string} address - The address to look up.
+ * @param {object} [options]
+ * @param {boolean} [options.includeResponse=false] - Include the cached raw_api_response payloads.
+ * @param {string|null} [options.sourceApi=null] - Only entries of this provider (see getCachedAnalysis).
+ * @returns {Promise<Array<object>>}
+ */
+export async function findCacheEntriesByAddress(address, { includeResponse = false, sourceApi = null } = {}) {
+    const result = await getPool().query(
+        `SELECT cache_key, address, normalized_address, bedrooms, bathrooms, accommodates, source_api, last_fetched
+                ${includeResponse ? ', raw_api_response' : ''}
+         FROM property_cache
+         WHERE normalized_address = $1
+         AND ($2::text IS NULL OR source_api = $2)
+         ORDER BY last_fetched DESC`,
+        [normalizeCacheAddress(address), sourceApi]
+    );
+    return result.rows;
+}
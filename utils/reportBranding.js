@@ -0,0 +1,250 @@
+// File: utils/reportBranding.js
+// Description: Branding of the PDF analysis reports (report_branding, migrations/011): a default per
+// API key and optional overrides per agent_id of that key. Each field falls back from the agent's
+// branding to the key's and then to the StaySTRa defaults. Branding is shared by the keys of a
+// rotation chain (keyLineageSql), like stored analyses: a rotated key keeps it, and during a grace
+// period the old and the new key read and edit the same rows.
+
+import { getPool } from '../db.js';
+import { parseImage } from './pdf.js';
+import { keyLineageSql } from './apiKeys.js';
+
+// Text fields and their maximum length
+export const BRANDING_TEXT_FIELDS = {
+    company_name: 100,
+    contact_name: 100,
+    contact_email: 200,
+    contact_phone: 50,
+    contact_website: 200,
+    footer_text: 500
+};
+export const BRANDING_COLOR_FIELDS = ['primary_color', 'accent_color'];
+export const MAX_LOGO_BYTES = 512 * 1024;
+const AGENT_ID_MAX_LENGTH = 100;
+
+export const DEFAULT_BRANDING = {
+    company_name: 'StaySTRa',
+    primary_color: '#1f3a5f',
+    accent_color: '#2e86ab',
+    contact_name: null,
+    contact_email: null,
+    contact_phone: null,
+    contact_website: null,
+    footer_text: 'Projections are estimates based on comparable short-term rentals and market data; actual results will vary.',
+    logo: null,
+    logo_content_type: null
+};
+
+const FIELDS = [...Object.keys(BRANDING_TEXT_FIELDS), ...BRANDING_COLOR_FIELDS];
+
+/**
+ * Validates an agent_id (query parameter or analysis request field); empty means the key default.
+ *
+ * @returns {{ value: string|null, error?: string }}
+ */
+export function parseAgentId(value) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    // analyzer_queries stores agent_id as text; numeric IDs are accepted as such
+    if (Number.isInteger(value)) return { value: String(value) };
+    if (typeof value !== 'string' || value.length > AGENT_ID_MAX_LENGTH) {
+        return { value: null, error: `agent_id must be a string of at most ${AGENT_ID_MAX_LENGTH} characters.` };
+    }
+    return { value };
+}
+
+/**
+ * Validates the text and color fields of a branding update. Every field is optional; omitted and
+ * empty fields are stored as NULL (falling back to the key default or the StaySTRa default).
+ *
+ * @param {object} body
+ * @returns {{ value?: object, error?: string }}
+ */
+export function parseBrandingInput(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Body must be a JSON object.' };
+    }
+    const unknown = Object.keys(body).filter(field => !FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return { error: `Unknown branding field(s): ${unknown.join(', ')}. Valid fields: ${FIELDS.join(', ')}.` };
+    }
+    const value = {};
+    for (const [field, maxLength] of Object.entries(BRANDING_TEXT_FIELDS)) {
+        const text = body[field];
+        if (text !== undefined && text !== null && (typeof text !== 'string' || text.length > maxLength)) {
+            return { error: `${field} must be a string of at most ${maxLength} characters.` };
+        }
+        value[field] = text ? text.trim() || null : null;
+    }
+    for (const field of BRANDING_COLOR_FIELDS) {
+        const color = body[field];
+        if (color !== undefined && color !== null && (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color))) {
+            return { error: `${field} must be a hex color like #1f3a5f.` };
+        }
+        value[field] = color ? color.toLowerCase() : null;
+    }
+    return { value };
+}
+
+/**
+ * Validates a logo upload: a PNG or JPEG the PDF writer can embed, at most MAX_LOGO_BYTES.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ contentType?: string, error?: string }}
+ */
+export function parseLogo(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return { error: 'Send the logo as the request body with Content-Type image/png or image/jpeg.' };
+    }
+    if (buffer.length > MAX_LOGO_BYTES) {
+        return { error: `The logo must be at most ${MAX_LOGO_BYTES / 1024} KB.` };
+    }
+    try {
+        return { contentType: parseImage(buffer).type };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+// A report_branding row for the API response (the logo itself is not included)
+export function formatBrandingRecord(row) {
+    return {
+        agent_id: row.agent_id,
+        ...Object.fromEntries(FIELDS.map(field => [field, row[field]])),
+        has_logo: row.logo_size !== null && row.logo_size !== undefined,
+        logo_content_type: row.logo_content_type,
+        logo_bytes: row.logo_size ?? null,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+const RECORD_COLUMNS = `agent_id, ${FIELDS.join(', ')}, logo_content_type, octet_length(logo) AS logo_size, created_at, updated_at`;
+
+// The row of a key or agent ($1 api_key_id, $2 agent_id) within the key's rotation chain. Rows are
+// created for the calling key, so a chain normally has one per agent; the newest wins otherwise.
+const CHAIN_ROW_SQL = `
+    SELECT id FROM report_branding
+    WHERE api_key_id IN (${keyLineageSql('$1')}) AND COALESCE(agent_id, '') = COALESCE($2, '')
+    ORDER BY updated_at DESC, id DESC
+    LIMIT 1`;
+
+/**
+ * The stored branding of a key (agentId null) or one of its agents, without fallbacks.
+ *
+ * @returns {Promise<object|null>} From formatBrandingRecord, or null when none is stored.
+ */
+export async function getBrandingRecord(apiKeyId, agentId) {
+    const { rows } = await getPool().query(
+        `SELECT ${RECORD_COLUMNS}
+         FROM report_branding
+         WHERE id = (${CHAIN_ROW_SQL})`,
+        [apiKeyId, agentId]
+    );
+    return rows[0] ? formatBrandingRecord(rows[0]) : null;
+}
+
+/**
+ * Stores the text and color fields (from parseBrandingInput) for a key or agent, replacing the
+ * previous ones. An existing logo is kept.
+ *
+ * @returns {Promise<object>} The stored record (formatBrandingRecord).
+ */
+export async function saveBranding(apiKeyId, agentId, fields) {
+    const pool = getPool();
+    const values = FIELDS.map(field => fields[field]);
+    const updated = await pool.query(
+        `UPDATE report_branding
+         SET ${FIELDS.map((field, i) => `${field} = $${i + 3}`).join(', ')}, updated_at = NOW()
+         WHERE id = (${CHAIN_ROW_SQL})
+         RETURNING ${RECORD_COLUMNS}`,
+        [apiKeyId, agentId, ...values]
+    );
+    if (updated.rows[0]) return formatBrandingRecord(updated.rows[0]);
+
+    const { rows } = await pool.query(
+        `INSERT INTO report_branding (api_key_id, agent_id, ${FIELDS.join(', ')})
+         VALUES ($1, $2, ${FIELDS.map((_, i) => `$${i + 3}`).join(', ')})
+         ON CONFLICT (api_key_id, COALESCE(agent_id, ''))
+         DO UPDATE SET ${FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(', ')}, updated_at = NOW()
+         RETURNING ${RECORD_COLUMNS}`,
+        [apiKeyId, agentId, ...values]
+    );
+    return formatBrandingRecord(rows[0]);
+}
+
+/**
+ * Sets (or with a null logo, removes) the logo of a key or agent. Creates the branding row when
+ * setting a logo for a key or agent without one.
+ *
+ * @returns {Promise<object|null>} The stored record, or null when removing from a missing row.
+ */
+export async function saveLogo(apiKeyId, agentId, logo, contentType) {
+    const pool = getPool();
+    const updated = await pool.query(
+        `UPDATE report_branding
+         SET logo = $3, logo_content_type = $4, updated_at = NOW()
+         WHERE id = (${CHAIN_ROW_SQL})
+         RETURNING ${RECORD_COLUMNS}`,
+        [apiKeyId, agentId, logo, logo ? contentType : null]
+    );
+    if (updated.rows[0] || !logo) {
+        return updated.rows[0] ? formatBrandingRecord(updated.rows[0]) : null;
+    }
+
+    const { rows } = await pool.query(
+        `INSERT INTO report_branding (api_key_id, agent_id, logo, logo_content_type)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (api_key_id, COALESCE(agent_id, ''))
+         DO UPDATE SET logo = EXCLUDED.logo, logo_content_type = EXCLUDED.logo_content_type, updated_at = NOW()
+         RETURNING ${RECORD_COLUMNS}`,
+        [apiKeyId, agentId, logo, contentType]
+    );
+    return formatBrandingRecord(rows[0]);
+}
+
+/**
+ * Deletes the branding of a key or agent.
+ *
+ * @returns {Promise<boolean>} false when there was none.
+ */
+export async function deleteBranding(apiKeyId, agentId) {
+    const result = await getPool().query(
+        `DELETE FROM report_branding
+         WHERE api_key_id IN (${keyLineageSql('$1')}) AND COALESCE(agent_id, '') = COALESCE($2, '')`,
+        [apiKeyId, agentId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * The branding to render a report with: the agent's fields, then the key's, then DEFAULT_BRANDING.
+ * The logo falls back as a whole.
+ *
+ * @param {number} apiKeyId
+ * @param {string|null} agentId
+ * @returns {Promise<object>} DEFAULT_BRANDING's fields; `logo` is a Buffer or null.
+ */
+export async function resolveBranding(apiKeyId, agentId) {
+    const { rows } = await getPool().query(
+        `SELECT * FROM (
+             SELECT DISTINCT ON (COALESCE(agent_id, '')) agent_id, ${FIELDS.join(', ')}, logo, logo_content_type
+             FROM report_branding
+             WHERE api_key_id IN (${keyLineageSql('$1')}) AND (agent_id IS NULL OR agent_id = $2)
+             ORDER BY COALESCE(agent_id, ''), updated_at DESC, id DESC
+         ) latest
+         ORDER BY agent_id NULLS LAST`,
+        [apiKeyId, agentId]
+    );
+    // Agent row first, then the key default
+    const branding = { ...DEFAULT_BRANDING };
+    for (const field of FIELDS) {
+        const row = rows.find(candidate => candidate[field]);
+        if (row) branding[field] = row[field];
+    }
+    const logoRow = rows.find(candidate => candidate.logo);
+    if (logoRow) {
+        branding.logo = logoRow.logo;
+        branding.logo_content_type = logoRow.logo_content_type;
+    }
+    return branding;
+}
@@ -0,0 +1,194 @@
+// File: utils/savedAnalyses.js
+// Description: Stored property analysis results (property_analyses, migrations/012). Every successful
+// analysis is saved with its inputs, data source and response `data`, so it can be fetched again by ID
+// and the estimates for one property can be compared across re-analyses.
+
+import { randomUUID } from 'crypto';
+import { getPool } from '../db.js';
+import { keyLineageSql } from './apiKeys.js';
+
+// Analysis IDs are UUIDs (crypto.randomUUID)
+export const ANALYSIS_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Projection fields compared between consecutive analyses of the same configuration
+const TIER_FIELDS = ['projected_revenue_typical', 'projected_revenue_top_25', 'projected_revenue_top_10'];
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Stores a successful analysis. The response `data` gets an `analysis_id`, and is stored as the JSON
+ * text it is returned as (a `json` column, which keeps key order and number formatting).
+ *
+ * @param {object} analysis
+ * @param {number|null} analysis.apiKeyId
+ * @param {number|null} analysis.queryId - analyzer_queries.id, when the query was logged.
+ * @param {string} analysis.normalizedAddress - parseAddress(...).matchKey
+ * @param {string} analysis.cacheKey - buildCacheKey of the analysis inputs.
+ * @param {object} analysis.inputs - The request inputs (see runPropertyAnalysis).
+ * @param {object} analysis.source - Where the upstream data came from.
+ * @param {object} analysis.data - The analyze response `data` (from formatAnalysis).
+ * @returns {Promise<object>} `data` with `analysis_id` added.
+ */
+export async function saveAnalysis({ apiKeyId, queryId, normalizedAddress, cacheKey, inputs, source, data }) {
+    const id = randomUUID();
+    const result = { analysis_id: id, ...data };
+    await getPool().query(
+        `INSERT INTO property_analyses (id, api_key_id, query_id, normalized_address, cache_key, inputs, source, result)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [id, apiKeyId, queryId, normalizedAddress, cacheKey, JSON.stringify(inputs), JSON.stringify(source), JSON.stringify(result)]
+    );
+    return result;
+}
+
+/**
+ * Loads a stored analysis of the key (or of a key it replaced or was replaced by).
+ *
+ * @param {string} id
+ * @param {number} apiKeyId
+ * @returns {Promise<{ id: string, query_id: number|null, inputs: object, source: object, result: object, created_at: Date }|null>}
+ */
+export async function getAnalysis(id, apiKeyId) {
+    const { rows } = await getPool().query(
+        `SELECT id, query_id, inputs, source, result, created_at
+         FROM property_analyses
+         WHERE id = $1 AND api_key_id IN (${keyLineageSql('$2')})`,
+        [id, apiKeyId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * The newest stored analysis of the key (or a key in its rotation chain) for an analyzer_queries ID,
+ * or for a property, optionally narrowed to a configuration (null fields match any value).
+ *
+ * @param {number} apiKeyId
+ * @param {object} lookup
+ * @param {number|null} [lookup.queryId]
+ * @param {string|null} [lookup.normalizedAddress] - parseAddress(...).matchKey
+ * @param {{ bedrooms: number|null, bathrooms: number|null, accommodates: number|null }} [lookup.configuration]
+ * @returns {Promise<object|null>} As getAnalysis.
+ */
+export async function findLatestAnalysis(apiKeyId, { queryId = null, normalizedAddress = null, configuration = {} }) {
+    const { rows } = await getPool().query(
+        `SELECT id, query_id, inputs, source, result, created_at
+         FROM property_analyses
+         WHERE api_key_id IN (${keyLineageSql('$1')})
+           AND ($2::int IS NULL OR query_id = $2)
+           AND ($3::text IS NULL OR normalized_address = $3)
+           AND ($4::int IS NULL OR (inputs->'analysis'->>'bedrooms')::int = $4)
+           AND ($5::numeric IS NULL OR (inputs->'analysis'->>'bathrooms')::numeric = $5)
+           AND ($6::int IS NULL OR (inputs->'analysis'->>'accommodates')::int = $6)
+         ORDER BY created_at DESC, id
+         LIMIT 1`,
+        [apiKeyId, queryId, normalizedAddress,
+            configuration.bedrooms ?? null, configuration.bathrooms ?? null, configuration.accommodates ?? null]
+    );
+    return rows[0] || null;
+}
+
+// { previous, change, pct_change } of one figure (null when either side is missing)
+function figureChange(previous, current) {
+    if (previous === null || current === null) return null;
+    return {
+        previous,
+        change: round(current - previous, 2),
+        pct_change: previous === 0 ? null : round((current - previous) / previous, 4)
+    };
+}
+
+function formatHistoryRow(row) {
+    const entry = {
+        analysis_id: row.id,
+        created_at: row.created_at,
+        configuration: {
+            bedrooms: toNumber(row.bedrooms),
+            bathrooms: toNumber(row.bathrooms),
+            accommodates: toNumber(row.accommodates)
+        },
+        cache_status: row.cache_status,
+        data_fetched_at: row.data_fetched_at,
+        obfuscated: row.obfuscated === true,
+        market_name: row.market_name,
+        market_score: toNumber(row.market_score),
+        submarket_score: toNumber(row.submarket_score),
+        adr: toNumber(row.adr),
+        occupancy: toNumber(row.occupancy),
+        ...Object.fromEntries(TIER_FIELDS.map(field => [field, toNumber(row[field])])),
+        changes: null
+    };
+    if (row.previous_id) {
+        entry.changes = {
+            previous_analysis_id: row.previous_id,
+            previous_created_at: row.previous_created_at,
+            ...Object.fromEntries(TIER_FIELDS.map(field => [field, figureChange(toNumber(row[`previous_${field}`]), entry[field])]))
+        };
+    }
+    return entry;
+}
+
+// The key figures of every stored analysis of a property ($1 api_key_id and its rotation chain,
+// $2 normalized_address), with the projections of the previous analysis of the same configuration (cache_key)
+const HISTORY_SQL = `
+    SELECT id, created_at,
+           (inputs->'analysis'->>'bedrooms')::int      AS bedrooms,
+           (inputs->'analysis'->>'bathrooms')::numeric AS bathrooms,
+           (inputs->'analysis'->>'accommodates')::int  AS accommodates,
+           source->>'cache_status'                     AS cache_status,
+           source->>'data_fetched_at'                  AS data_fetched_at,
+           (result->>'obfuscated')::boolean            AS obfuscated,
+           result->>'StaySTRa_market_name'             AS market_name,
+           result->>'market_score'                     AS market_score,
+           result->>'submarket_score'                  AS submarket_score,
+           result->'property_statistics'->'adr'->>'ltm'       AS adr,
+           result->'property_statistics'->'occupancy'->>'ltm' AS occupancy,
+           ${TIER_FIELDS.map(field => `(result->>'${field}')::numeric AS ${field}`).join(',\n           ')},
+           LAG(id) OVER configuration         AS previous_id,
+           LAG(created_at) OVER configuration AS previous_created_at,
+           ${TIER_FIELDS.map(field => `LAG((result->>'${field}')::numeric) OVER configuration AS previous_${field}`).join(',\n           ')}
+    FROM property_analyses
+    WHERE api_key_id IN (${keyLineageSql('$1')}) AND normalized_address = $2
+    WINDOW configuration AS (PARTITION BY cache_key ORDER BY created_at, id)`;
+
+// $3 bedrooms, $4 bathrooms, $5 accommodates; NULL matches any value
+const CONFIGURATION_FILTER_SQL = `($3::int IS NULL OR bedrooms = $3)
+           AND ($4::numeric IS NULL OR bathrooms = $4)
+           AND ($5::int IS NULL OR accommodates = $5)`;
+
+/**
+ * The stored analyses of a property by the key (and the keys in its rotation chain), newest first.
+ * Each one carries the key figures and how its projections changed since the previous analysis of
+ * the same configuration (bedrooms, bathrooms, accommodates), or `changes: null` for the first one.
+ *
+ * @param {number} apiKeyId
+ * @param {string} normalizedAddress - parseAddress(...).matchKey
+ * @param {object} options
+ * @param {{ bedrooms: number|null, bathrooms: number|null, accommodates: number|null }} options.configuration -
+ *   Narrows the history to a configuration; null fields match any value.
+ * @param {{ perPage: number, offset: number }} options.pagination - From parsePagination.
+ * @returns {Promise<{ total: number, analyses: Array<object> }>}
+ */
+export async function getAnalysisHistory(apiKeyId, normalizedAddress, { configuration, pagination }) {
+    const pool = getPool();
+    const params = [apiKeyId, normalizedAddress, configuration.bedrooms, configuration.bathrooms, configuration.accommodates];
+    const { rows } = await pool.query(
+        `WITH history AS (${HISTORY_SQL})
+         SELECT *, COUNT(*) OVER () AS total_count
+         FROM history
+         WHERE ${CONFIGURATION_FILTER_SQL}
+         ORDER BY created_at DESC, id
+         LIMIT $6 OFFSET $7`,
+        [...params, pagination.perPage, pagination.offset]
+    );
+
+    // A page past the end has no rows to read total_count from
+    let total = rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0;
+    if (rows.length === 0 && pagination.offset > 0) {
+        const countResult = await pool.query(
+            `WITH history AS (${HISTORY_SQL}) SELECT COUNT(*)::int AS total FROM history WHERE ${CONFIGURATION_FILTER_SQL}`,
+            params
+        );
+        total = countResult.rows[0].total;
+    }
+    return { total, analyses: rows.map(formatHistoryRow) };
+}
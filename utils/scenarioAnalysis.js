@@ -0,0 +1,349 @@
+// File: utils/scenarioAnalysis.js
+// Description: What-if scenarios on top of a prior analysis. Loads the upstream data of an earlier
+// analysis from property_cache (never calls the provider), applies overrides (property configuration,
+// ADR/occupancy changes, cleaning fee, underwriting assumptions), reruns comp selection and the
+// revenue/underwriting calculations, and builds sensitivity tables (one input varied at a time).
+
+import { getPool } from '../db.js';
+import { calculateRevenues } from './analysisCalculations.js';
+import { buildSubject, selectComps } from './compSelection.js';
+import { parseUnderwritingInputs, calculateUnderwriting } from './underwriting.js';
+import { parseAddress } from './addressNormalization.js';
+import { findCacheEntriesByAddress } from './propertyCache.js';
+import { buildAnalysisInputs } from './propertyAnalysis.js';
+import { keyLineageSql } from './apiKeys.js';
+import { getAnalysisProvider } from '../providers/index.js';
+
+const round2 = value => Math.round(value * 100) / 100;
+const round4 = value => Math.round(value * 10000) / 10000;
+
+// Scenario overrides with their allowed range.
+const OVERRIDE_FIELDS = {
+    bedrooms: [0, 20],
+    bathrooms: [0, 20],
+    accommodates: [1, 50],
+    adr_change_percent: [-90, 500],        // e.g. 10 = ADR 10% higher
+    occupancy_change_percent: [-100, 500], // relative, e.g. -10 = occupancy 10% lower (capped at 100%)
+    cleaning_fee_annual: [0, Infinity]     // replaces property_statistics.cleaning_fee.ltm
+};
+
+// Default sensitivity ranges (bedrooms are added around the subject's bedroom count).
+const DEFAULT_SENSITIVITY = {
+    adr_change_percent: [-20, -10, 0, 10, 20],
+    occupancy_change_percent: [-20, -10, 0, 10, 20]
+};
+const MAX_SENSITIVITY_VALUES = 11;
+// Underwriting assumptions that can be varied in a sensitivity table (when underwriting is sent).
+const UNDERWRITING_SENSITIVITY_FIELDS = ['purchase_price', 'interest_rate', 'down_payment_percent', 'management_fee_percent'];
+
+/**
+ * Validates scenario overrides.
+ *
+ * @param {any} option - { bedrooms, bathrooms, accommodates, adr_change_percent, occupancy_change_percent, cleaning_fee_annual }
+ * @returns {{ overrides: object, error?: string }}
+ */
+export function parseScenarioOverrides(option) {
+    if (option === undefined || option === null) return { overrides: {} };
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        return { overrides: {}, error: 'overrides must be an object.' };
+    }
+    const overrides = {};
+    for (const [field, value] of Object.entries(option)) {
+        if (!OVERRIDE_FIELDS[field]) {
+            return { overrides: {}, error: `Unknown override "${field}". Valid overrides: ${Object.keys(OVERRIDE_FIELDS).join(', ')}.` };
+        }
+        if (value === null || value === undefined || value === '') continue;
+        const [min, max] = OVERRIDE_FIELDS[field];
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < min || number > max) {
+            const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+            return { overrides: {}, error: `overrides.${field} must be a number ${range}.` };
+        }
+        overrides[field] = number;
+    }
+    return { overrides };
+}
+
+/**
+ * Validates requested sensitivity tables and fills in the defaults.
+ *
+ * @param {any} option - { <variable>: [values] }; variables are override fields, or underwriting fields
+ *   (purchase_price, interest_rate, down_payment_percent, management_fee_percent) when underwriting is sent.
+ * @param {{ bedrooms: number|null }} subjectInputs - Used for the default bedroom range.
+ * @param {boolean} hasUnderwriting
+ * @returns {{ tables: Object<string, Array<number>>, error?: string }}
+ */
+export function parseSensitivityOption(option, subjectInputs, hasUnderwriting) {
+    if (option === undefined || option === null) {
+        const tables = { ...DEFAULT_SENSITIVITY };
+        if (subjectInputs.bedrooms !== null && subjectInputs.bedrooms !== undefined) {
+            const beds = subjectInputs.bedrooms;
+            tables.bedrooms = [beds - 1, beds, beds + 1].filter(b => b >= 0);
+        }
+        return { tables };
+    }
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        return { tables: {}, error: 'sensitivity must be an object of { variable: [values] }.' };
+    }
+
+    const tables = {};
+    for (const [variable, values] of Object.entries(option)) {
+        const isOverride = Boolean(OVERRIDE_FIELDS[variable]);
+        const isUnderwriting = UNDERWRITING_SENSITIVITY_FIELDS.includes(variable);
+        if (!isOverride && !isUnderwriting) {
+            return { tables: {}, error: `Unknown sensitivity variable "${variable}".` };
+        }
+        if (isUnderwriting && !hasUnderwriting) {
+            return { tables: {}, error: `Sensitivity on ${variable} requires underwriting inputs.` };
+        }
+        if (!Array.isArray(values) || values.length === 0 || values.length > MAX_SENSITIVITY_VALUES ||
+            values.some(value => !Number.isFinite(Number(value)))) {
+            return { tables: {}, error: `sensitivity.${variable} must be an array of 1 to ${MAX_SENSITIVITY_VALUES} numbers.` };
+        }
+        tables[variable] = values.map(Number);
+    }
+    return { tables };
+}
+
+/**
+ * Loads the upstream data of a prior analysis from property_cache: by analyzer_queries ID (only the
+ * calling key's queries, using the configuration the query analyzed), or by address (optionally
+ * narrowed to a bedrooms/bathrooms/occupancy configuration; the most recently fetched matching
+ * configuration is used).
+ *
+ * @param {{ query_id?: any, address?: string, bedrooms?: any, bathrooms?: any, occupancy?: any }} request
+ * @param {number} apiKeyId - The calling key; queries of other keys (outside its rotation chain) are reported
+ *   as not found.
+ * @returns {Promise<{ data: object, inputs: object, source: object }|{ error: string, status: number }>}
+ *   `source` is { query_id, agent_id, address, cache_key, source_api, data_fetched_at }.
+ */
+export async function loadPriorAnalysis({ query_id, address, bedrooms, bathrooms, occupancy }, apiKeyId) {
+    let lookupAddress = address;
+    let queryId = null;
+    let agentId = null;
+    let queryCacheKey = null;
+
+    if (query_id !== undefined && query_id !== null) {
+        queryId = parseInt(query_id, 10);
+        if (isNaN(queryId)) {
+            return { status: 400, error: 'Invalid query_id format. Must be an integer.' };
+        }
+        const { rows } = await getPool().query(
+            `SELECT address, agent_id, cache_key FROM analyzer_queries WHERE id = $1 AND api_key_id IN (${keyLineageSql('$2')})`,
+            [queryId, apiKeyId]
+        );
+        if (rows.length === 0 || !rows[0].cache_key) {
+            return { status: 404, error: `Analysis query ${queryId} not found.` };
+        }
+        lookupAddress = rows[0].address;
+        agentId = rows[0].agent_id;
+        queryCacheKey = rows[0].cache_key;
+    }
+    if (!lookupAddress) {
+        return { status: 400, error: 'query_id or address is required.' };
+    }
+
+    // A query uses the configuration it analyzed; by address, only narrow by configuration when the caller gave one
+    const parsedAddress = parseAddress(lookupAddress);
+    const requested = buildAnalysisInputs(parsedAddress, { address: lookupAddress, bedrooms, bathrooms, occupancy });
+    const entries = (await findCacheEntriesByAddress(lookupAddress, { includeResponse: true, sourceApi: getAnalysisProvider().name }))
+        .filter(entry => entry.cache_key !== null) // legacy address-only rows have no configuration
+        .filter(entry => queryCacheKey !== null
+            ? entry.cache_key === queryCacheKey
+            : (requested.bedrooms === null || entry.bedrooms === requested.bedrooms)
+                && (requested.bathrooms === null || parseFloat(entry.bathrooms) === requested.bathrooms)
+                && (occupancy === undefined || requested.accommodates === null || entry.accommodates === requested.accommodates));
+
+    const entry = entries.find(candidate => candidate.raw_api_response?.data?.property_statistics);
+    if (!entry) {
+        return {
+            status: 404,
+            error: 'No cached analysis found for this property. Run POST /api/v1/property/analyze first.'
+        };
+    }
+
+    return {
+        data: entry.raw_api_response.data,
+        inputs: {
+            bedrooms: entry.bedrooms,
+            bathrooms: entry.bathrooms === null ? null : parseFloat(entry.bathrooms),
+            accommodates: entry.accommodates
+        },
+        source: {
+            query_id: queryId,
+            // The agent the query was logged for (query_id lookups only)
+            agent_id: agentId,
+            address: parsedAddress.formatted,
+            cache_key: entry.cache_key,
+            source_api: entry.source_api,
+            data_fetched_at: entry.last_fetched
+        }
+    };
+}
+
+// Weighted mean of a comp stat over a selection (null without data).
+function selectionMean(selection, stat) {
+    let sum = 0;
+    let weight = 0;
+    selection.comps.forEach((comp, i) => {
+        const value = comp.stats?.[stat]?.ltm;
+        if (value > 0) {
+            sum += value * selection.weights[i];
+            weight += selection.weights[i];
+        }
+    });
+    return weight > 0 ? sum / weight : null;
+}
+
+const clone = value => JSON.parse(JSON.stringify(value ?? null));
+
+/**
+ * Recomputes the projection for one scenario.
+ *
+ * A different property configuration (bedrooms/bathrooms/accommodates) reruns comp selection for the
+ * new configuration and scales the market revenue and ADR by how the selected comps' weighted average
+ * revenue and ADR change. ADR/occupancy changes scale the market figures (and comp ADRs) directly;
+ * revenue moves with them. Every adjustment is listed in `adjustments`.
+ *
+ * @param {object} data - Normalized upstream analysis ({ property_details, property_statistics, comps }).
+ * @param {object} baseInputs - The prior analysis configuration ({ bedrooms, bathrooms, accommodates }).
+ * @param {object} overrides - From parseScenarioOverrides.
+ * @param {object|null} underwritingInputs - From parseUnderwritingInputs.
+ * @returns {object}
+ */
+export function projectScenario(data, baseInputs, overrides, underwritingInputs) {
+    const details = data.property_details || {};
+    const stats = clone(data.property_statistics) || {};
+    const comps = clone(data.comps) || [];
+    const adjustments = [];
+
+    const inputs = {
+        bedrooms: overrides.bedrooms ?? baseInputs.bedrooms,
+        bathrooms: overrides.bathrooms ?? baseInputs.bathrooms,
+        // Same default as the analyze endpoint: two guests per bedroom
+        accommodates: overrides.accommodates ??
+            (overrides.bedrooms !== undefined && overrides.bedrooms > 0 ? overrides.bedrooms * 2 : baseInputs.accommodates)
+    };
+
+    const scaleStat = (stat, factor) => {
+        if (stats[stat]?.ltm > 0) stats[stat] = { ...stats[stat], ltm: stats[stat].ltm * factor };
+    };
+
+    if (overrides.adr_change_percent !== undefined && overrides.adr_change_percent !== 0) {
+        const factor = 1 + overrides.adr_change_percent / 100;
+        scaleStat('adr', factor);
+        scaleStat('revenue', factor);
+        comps.forEach(comp => {
+            if (comp.stats?.adr?.ltm > 0) comp.stats.adr.ltm *= factor;
+        });
+        adjustments.push({ input: 'adr_change_percent', detail: `Market and comp ADR x ${round4(factor)}; market revenue x ${round4(factor)}.` });
+    }
+
+    if (overrides.occupancy_change_percent !== undefined && overrides.occupancy_change_percent !== 0 && stats.occupancy?.ltm > 0) {
+        const before = stats.occupancy.ltm;
+        const after = Math.min(1, before * (1 + overrides.occupancy_change_percent / 100));
+        stats.occupancy = { ...stats.occupancy, ltm: after };
+        scaleStat('revenue', after / before);
+        adjustments.push({ input: 'occupancy_change_percent', detail: `Market occupancy ${round4(before)} -> ${round4(after)}; market revenue x ${round4(after / before)}.` });
+    }
+
+    if (overrides.cleaning_fee_annual !== undefined) {
+        stats.cleaning_fee = { ...(stats.cleaning_fee || {}), ltm: overrides.cleaning_fee_annual };
+        adjustments.push({ input: 'cleaning_fee_annual', detail: `Annual cleaning fee set to ${overrides.cleaning_fee_annual}.` });
+    }
+
+    const selection = selectComps(buildSubject(details, inputs), comps);
+
+    const configChanged = ['bedrooms', 'bathrooms', 'accommodates'].some(field => inputs[field] !== baseInputs[field]);
+    if (configChanged) {
+        const baseSelection = selectComps(buildSubject(details, baseInputs), comps);
+        for (const stat of ['revenue', 'adr']) {
+            const before = selectionMean(baseSelection, stat);
+            const after = selectionMean(selection, stat);
+            if (before > 0 && after > 0) {
+                scaleStat(stat, after / before);
+                adjustments.push({
+                    input: 'property_configuration',
+                    detail: `Market ${stat} x ${round4(after / before)} (weighted comp ${stat} ${round2(before)} -> ${round2(after)}).`
+                });
+            }
+        }
+    }
+
+    const revenues = calculateRevenues(stats, selection.comps, selection.weights);
+    const tierRevenues = {
+        typical: revenues.typicalRevenue,
+        top_25: revenues.top25Revenue,
+        top_10: revenues.top10Revenue
+    };
+
+    return {
+        inputs,
+        statistics: {
+            adr: stats.adr?.ltm ? round2(stats.adr.ltm) : null,
+            occupancy: stats.occupancy?.ltm ? round4(stats.occupancy.ltm) : null,
+            revenue: stats.revenue?.ltm ? round2(stats.revenue.ltm) : null,
+            cleaning_fee: stats.cleaning_fee?.ltm ?? null
+        },
+        projected_revenue_typical: revenues.typicalRevenue,
+        projected_revenue_top_25: revenues.top25Revenue,
+        projected_revenue_top_10: revenues.top10Revenue,
+        projection_ranges: { typical: revenues.ranges.typical, top_25: revenues.ranges.top25, top_10: revenues.ranges.top10 },
+        comps_used: selection.used.length,
+        underwriting: underwritingInputs ? calculateUnderwriting(underwritingInputs, tierRevenues) : null,
+        adjustments
+    };
+}
+
+/**
+ * Builds one sensitivity table per variable: the scenario recomputed for each value with all
+ * other inputs held at the scenario's values.
+ *
+ * @param {object} data - Normalized upstream analysis.
+ * @param {object} baseInputs - The prior analysis configuration.
+ * @param {object} overrides - The scenario overrides.
+ * @param {object|null} rawUnderwriting - The underwriting request object (not yet parsed), or null.
+ * @param {Object<string, Array<number>>} tables - From parseSensitivityOption.
+ * @returns {{ tables: Object<string, Array<object>>, error?: string }}
+ */
+export function buildSensitivityTables(data, baseInputs, overrides, rawUnderwriting, tables) {
+    const result = {};
+    for (const [variable, values] of Object.entries(tables)) {
+        const rows = [];
+        for (const value of values) {
+            let rowOverrides = overrides;
+            let rowUnderwriting = rawUnderwriting;
+            if (OVERRIDE_FIELDS[variable]) {
+                const parsed = parseScenarioOverrides({ ...overrides, [variable]: value });
+                if (parsed.error) return { tables: {}, error: `sensitivity: ${parsed.error}` };
+                rowOverrides = parsed.overrides;
+            } else {
+                rowUnderwriting = { ...rawUnderwriting, [variable]: value };
+                // down_payment and down_payment_percent are mutually exclusive
+                if (variable === 'down_payment_percent') delete rowUnderwriting.down_payment;
+            }
+            const { inputs: underwritingInputs, error } = parseUnderwritingInputs(rowUnderwriting);
+            if (error) return { tables: {}, error: `sensitivity: ${error}` };
+
+            const scenario = projectScenario(data, baseInputs, rowOverrides, underwritingInputs);
+            rows.push({
+                value,
+                projected_revenue_typical: scenario.projected_revenue_typical,
+                projected_revenue_top_25: scenario.projected_revenue_top_25,
+                projected_revenue_top_10: scenario.projected_revenue_top_10,
+                // Returns per tier (only with underwriting)
+                returns: scenario.underwriting
+                    ? Object.fromEntries(Object.entries(scenario.underwriting.tiers).map(([tier, figures]) => [tier, {
+                        noi: figures.noi,
+                        monthly_cash_flow: figures.monthly_cash_flow,
+                        cap_rate: figures.cap_rate,
+                        cash_on_cash_return: figures.cash_on_cash_return,
+                        dscr: figures.dscr
+                    }]))
+                    : null
+            });
+        }
+        result[variable] = rows;
+    }
+    return { tables: result };
+}
@@ -0,0 +1,206 @@
+// File: utils/seasonality.js
+// Description: Spreads the annual revenue projection over a typical calendar year (January to
+// December). The seasonal shape comes from, in order of preference:
+//   1. monthly series in the upstream property statistics,
+//   2. monthly series of the comps (averaged per month),
+//   3. monthly_market_metrics of the property's area (averaged per calendar month),
+//   4. a flat year (every night earns the same) when none of the above is available.
+// Monthly revenues always add up to the annual tier totals.
+
+import { getPool } from '../db.js';
+import { stateNameForCode } from './addressNormalization.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// A typical (non-leap) year, matching the 365 days used for the annual projection.
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// How much market history to average per calendar month.
+const MARKET_HISTORY_MONTHS = 36;
+
+const round2 = value => Math.round(value * 100) / 100;
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Reduces an upstream monthly series to 12 values (index 0 = January), averaging repeated months.
+ * Accepts 12 plain numbers or [{ month, value }] with month 1-12 or 'YYYY-MM[-DD]'.
+ *
+ * @param {any} series
+ * @returns {Array<number>|null} null unless every calendar month has a positive value.
+ */
+export function toCalendarMonths(series) {
+    if (!Array.isArray(series) || series.length === 0) return null;
+
+    const sums = new Array(12).fill(0);
+    const counts = new Array(12).fill(0);
+    series.forEach((entry, index) => {
+        let month;
+        let value;
+        if (typeof entry === 'number' || typeof entry === 'string') {
+            if (series.length !== 12) return;
+            month = index + 1;
+            value = Number(entry);
+        } else if (entry && typeof entry === 'object') {
+            month = typeof entry.month === 'string' && entry.month.includes('-')
+                ? parseInt(entry.month.split('-')[1], 10)
+                : parseInt(entry.month, 10);
+            value = Number(entry.value);
+        }
+        if (month >= 1 && month <= 12 && Number.isFinite(value) && value > 0) {
+            sums[month - 1] += value;
+            counts[month - 1] += 1;
+        }
+    });
+
+    if (counts.some(count => count === 0)) return null;
+    return sums.map((sum, i) => sum / counts[i]);
+}
+
+// Averages several 12-month arrays per month.
+function averageMonths(seriesList) {
+    return MONTH_NAMES.map((_, i) => seriesList.reduce((sum, series) => sum + series[i], 0) / seriesList.length);
+}
+
+// Seasonal ADR/occupancy shape from the upstream stats, or from the comps' series.
+function shapeFromUpstream(stats, comps) {
+    const adr = toCalendarMonths(stats?.adr?.monthly);
+    const occupancy = toCalendarMonths(stats?.occupancy?.monthly);
+    if (adr && occupancy) {
+        return { source: 'upstream', adr, occupancy };
+    }
+
+    const compSeries = (comps || [])
+        .map(comp => ({
+            adr: toCalendarMonths(comp.stats?.adr?.monthly),
+            occupancy: toCalendarMonths(comp.stats?.occupancy?.monthly)
+        }))
+        .filter(series => series.adr && series.occupancy);
+    if (compSeries.length > 0) {
+        return {
+            source: 'comps',
+            adr: averageMonths(compSeries.map(series => series.adr)),
+            occupancy: averageMonths(compSeries.map(series => series.occupancy)),
+            sample_size: compSeries.length
+        };
+    }
+    return null;
+}
+
+/**
+ * Finds the market area for a parsed address by city and state (the `areas` table stores
+ * the state as a name or a code, so both are matched).
+ *
+ * @param {{ city: string|null, state: string|null }} parsedAddress - From parseAddress.
+ * @returns {Promise<{ area_id: number, name: string, state: string }|null>}
+ */
+export async function findAreaForAddress(parsedAddress) {
+    if (!parsedAddress?.city || !parsedAddress?.state) return null;
+    const { rows } = await getPool().query(
+        `SELECT area_id, city_name, state_name
+         FROM areas
+         WHERE LOWER(city_name) = LOWER($1)
+           AND (UPPER(state_name) = UPPER($2) OR LOWER(state_name) = LOWER($3))
+         ORDER BY area_id
+         LIMIT 1`,
+        [parsedAddress.city, parsedAddress.state, stateNameForCode(parsedAddress.state) || parsedAddress.state]
+    );
+    if (rows.length === 0) return null;
+    return { area_id: rows[0].area_id, name: rows[0].city_name, state: rows[0].state_name };
+}
+
+// Seasonal ADR/occupancy shape from the area's monthly_market_metrics.
+async function shapeFromMarket(areaId) {
+    const { rows } = await getPool().query(
+        `SELECT month, adr, occupancy
+         FROM monthly_market_metrics
+         WHERE area_id = $1
+         ORDER BY year DESC, month DESC
+         LIMIT $2`,
+        [areaId, MARKET_HISTORY_MONTHS]
+    );
+    const adr = toCalendarMonths(rows.map(row => ({ month: row.month, value: parseFloat(row.adr) })));
+    const occupancy = toCalendarMonths(rows.map(row => ({ month: row.month, value: parseFloat(row.occupancy) })));
+    if (!adr || !occupancy) return null;
+    return { source: 'market', adr, occupancy, sample_size: rows.length };
+}
+
+/**
+ * Picks the seasonal shape for an analysis (see the file description for the order).
+ * Database errors are logged and fall through to the flat shape.
+ *
+ * @param {object} stats - property_statistics.
+ * @param {Array<object>} comps
+ * @param {object} parsedAddress - From parseAddress (used to find the area).
+ * @returns {Promise<{ source: string, adr: Array<number>, occupancy: Array<number>, area?: object, sample_size?: number }>}
+ */
+export async function loadSeasonalShape(stats, comps, parsedAddress) {
+    const upstream = shapeFromUpstream(stats, comps);
+    if (upstream) return upstream;
+
+    let area = null;
+    try {
+        area = await findAreaForAddress(parsedAddress);
+        if (area) {
+            const market = await shapeFromMarket(area.area_id);
+            if (market) return { ...market, area };
+        }
+    } catch (err) {
+        console.warn('⚠️ seasonality: Failed to load market seasonality, using a flat year:', err.message);
+    }
+    return { source: 'flat', adr: new Array(12).fill(1), occupancy: new Array(12).fill(1), area };
+}
+
+/**
+ * Builds the 12-month projection for each tier from a seasonal shape.
+ *
+ * Revenue per month is the annual total split by ADR x occupancy x days of the month (rounded
+ * to cents, with the rounding difference put on December so the months add up exactly).
+ * Monthly occupancy is scaled so its day-weighted average equals the annual occupancy, and
+ * monthly ADR so its booked-night-weighted average equals the tier ADR.
+ *
+ * @param {{ source: string, adr: Array<number>, occupancy: Array<number>, area?: object, sample_size?: number }} shape
+ * @param {Object<string, { annualRevenue: number, adr: number, occupancy: number }>} tiers
+ * @returns {object} { source, area, sample_size, seasonality_index, tiers: { <tier>: { annual_revenue, months } } }
+ */
+export function buildMonthlyProjection(shape, tiers) {
+    const daysInYear = DAYS_IN_MONTH.reduce((sum, days) => sum + days, 0);
+    const weights = MONTH_NAMES.map((_, i) => shape.adr[i] * shape.occupancy[i] * DAYS_IN_MONTH[i]);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    // Relative occupancy (day-weighted mean 1) and ADR (booked-night-weighted mean 1)
+    const meanOccupancy = shape.occupancy.reduce((sum, occ, i) => sum + occ * DAYS_IN_MONTH[i], 0) / daysInYear;
+    const relOccupancy = shape.occupancy.map(occ => occ / meanOccupancy);
+    const bookedNights = relOccupancy.map((occ, i) => occ * DAYS_IN_MONTH[i]);
+    const meanAdr = shape.adr.reduce((sum, adr, i) => sum + adr * bookedNights[i], 0) /
+        bookedNights.reduce((sum, nights) => sum + nights, 0);
+    const relAdr = shape.adr.map(adr => adr / meanAdr);
+
+    const result = {};
+    for (const [tier, { annualRevenue, adr, occupancy }] of Object.entries(tiers)) {
+        const total = typeof annualRevenue === 'number' ? annualRevenue : 0;
+        const revenues = weights.map(w => round2(total * w / totalWeight));
+        // Put the rounding difference on the last month so the months add up to the annual total
+        revenues[11] = round2(total - revenues.slice(0, 11).reduce((sum, r) => sum + r, 0));
+
+        result[tier] = {
+            annual_revenue: round2(total),
+            months: MONTH_NAMES.map((name, i) => ({
+                month: i + 1,
+                month_name: name,
+                days: DAYS_IN_MONTH[i],
+                adr: adr > 0 ? round2(adr * relAdr[i]) : null,
+                // Capped at 100%; only an extreme seasonal shape gets there
+                occupancy: occupancy > 0 ? round4(Math.min(1, occupancy * relOccupancy[i])) : null,
+                revenue: revenues[i]
+            }))
+        };
+    }
+
+    return {
+        source: shape.source,
+        area: shape.area || null,
+        sample_size: shape.sample_size ?? null,
+        // Share of the annual revenue earned in each month (sums to 1)
+        seasonality_index: weights.map(w => round4(w / totalWeight)),
+        tiers: result
+    };
+}
@@ -0,0 +1,128 @@
+// File: utils/tableExport.js
+// Description: CSV/XLSX export of JSON route responses: picks the format from ?format= or the Accept
+// header, turns nested response sections into tables, and sends one table as CSV or all of them as
+// XLSX sheets (utils/csv.js, utils/xlsx.js).
+import { sendCsv } from './csv.js';
+import { sendXlsx, XLSX_CONTENT_TYPE } from './xlsx.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+const ACCEPT_TYPES = { 'application/json': 'json', 'text/csv': 'csv', [XLSX_CONTENT_TYPE]: 'xlsx' };
+// Explanatory text in the JSON sections, left out of the tables
+const SKIPPED_KEYS = new Set(['description']);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+// Empty arrays count as (empty) tables, so an area without data still gets its sheet
+const isTable = value => Array.isArray(value) && value.every(isPlainObject);
+
+/**
+ * The requested response format: ?format=json|csv|xlsx wins, otherwise the Accept header decides
+ * (JSON when it names none of the three).
+ *
+ * @param {object} req - Express request.
+ * @returns {{ format?: string, error?: string }}
+ */
+export function parseExportFormat(req) {
+    if (req.query.format !== undefined) {
+        const format = String(req.query.format).toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` };
+        }
+        return { format };
+    }
+    const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+    return { format: ACCEPT_TYPES[accepted] || 'json' };
+}
+
+/**
+ * Flattens nested objects into one level with dotted keys ({ a: { b: 1 } } -> { 'a.b': 1 }).
+ * Arrays of scalars are joined with '; ', other arrays are written as JSON.
+ */
+export function flattenRecord(record, prefix = '') {
+    const flat = {};
+    for (const [key, value] of Object.entries(record)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            Object.assign(flat, flattenRecord(value, path));
+        } else if (Array.isArray(value)) {
+            flat[path] = value.some(item => item !== null && typeof item === 'object') ? JSON.stringify(value) : value.join('; ');
+        } else {
+            flat[path] = value;
+        }
+    }
+    return flat;
+}
+
+/**
+ * A table of rows with its columns: the keys of the (flattened) rows in first-seen order.
+ *
+ * @param {string} name - Sheet name.
+ * @param {Array<object>} rows
+ * @returns {{ name: string, rows: Array<object>, columns: Array<string> }}
+ */
+export function table(name, rows) {
+    const flatRows = rows.map(row => flattenRecord(row));
+    const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+    return { name, rows: flatRows, columns };
+}
+
+/**
+ * Splits a response object into tables. Every array of objects (e.g. historical_performance_monthly.metrics)
+ * becomes its own table, named after its top-level section, or its full path when the section holds
+ * several. Everything else goes into a first 'summary' table with section, field and value columns.
+ *
+ * @param {object} data - The JSON response.
+ * @returns {Array<{ name: string, rows: Array<object>, columns: Array<string> }>}
+ */
+export function responseTables(data) {
+    const summary = [];
+    const arrays = [];
+
+    const walk = (value, path) => {
+        if (SKIPPED_KEYS.has(path[path.length - 1])) return;
+        if (isTable(value)) {
+            arrays.push({ path, rows: value });
+        } else if (isPlainObject(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                walk(child, [...path, key]);
+            }
+        } else {
+            const flat = flattenRecord({ value });
+            summary.push({
+                section: path.length > 1 ? path[0] : '',
+                field: path.length > 1 ? path.slice(1).join('.') : path[0],
+                value: flat.value
+            });
+        }
+    };
+    for (const [key, value] of Object.entries(data)) {
+        walk(value, [key]);
+    }
+
+    const perSection = arrays.reduce((counts, { path }) => ({ ...counts, [path[0]]: (counts[path[0]] || 0) + 1 }), {});
+    return [
+        { name: 'summary', rows: summary, columns: ['section', 'field', 'value'] },
+        ...arrays.map(({ path, rows }) => table(perSection[path[0]] === 1 ? path[0] : path.join('.'), rows))
+    ];
+}
+
+/**
+ * Sends tables as CSV (one table: ?sheet=<name>, default the first) or XLSX (every table as a sheet).
+ * Responds 400 when the requested sheet does not exist.
+ *
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {string} format - 'csv' or 'xlsx' (from parseExportFormat).
+ * @param {string} basename - Download file name without extension.
+ * @param {Array<{ name: string, rows: Array<object>, columns: Array<string> }>} tables
+ */
+export function sendTables(req, res, format, basename, tables) {
+    if (format === 'xlsx') {
+        return sendXlsx(res, `${basename}.xlsx`, tables);
+    }
+    const name = req.query.sheet === undefined ? tables[0].name : String(req.query.sheet);
+    const selected = tables.find(t => t.name === name);
+    if (!selected) {
+        return res.status(400).json({ error: `Unknown sheet: ${name}. Available: ${tables.map(t => t.name).join(', ')}.` });
+    }
+    return sendCsv(res, `${basename}-${selected.name}.csv`, selected.rows, selected.columns);
+}
@@ -0,0 +1,142 @@
+// File: utils/underwriting.js
+// Description: Investment underwriting on top of the revenue projection. Given purchase/financing
+// and expense assumptions, calculates NOI, cash flow, cap rate, cash-on-cash return and DSCR for
+// each projected revenue tier.
+
+const round2 = value => Math.round(value * 100) / 100;
+const round4 = value => Math.round(value * 10000) / 10000;
+
+const DEFAULT_LOAN_TERM_YEARS = 30;
+
+// Optional numeric inputs with their allowed range (all default to 0).
+const NUMERIC_FIELDS = {
+    down_payment: [0, Infinity],            // $ (alternative: down_payment_percent)
+    down_payment_percent: [0, 100],         // % of purchase price
+    interest_rate: [0, 100],                // annual %, e.g. 7.25
+    loan_term_years: [1, 50],
+    property_tax_annual: [0, Infinity],     // $ per year
+    insurance_annual: [0, Infinity],        // $ per year
+    hoa_monthly: [0, Infinity],             // $ per month
+    management_fee_percent: [0, 100],       // % of gross revenue
+    utilities_monthly: [0, Infinity],       // $ per month
+    furnishing_cost: [0, Infinity]          // $ one-time, counted as cash invested
+};
+
+/**
+ * Validates the `underwriting` request option and fills in defaults.
+ *
+ * @param {any} option - { purchase_price, down_payment | down_payment_percent, interest_rate, loan_term_years,
+ *   property_tax_annual, insurance_annual, hoa_monthly, management_fee_percent, utilities_monthly, furnishing_cost },
+ *   or undefined/null for none.
+ * @returns {{ inputs: object|null, error?: string }}
+ */
+export function parseUnderwritingInputs(option) {
+    if (option === undefined || option === null) {
+        return { inputs: null };
+    }
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        return { inputs: null, error: 'underwriting must be an object with at least purchase_price.' };
+    }
+
+    const purchasePrice = Number(option.purchase_price);
+    if (!Number.isFinite(purchasePrice) || purchasePrice <= 0) {
+        return { inputs: null, error: 'underwriting.purchase_price is required and must be a positive number.' };
+    }
+
+    const inputs = { purchase_price: purchasePrice };
+    for (const [field, [min, max]] of Object.entries(NUMERIC_FIELDS)) {
+        if (option[field] === undefined || option[field] === null || option[field] === '') continue;
+        const value = Number(option[field]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+            return { inputs: null, error: `underwriting.${field} must be a number ${range}.` };
+        }
+        inputs[field] = value;
+    }
+
+    if (inputs.down_payment !== undefined && inputs.down_payment_percent !== undefined) {
+        return { inputs: null, error: 'Send either underwriting.down_payment or underwriting.down_payment_percent, not both.' };
+    }
+    // No down payment given means an all-cash purchase.
+    const downPayment = inputs.down_payment_percent !== undefined
+        ? purchasePrice * inputs.down_payment_percent / 100
+        : (inputs.down_payment ?? purchasePrice);
+    if (downPayment > purchasePrice) {
+        return { inputs: null, error: 'underwriting.down_payment cannot exceed purchase_price.' };
+    }
+
+    return {
+        inputs: {
+            purchase_price: purchasePrice,
+            down_payment: round2(downPayment),
+            interest_rate: inputs.interest_rate ?? 0,
+            loan_term_years: inputs.loan_term_years ?? DEFAULT_LOAN_TERM_YEARS,
+            property_tax_annual: inputs.property_tax_annual ?? 0,
+            insurance_annual: inputs.insurance_annual ?? 0,
+            hoa_monthly: inputs.hoa_monthly ?? 0,
+            management_fee_percent: inputs.management_fee_percent ?? 0,
+            utilities_monthly: inputs.utilities_monthly ?? 0,
+            furnishing_cost: inputs.furnishing_cost ?? 0
+        }
+    };
+}
+
+// Standard fixed-rate amortization payment.
+function monthlyMortgagePayment(loanAmount, annualRatePercent, termYears) {
+    if (loanAmount <= 0) return 0;
+    const months = Math.round(termYears * 12);
+    const monthlyRate = annualRatePercent / 100 / 12;
+    if (monthlyRate === 0) return loanAmount / months;
+    return loanAmount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+/**
+ * Underwrites each revenue tier.
+ *
+ * @param {object} inputs - From parseUnderwritingInputs.
+ * @param {Object<string, number>} tierRevenues - Annual gross revenue per tier, e.g. { typical: 56150, top_25: 77234 }.
+ * @returns {{ assumptions: object, tiers: Object<string, object> }} Ratios (cap rate, cash-on-cash, DSCR) are
+ *   decimals; cash-on-cash is null without cash invested, DSCR is null without a loan.
+ */
+export function calculateUnderwriting(inputs, tierRevenues) {
+    const loanAmount = inputs.purchase_price - inputs.down_payment;
+    const monthlyPayment = monthlyMortgagePayment(loanAmount, inputs.interest_rate, inputs.loan_term_years);
+    const annualDebtService = monthlyPayment * 12;
+    const totalCashInvested = inputs.down_payment + inputs.furnishing_cost;
+    // Expenses that do not depend on revenue
+    const fixedExpenses = inputs.property_tax_annual + inputs.insurance_annual +
+        (inputs.hoa_monthly + inputs.utilities_monthly) * 12;
+
+    const tiers = {};
+    for (const [tier, grossRevenue] of Object.entries(tierRevenues)) {
+        const revenue = typeof grossRevenue === 'number' ? grossRevenue : 0;
+        const managementFee = revenue * inputs.management_fee_percent / 100;
+        const operatingExpenses = fixedExpenses + managementFee;
+        const noi = revenue - operatingExpenses;
+        const annualCashFlow = noi - annualDebtService;
+
+        tiers[tier] = {
+            gross_revenue: round2(revenue),
+            management_fee: round2(managementFee),
+            operating_expenses: round2(operatingExpenses),
+            noi: round2(noi),
+            annual_cash_flow: round2(annualCashFlow),
+            monthly_cash_flow: round2(annualCashFlow / 12),
+            cap_rate: round4(noi / inputs.purchase_price),
+            cash_on_cash_return: totalCashInvested > 0 ? round4(annualCashFlow / totalCashInvested) : null,
+            dscr: annualDebtService > 0 ? round4(noi / annualDebtService) : null
+        };
+    }
+
+    return {
+        assumptions: {
+            ...inputs,
+            loan_amount: round2(loanAmount),
+            monthly_mortgage_payment: round2(monthlyPayment),
+            annual_debt_service: round2(annualDebtService),
+            fixed_operating_expenses_annual: round2(fixedExpenses),
+            total_cash_invested: round2(totalCashInvested)
+        },
+        tiers
+    };
+}
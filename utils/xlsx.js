@@ -0,0 +1,233 @@
+// File: utils/xlsx.js
+// Description: Minimal in-process XLSX (Office Open XML spreadsheet) writer used by the export
+// endpoints: one worksheet per table, a bold frozen header row, inline strings, and a zip container
+// built with node's zlib. No formulas, number formats or shared strings.
+import zlib from 'zlib';
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// Excel limits sheet names to 31 characters and disallows these
+const SHEET_NAME_MAX_LENGTH = 31;
+const SHEET_NAME_INVALID = /[\\/?*[\]:]/g;
+// Numeric strings (pg returns NUMERIC columns as strings) are written as numbers, except ones with a
+// leading zero (e.g. ZIP codes) and ones too long to survive a double
+const NUMERIC_STRING = /^-?(0|[1-9]\d{0,14})(\.\d+)?$/;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cellXml(value, ref, style) {
+    const s = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'string' && NUMERIC_STRING.test(value)) {
+        return `<c r="${ref}"${s}><v>${Number(value)}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function worksheetXml(rows, columns) {
+    const cols = columns.map(c => (typeof c === 'string' ? { key: c, header: c } : c));
+    // Style 1 (styles.xml) is the bold header
+    const header = cols.map((c, i) => cellXml(c.header, `${columnName(i)}1`, 1)).join('');
+    const body = rows.map((row, r) => {
+        const cells = cols.map((c, i) => cellXml(row[c.key], `${columnName(i)}${r + 2}`)).join('');
+        return `<row r="${r + 2}">${cells}</row>`;
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0">'
+        + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+        + '</sheetView></sheetViews>'
+        + `<sheetData><row r="1">${header}</row>${body}</sheetData>`
+        + '</worksheet>';
+}
+
+// Valid, unique sheet names
+function sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+        const base = String(sheet.name || `Sheet${i + 1}`).replace(SHEET_NAME_INVALID, '_').slice(0, SHEET_NAME_MAX_LENGTH) || `Sheet${i + 1}`;
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base.slice(0, SHEET_NAME_MAX_LENGTH - String(n).length - 1)}_${n}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+// Zip archive of { name, data } entries, deflated
+function zip(files) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.from(file.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);          // version made by
+        central.writeUInt16LE(20, 6);          // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);     // extra/comment lengths, disk, attributes stay 0
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Builds an XLSX workbook with one worksheet per table.
+ *
+ * @param {Array<{ name: string, rows: Array<object>, columns: Array<string|{key: string, header: string}> }>} sheets -
+ *   Tables in sheet order. Columns work as in utils/csv.js toCsv; names are made valid and unique.
+ * @returns {Buffer} The .xlsx file.
+ */
+export function toXlsx(sheets) {
+    const names = sheetNames(sheets);
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>`
+                + names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                + '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            // Two cell formats: 0 = default, 1 = bold (header row)
+            name: 'xl/styles.xml',
+            data: `${xml}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+                + '</styleSheet>'
+        },
+        ...sheets.map((sheet, i) => ({
+            name: `xl/worksheets/sheet${i + 1}.xml`,
+            data: worksheetXml(sheet.rows, sheet.columns)
+        }))
+    ];
+    return zip(files);
+}
+
+/**
+ * Sends tables as an XLSX download.
+ *
+ * @param {object} res - Express response.
+ * @param {string} filename - Suggested download file name.
+ * @param {Array<object>} sheets - See toXlsx.
+ */
+export function sendXlsx(res, filename, sheets) {
+    res.set('Content-Type', XLSX_CONTENT_TYPE);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toXlsx(sheets));
+}